@@ -20,11 +20,24 @@ const categories = {
   string: {
     name: '📝 String Utilities',
     functions: [
-      'slugify', 'toTitleCase', 'truncate', 'camelCase', 'pascalCase', 'snakeCase', 'kebabCase',
-      'capitalize', 'reverse', 'isPalindrome', 'wordCount', 'padStart', 'padEnd', 'repeat',
-      'escapeHtml', 'unescapeHtml', 'base64Encode', 'base64Decode', 'randomString', 'similarity',
-      'levenshteinDistance', 'removeAccents', 'extractNumbers', 'extractEmails', 'mask',
-      'swapCase', 'isAnagram', 'longestCommonSubstring', 'compress', 'decompress'
+      'slugify', 'uniqueSlug', 'transliterate', 'renderTemplate', 'compileTemplate', 'pluralize',
+      'singularize', 'toTitleCase', 'truncate', 'camelCase', 'pascalCase', 'snakeCase', 'kebabCase',
+      'constantCase', 'dotCase', 'pathCase', 'sentenceCase', 'titleCase', 'trainCase', 'capitalize',
+      'reverse', 'isPalindrome', 'wordCount', 'words', 'sentences', 'paragraphs', 'syllableCount',
+      'readingTime', 'fleschReadingEase', 'fleschKincaidGrade', 'textStats', 'keywords', 'ngrams',
+      'padStart', 'padEnd', 'repeat', 'graphemeLength', 'displayWidth', 'stripAnsi',
+      'truncateWidth', 'wordWrap', 'escapeHtml', 'unescapeHtml', 'decodeHtmlEntities',
+      'encodeHtmlEntities', 'stripHtml', 'sanitizeHtml', 'base64Encode', 'base64Decode',
+      'encodeBase64', 'decodeBase64', 'encodeBase64Url', 'decodeBase64Url', 'encodeBase32',
+      'decodeBase32', 'encodeBase58', 'decodeBase58', 'encodeHex', 'decodeHex', 'randomString',
+      'similarity', 'levenshteinDistance', 'damerauLevenshteinDistance', 'jaroWinkler',
+      'diceCoefficient', 'fuzzySearch', 'diffText', 'diffHunks', 'createPatch', 'applyPatch',
+      'highlightDiff', 'escapeRegExp', 'indexOfAll', 'countOccurrences', 'replaceAll', 'remove',
+      'highlight', 'naturalCompare', 'naturalSort', 'removeAccents', 'extractNumbers',
+      'extractEmails', 'mask', 'swapCase', 'isAnagram', 'longestCommonSubstring', 'compress',
+      'decompress', 'addIrregular', 'addUncountable', 'addPluralRule', 'addSingularRule',
+      'graphemes', 'padWidth', 'padStartWidth', 'padEndWidth', 'splitWords', 'subsequenceMatch',
+      'utf8Encode', 'utf8Decode', 'decodeResult'
     ]
   },
   date: {
@@ -34,7 +47,16 @@ const categories = {
       'subtractYears', 'diffInDays', 'diffInMonths', 'diffInYears', 'isToday', 'isYesterday',
       'isTomorrow', 'isLeapYear', 'startOfDay', 'endOfDay', 'startOfWeek', 'endOfWeek',
       'startOfMonth', 'endOfMonth', 'startOfYear', 'endOfYear', 'daysInMonth', 'dayOfYear',
-      'weekOfYear'
+      'weekOfYear', 'eachDayOfInterval', 'eachWeekOfInterval', 'eachMonthOfInterval',
+      'splitInterval', 'intervalContains', 'intervalOverlaps', 'intervalIntersection',
+      'mergeIntervals', 'subtractInterval', 'intervalGaps', 'createDuration', 'parseDuration',
+      'formatDuration', 'durationFromMs', 'durationBetween', 'normalizeDuration', 'durationToMs',
+      'addDuration', 'subDuration', 'humanizeDuration', 'parseDate', 'parseDateResult',
+      'isBusinessDay', 'addBusinessDays', 'nextBusinessDay', 'previousBusinessDay',
+      'diffInBusinessDays', 'isHoliday', 'getHolidays', 'easterSunday', 'parseRRule', 'formatRRule',
+      'iterateRRule', 'rruleBetween', 'rruleNext', 'relativeTime', 'toZonedParts', 'fromZonedParts',
+      'getTimezoneOffset', 'subDays', 'isoWeek', 'isoWeekYear', 'formatIsoWeekDate',
+      'parseIsoWeekDate', 'getLocaleWeekInfo', 'add', 'sub', 'subMonths', 'subYears'
     ]
   },
   array: {
@@ -57,10 +79,10 @@ const categories = {
   number: {
     name: '🔢 Number & Math Utilities',
     functions: [
-      'commaNumber', 'randomInt', 'bytes', 'randomFloat', 'round', 'ceil', 'floor',
+      'commaNumber', 'randomInt', 'bytes', 'randomFloat', 'round', 'ceil', 'floor', 'formatPlural',
       'clamp', 'inRange', 'toPercent', 'fromPercent', 'toCurrency', 'factorial',
       'gcd', 'lcm', 'isPrime', 'isEven', 'isOdd', 'toRadians', 'toDegrees', 'distance',
-      'lerp', 'mapRange', 'fibonacci', 'toOrdinal'
+      'lerp', 'mapRange', 'fibonacci', 'toOrdinal', 'pluralCategory'
     ]
   },
   crypto: {
@@ -70,6 +92,12 @@ const categories = {
       'randomToken', 'hashPassword', 'verifyPassword', 'xorCipher', 'hash', 'hmac'
     ]
   },
+  random: {
+    name: '🎲 Random Utilities',
+    functions: [
+      'getRandomValues', 'randomBelow', 'randomFromAlphabet', 'createSeededRandom', 'setRandomSource'
+    ]
+  },
   color: {
     name: '🎨 Color Utilities',
     functions: [
@@ -100,7 +128,10 @@ const categories = {
   },
   misc: {
     name: '🔧 Miscellaneous Utilities',
-    functions: ['uuid', 'copyToClipboard', 'colorize']
+    functions: [
+      'uuid', 'uuidV1', 'uuidV3', 'uuidV5', 'uuidV7', 'parseUuid', 'isUuid', 'ulid', 'ksuid',
+      'compactId', 'idTimestamp', 'copyToClipboard', 'colorize'
+    ]
   }
 };
 
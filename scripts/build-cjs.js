@@ -19,13 +19,12 @@ console.log('🔨 Building CommonJS versions...\n');
 function convertToCommonJS(content, filename) {
   let converted = content;
   
-  // Handle Node.js crypto imports for crypto.js
-  if (filename === 'crypto.js') {
-    converted = converted.replace(/import\s+{\s*([^}]+)\s*}\s+from\s+['"]crypto['"];?/g, 
-      (match, imports) => {
-        return `const { ${imports} } = require('crypto');`;
-      });
-  }
+  // Convert named imports (Node.js built-ins and sibling modules)
+  converted = converted.replace(/import\s+{\s*([^}]+)\s*}\s+from\s+['"]([^'"]+)['"];?/g, 
+    (match, imports, module) => {
+      const source = module.startsWith('.') ? module.replace(/\.js$/, '.cjs') : module;
+      return `const { ${imports.trim()} } = require('${source}');`;
+    });
   
   // Convert export statements
   converted = converted.replace(/export\s+{\s*([^}]+)\s*}\s+from\s+['"]([^'"]+)['"];?/g, 
@@ -37,6 +36,7 @@ function convertToCommonJS(content, filename) {
     });
   
   // Convert individual export functions
+  converted = converted.replace(/export\s+function\s*\*\s*(\w+)/g, 'function* $1');
   converted = converted.replace(/export\s+function\s+(\w+)/g, 'function $1');
   converted = converted.replace(/export\s+async\s+function\s+(\w+)/g, 'async function $1');
   
@@ -67,6 +67,7 @@ const fsUtils = require('./fs.cjs');
 const cryptoUtils = require('./crypto.cjs');
 const colorUtils = require('./color.cjs');
 const urlUtils = require('./url.cjs');
+const randomUtils = require('./random.cjs');
 
 // Export individual functions
 Object.assign(module.exports, stringUtils);
@@ -80,6 +81,7 @@ Object.assign(module.exports, fsUtils);
 Object.assign(module.exports, cryptoUtils);
 Object.assign(module.exports, colorUtils);
 Object.assign(module.exports, urlUtils);
+Object.assign(module.exports, randomUtils);
 
 // Export grouped modules
 module.exports.stringUtils = stringUtils;
@@ -93,6 +95,7 @@ module.exports.fsUtils = fsUtils;
 module.exports.cryptoUtils = cryptoUtils;
 module.exports.colorUtils = colorUtils;
 module.exports.urlUtils = urlUtils;
+module.exports.randomUtils = randomUtils;
 
 // Default export with all functions
 const defaultExport = {
@@ -126,6 +129,9 @@ const defaultExport = {
   // URL utilities (15+ functions)
   ...urlUtils,
   
+  // Random source utilities
+  ...randomUtils,
+  
   // Miscellaneous utilities
   ...miscUtils
 };
@@ -139,11 +145,11 @@ module.exports = defaultExport;`;
       converted = converted.replace(/export default[\s\S]*$/, moduleExports);
     }
   } else {
-    // If no default export, add module.exports for individual functions
-    const functionMatches = content.match(/(?:export\s+)?(?:async\s+)?function\s+(\w+)/g);
+    // If no default export, add module.exports for exported functions only
+    const functionMatches = content.match(/export\s+(?:async\s+)?function\s*\*?\s*(\w+)/g);
     if (functionMatches) {
       const functions = functionMatches.map(match => 
-        match.replace(/(?:export\s+)?(?:async\s+)?function\s+/, '')
+        match.replace(/export\s+(?:async\s+)?function\s*\*?\s*/, '')
       );
       const moduleExports = functions.map(fn => `module.exports.${fn} = ${fn};`).join('\n');
       converted += '\n\n' + moduleExports;
@@ -3,6 +3,9 @@
  * Rivals and surpasses Lodash, Ramda, and other popular libraries
  */
 
+const { naturalCompare } = require('./string.cjs');
+const { randomBelow } = require('./random.cjs');
+
 /**
  * Remove duplicate values from array
  * @param {Array} arr - Array to process
@@ -34,7 +37,7 @@ function chunk(arr, size) {
 function shuffle(arr) {
   const shuffled = [...arr];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randomBelow(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -219,7 +222,7 @@ function findLastIndex(arr, predicate) {
  * @returns {*} Random element
  */
 function sample(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+  return arr[randomBelow(arr.length)];
 }
 
 /**
@@ -235,16 +238,24 @@ function sampleSize(arr, n) {
 
 /**
  * Sort array by multiple criteria
+ *
+ * Strings compare in natural order (see naturalCompare), other values with < and >.
  * @param {Array} arr - Array to sort
  * @param {Array} iteratees - Sort functions or property names
+ * @param {Object} options - naturalCompare options (locale, numeric, sensitivity)
  * @returns {Array} Sorted array
  */
-function sortBy(arr, iteratees) {
+function sortBy(arr, iteratees, options = {}) {
   return [...arr].sort((a, b) => {
     for (const iteratee of iteratees) {
       const aVal = typeof iteratee === 'function' ? iteratee(a) : a[iteratee];
       const bVal = typeof iteratee === 'function' ? iteratee(b) : b[iteratee];
       
+      if (typeof aVal === 'string' && typeof bVal === 'string') {
+        const result = naturalCompare(aVal, bVal, options);
+        if (result !== 0) return result;
+        continue;
+      }
       if (aVal < bVal) return -1;
       if (aVal > bVal) return 1;
     }
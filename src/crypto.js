@@ -3,7 +3,8 @@
  * Cryptographic operations and hashing utilities
  */
 
-import { createHash, createHmac, randomBytes, pbkdf2Sync } from 'crypto';
+import { createHash, createHmac, randomBytes, randomFillSync, pbkdf2Sync } from 'crypto';
+import { randomFromAlphabet, setRandomFallback } from './random.js';
 
 /**
  * Generate MD5 hash
@@ -71,21 +72,19 @@ export function randomHex(size = 16, encoding = 'hex') {
   return randomBytes(size).toString(encoding);
 }
 
+// Runtimes without globalThis.crypto (Node.js before 19) draw secure bytes from node:crypto
+setRandomFallback(bytes => randomFillSync(bytes));
+
 /**
  * Generate secure random token
+ *
+ * Always drawn from the CSPRNG, even when setRandomSource has installed a
+ * seeded source.
  * @param {number} length - Token length
  * @returns {string} Random token
  */
 export function randomToken(length = 32) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  const bytes = randomBytes(length);
-  let result = '';
-  
-  for (let i = 0; i < length; i++) {
-    result += chars[bytes[i] % chars.length];
-  }
-  
-  return result;
+  return randomFromAlphabet(length, 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', { secure: true });
 }
 
 /**
@@ -3,125 +3,610 @@
  * Rivals and surpasses date-fns, moment.js, and dayjs
  */
 
+const { ordinal, formatPlural } = require('./number.cjs');
+
+// Matches every formatting token, longest first, plus `[escaped]` literals.
+// The week tokens W, WW and E only count when no other letter touches them,
+// so words such as "Week" in older patterns are left alone
+const FORMAT_TOKENS = /\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd|d|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z|NNNNN|NNNN|NNN|NN|N|GGGG|(?<![A-DF-VX-Za-z])(?:WW|W|E)(?![A-DF-VX-Za-z])/g;
+
+const formatterCache = new Map();
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Get a cached Intl.DateTimeFormat instance
+ * @param {string} locale - BCP 47 locale
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(locale, options) {
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(key)) {
+    formatterCache.set(key, new Intl.DateTimeFormat(locale, options));
+  }
+  return formatterCache.get(key);
+}
+
+/**
+ * Get a localized month name
+ *
+ * Some languages inflect a month name next to a day number, e.g. Russian
+ * "январь" on its own but "5 января" in a date, so the name taken from a
+ * formatted day and month is available separately.
+ * @param {number} month - Month index (0-11)
+ * @param {string} width - 'long' or 'short'
+ * @param {string} locale - BCP 47 locale
+ * @param {boolean} withDay - Use the form that goes with a day number (default: false)
+ * @returns {string} Month name
+ */
+function monthName(month, width, locale, withDay = false) {
+  const date = Date.UTC(2000, month, 1);
+  if (!withDay) return getFormatter(locale, { month: width, timeZone: 'UTC' }).format(date);
+  const parts = getFormatter(locale, { month: width, day: 'numeric', timeZone: 'UTC' }).formatToParts(date);
+  return parts.find(part => part.type === 'month').value;
+}
+
+/**
+ * Get a localized weekday name
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {string} width - 'long' or 'short'
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Weekday name
+ */
+function weekdayName(weekday, width, locale) {
+  // 2 January 2000 was a Sunday
+  return getFormatter(locale, { weekday: width, timeZone: 'UTC' }).format(Date.UTC(2000, 0, 2 + weekday));
+}
+
+/**
+ * Get a localized day period (AM/PM)
+ * @param {number} hours - Hour of day (0-23)
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Day period
+ */
+function dayPeriodName(hours, locale) {
+  const parts = getFormatter(locale, { hour: 'numeric', hour12: true, timeZone: 'UTC' })
+    .formatToParts(Date.UTC(2000, 0, 1, hours));
+  const period = parts.find(part => part.type === 'dayPeriod');
+  return period ? period.value : (hours < 12 ? 'AM' : 'PM');
+}
+
+/**
+ * Get a localized era name
+ * @param {number} year - Full year
+ * @param {string} width - 'short', 'long' or 'narrow'
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Era name
+ */
+function eraName(year, width, locale) {
+  const d = new Date(Date.UTC(2000, 0, 1));
+  d.setUTCFullYear(year);
+  const parts = getFormatter(locale, { era: width, year: 'numeric', timeZone: 'UTC' }).formatToParts(d);
+  const era = parts.find(part => part.type === 'era');
+  return era ? era.value : '';
+}
+
+/**
+ * Format a UTC offset in minutes as +HH:mm or +HHmm
+ * @param {number} offset - Offset from UTC in minutes (east positive)
+ * @param {string} separator - Separator between hours and minutes
+ * @returns {string} Formatted offset
+ */
+function formatOffset(offset, separator) {
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+  const minutes = String(abs % 60).padStart(2, '0');
+  return `${sign}${hours}${separator}${minutes}`;
+}
+
+/**
+ * Build a UTC timestamp from calendar fields, allowing overflow and years below 100
+ * @param {Object} parts - { year, month, day, hours, minutes, seconds, milliseconds }
+ * @returns {number} Timestamp in milliseconds
+ */
+function utcFromParts({ year, month = 0, day = 1, hours = 0, minutes = 0, seconds = 0, milliseconds = 0 }) {
+  const d = new Date(Date.UTC(2000, 0, 1, hours, minutes, seconds, milliseconds));
+  d.setUTCFullYear(year, month, day);
+  return d.getTime();
+}
+
+/**
+ * Get the offset of a time zone from UTC at a given instant
+ * @param {number} timestamp - Instant in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (east positive)
+ */
+function zoneOffset(timestamp, timeZone) {
+  return toZonedParts(new Date(timestamp), timeZone).offset;
+}
+
+/**
+ * Get the wall-clock fields of a date in a time zone
+ *
+ * Without a time zone the host's local time is used. An invalid date gives
+ * NaN fields.
+ * @param {Date|string} date - Input date
+ * @param {string} timeZone - IANA time zone (e.g. 'America/New_York')
+ * @returns {Object} { year, month (0-11), day, hours, minutes, seconds, milliseconds, weekday, offset }
+ */
+function toZonedParts(date, timeZone) {
+  const d = new Date(date);
+  
+  // An invalid date gives NaN fields either way; Intl would throw on it
+  if (!timeZone || isNaN(d.getTime())) {
+    return {
+      year: d.getFullYear(),
+      month: d.getMonth(),
+      day: d.getDate(),
+      hours: d.getHours(),
+      minutes: d.getMinutes(),
+      seconds: d.getSeconds(),
+      milliseconds: d.getMilliseconds(),
+      weekday: d.getDay(),
+      offset: -d.getTimezoneOffset()
+    };
+  }
+  
+  const formatter = getFormatter('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    era: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const values = {};
+  formatter.formatToParts(d).forEach(part => { values[part.type] = part.value; });
+  
+  const year = values.era === 'BC' ? 1 - Number(values.year) : Number(values.year);
+  const parts = {
+    year,
+    month: Number(values.month) - 1,
+    day: Number(values.day),
+    hours: Number(values.hour) % 24,
+    minutes: Number(values.minute),
+    seconds: Number(values.second),
+    milliseconds: d.getUTCMilliseconds()
+  };
+  
+  return {
+    ...parts,
+    weekday: new Date(utcFromParts({ year, month: parts.month, day: parts.day })).getUTCDay(),
+    offset: Math.round((utcFromParts(parts) - d.getTime()) / 60000)
+  };
+}
+
+/**
+ * Create a date from wall-clock fields in a time zone
+ *
+ * Fields may overflow (e.g. day 32) and are normalized like the Date
+ * constructor. Times skipped by a DST transition resolve forward, and
+ * repeated times resolve to the earlier instant.
+ * @param {Object} parts - { year, month (0-11), day, hours, minutes, seconds, milliseconds }
+ * @param {string} timeZone - IANA time zone; host local time when omitted
+ * @returns {Date} Date for that wall-clock time
+ */
+function fromZonedParts(parts, timeZone) {
+  const { year, month = 0, day = 1, hours = 0, minutes = 0, seconds = 0, milliseconds = 0 } = parts;
+  
+  if (!timeZone) {
+    const d = new Date(2000, 0, 1, hours, minutes, seconds, milliseconds);
+    d.setFullYear(year, month, day);
+    return d;
+  }
+  
+  const wallClock = utcFromParts({ year, month, day, hours, minutes, seconds, milliseconds });
+  const firstOffset = zoneOffset(wallClock, timeZone);
+  const first = wallClock - firstOffset * 60000;
+  const secondOffset = zoneOffset(first, timeZone);
+  if (secondOffset === firstOffset) return new Date(first);
+  
+  const second = wallClock - secondOffset * 60000;
+  return new Date(zoneOffset(second, timeZone) === secondOffset ? second : Math.max(first, second));
+}
+
+/**
+ * Get the number of days in a month of a given year
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {number} Days in month
+ */
+function monthLength(year, month) {
+  return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month];
+}
+
+/**
+ * Shift a date by calendar and clock units
+ *
+ * Years and months are applied first, resolving a day past the end of the
+ * target month by the overflow policy, then weeks and days on the wall
+ * clock, then the time units as exact elapsed time. Fractions carry down:
+ * a fractional year into months, a fractional month into days of the
+ * target month, fractional weeks into days and fractional days into time.
+ * @param {Date|string} date - Base date
+ * @param {Object} units - { years, months, weeks, days, hours, minutes, seconds, milliseconds }
+ * @param {string} timeZone - IANA time zone; host local time when omitted
+ * @param {string} overflow - 'clamp' to the last day, 'roll' into the next month or 'reject' (default: 'clamp')
+ * @returns {Date|null} Shifted date, or null when rejected
+ */
+function shiftDate(date, units, timeZone, overflow = 'clamp') {
+  const { years = 0, months = 0, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0, milliseconds = 0 } = units;
+  const parts = toZonedParts(date, timeZone);
+  
+  const monthShift = years * 12 + months;
+  const totalMonths = parts.month + Math.trunc(monthShift);
+  const year = parts.year + Math.floor(totalMonths / 12);
+  const month = ((totalMonths % 12) + 12) % 12;
+  const lastDay = monthLength(year, month);
+  if (parts.day > lastDay && overflow === 'reject') return null;
+  
+  const dayShift = weeks * 7 + days + (monthShift % 1) * lastDay;
+  const day = (overflow === 'roll' ? parts.day : Math.min(parts.day, lastDay)) + Math.trunc(dayShift);
+  const shifted = fromZonedParts({ ...parts, year, month, day }, timeZone);
+  const time = (dayShift % 1) * MS_PER_DAY + ((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds;
+  return new Date(shifted.getTime() + time);
+}
+
+/**
+ * Get a comparable key for the calendar day of a date in a time zone
+ * @param {Date|string} date - Input date
+ * @param {string} timeZone - IANA time zone
+ * @param {number} shift - Days to shift the calendar day by
+ * @returns {number} Day key
+ */
+function calendarDayKey(date, timeZone, shift = 0) {
+  const { year, month, day } = toZonedParts(date, timeZone);
+  return utcFromParts({ year, month, day: day + shift });
+}
+
+/**
+ * Get the day key of the first day of week 1 of a week-numbering year
+ * @param {number} weekYear - Week-numbering year
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @param {number} firstWeekContainsDate - January day that is always in week 1
+ * @returns {number} Day key
+ */
+function firstWeekKey(weekYear, weekStartsOn, firstWeekContainsDate) {
+  const anchor = utcFromParts({ year: weekYear, month: 0, day: firstWeekContainsDate });
+  return anchor - ((new Date(anchor).getUTCDay() - weekStartsOn + 7) % 7) * MS_PER_DAY;
+}
+
+/**
+ * Number a calendar day within its week-numbering year
+ * @param {Object} parts - { year, month, day }
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @param {number} firstWeekContainsDate - January day that is always in week 1
+ * @returns {Object} { weekYear, week }
+ */
+function weekNumbering({ year, month, day }, weekStartsOn, firstWeekContainsDate) {
+  const key = utcFromParts({ year, month, day });
+  const weekStart = key - ((new Date(key).getUTCDay() - weekStartsOn + 7) % 7) * MS_PER_DAY;
+  // A week belongs to the year holding its (8 - firstWeekContainsDate)th day
+  const weekYear = new Date(weekStart + (7 - firstWeekContainsDate) * MS_PER_DAY).getUTCFullYear();
+  const week = Math.round((weekStart - firstWeekKey(weekYear, weekStartsOn, firstWeekContainsDate)) / (7 * MS_PER_DAY)) + 1;
+  return { weekYear, week };
+}
+
+/**
+ * Get the number of ISO weeks in an ISO week-numbering year
+ * @param {number} weekYear - ISO week-numbering year
+ * @returns {number} 52 or 53
+ */
+function isoWeeksInYear(weekYear) {
+  return Math.round((firstWeekKey(weekYear + 1, 1, 4) - firstWeekKey(weekYear, 1, 4)) / (7 * MS_PER_DAY));
+}
+
+/**
+ * Resolve week options from explicit values and locale data
+ * @param {Object} options - { weekStartsOn, firstWeekContainsDate, locale }
+ * @returns {Object} { weekStartsOn, firstWeekContainsDate }
+ */
+function resolveWeekOptions(options) {
+  const defaults = options.locale
+    ? getLocaleWeekInfo(options.locale)
+    : { weekStartsOn: 0, firstWeekContainsDate: 1 };
+  return {
+    weekStartsOn: options.weekStartsOn ?? defaults.weekStartsOn,
+    firstWeekContainsDate: options.firstWeekContainsDate ?? defaults.firstWeekContainsDate
+  };
+}
+
 /**
  * Format date to specified format
+ *
+ * Supported tokens: YYYY, YY, M, MM, MMM, MMMM, D, DD, Do, d, ddd, dddd,
+ * H, HH, h, hh, m, mm, s, ss, SSS, A, a, Z, ZZ, N-NNNNN (era) and the ISO
+ * week-date tokens GGGG (week year), W, WW (week) and E (weekday, 1 = Monday).
+ * W, WW and E are only tokens when they do not touch other letters, so
+ * `Week W` gives "Week 3"; `GGGG[W]WWE` still works.
+ * Text inside square brackets is output as-is, e.g. `[Today is] dddd`.
+ *
+ * Month names take the form used next to a day when the format has a day
+ * token ("5 января" rather than "5 январь" in Russian). YYYY is signed for
+ * years before 1 AD (-0005 is 6 BC) unless the format has an era token, in
+ * which case it is the year of that era (0006 BC). Do always uses English
+ * ordinal suffixes (1st, 2nd, 3rd).
  * @param {Date|string} date - Date to format
  * @param {string} format - Format string (YYYY-MM-DD, DD/MM/YYYY, etc.)
+ * @param {Object} options - Formatting options
+ * @param {string} options.locale - Locale for month, weekday and era names (default: en-US)
+ * @param {string} options.timeZone - IANA time zone to format in (default: host local time)
  * @returns {string} Formatted date string
  */
-function formatDate(date, format = 'YYYY-MM-DD') {
-  const d = new Date(date);
+function formatDate(date, format = 'YYYY-MM-DD', options = {}) {
+  const { locale = 'en-US', timeZone } = options;
+  const { year, month, day, weekday, hours, minutes, seconds, milliseconds, offset } = toZonedParts(date, timeZone);
+  const hours12 = hours % 12 || 12;
+  const pad2 = value => String(value).padStart(2, '0');
+  // Non-finite years (an invalid date) pass through as plain "NaN"
+  const pad4 = value => (!Number.isFinite(value) ? String(value) : (value < 0 ? '-' : '') + String(Math.abs(value)).padStart(4, '0'));
+  const tokens = tokenizeFormat(format).map(part => part.token);
+  const withDay = tokens.some(token => token === 'D' || token === 'DD' || token === 'Do');
+  const hasEra = tokens.some(token => token && token[0] === 'N');
+  
+  return format.replace(FORMAT_TOKENS, (token, literal) => {
+    if (literal !== undefined) return literal;
+    
+    switch (token) {
+      case 'YYYY': return pad4(hasEra && year < 1 ? 1 - year : year);
+      case 'YY': return pad2(Math.abs(year) % 100);
+      case 'MMMM': return monthName(month, 'long', locale, withDay);
+      case 'MMM': return monthName(month, 'short', locale, withDay);
+      case 'MM': return pad2(month + 1);
+      case 'M': return String(month + 1);
+      case 'Do': return ordinal(day);
+      case 'DD': return pad2(day);
+      case 'D': return String(day);
+      case 'dddd': return weekdayName(weekday, 'long', locale);
+      case 'ddd': return weekdayName(weekday, 'short', locale);
+      case 'd': return String(weekday);
+      case 'HH': return pad2(hours);
+      case 'H': return String(hours);
+      case 'hh': return pad2(hours12);
+      case 'h': return String(hours12);
+      case 'mm': return pad2(minutes);
+      case 'm': return String(minutes);
+      case 'ss': return pad2(seconds);
+      case 's': return String(seconds);
+      case 'SSS': return String(milliseconds).padStart(3, '0');
+      case 'A': return dayPeriodName(hours, locale);
+      case 'a': return dayPeriodName(hours, locale).toLowerCase();
+      case 'ZZ': return formatOffset(offset, '');
+      case 'Z': return formatOffset(offset, ':');
+      case 'GGGG': return pad4(weekNumbering({ year, month, day }, 1, 4).weekYear);
+      case 'WW': return pad2(weekNumbering({ year, month, day }, 1, 4).week);
+      case 'W': return String(weekNumbering({ year, month, day }, 1, 4).week);
+      case 'E': return String(weekday || 7);
+      case 'NNNNN': return eraName(year, 'narrow', locale);
+      case 'NNNN': return eraName(year, 'long', locale);
+      default: return eraName(year, 'short', locale);
+    }
+  });
+}
+
+// Default unit thresholds for relativeTime: the largest value shown in each unit
+// before moving on to the next one
+const RELATIVE_THRESHOLDS = { second: 45, minute: 45, hour: 22, day: 6, week: 3, month: 11 };
+
+const relativeFormatterCache = new Map();
+
+/**
+ * Round a value's magnitude according to a rounding mode
+ * @param {number} value - Value to round
+ * @param {string} mode - 'round', 'floor' or 'ceil'
+ * @returns {number} Rounded value
+ */
+function roundMagnitude(value, mode) {
+  const fn = mode === 'floor' ? Math.floor : mode === 'ceil' ? Math.ceil : Math.round;
+  return Math.sign(value) * fn(Math.abs(value)) || 0;
+}
+
+/**
+ * Get the fractional number of calendar months between two dates
+ * @param {Date} base - Base date
+ * @param {Date} date - Target date
+ * @param {number} step - Months per unit (1 for months, 12 for years)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Fractional count of units
+ */
+function calendarUnits(base, date, step, timeZone) {
+  const between = durationBetween(base, date, { timeZone });
+  const whole = Math.trunc((between.years * 12 + between.months) / step);
+  const sign = date < base ? -1 : 1;
+  const anchor = shiftDate(base, { months: whole * step }, timeZone);
+  const next = shiftDate(base, { months: (whole + sign) * step }, timeZone);
+  return whole + sign * Math.abs(date - anchor) / Math.abs(next - anchor);
+}
+
+/**
+ * Get a localized relative time string for past and future dates
+ *
+ * Days, weeks, months and years are measured on the calendar, so a date on
+ * the previous calendar day reads "yesterday" with numeric: 'auto'.
+ * @param {Date|string} date - Date to describe
+ * @param {Object} options - Options
+ * @param {Date|string} options.base - Date to compare against (default: now)
+ * @param {string} options.locale - BCP 47 locale (default: en-US)
+ * @param {string} options.style - 'long', 'short' or 'narrow' (default: long)
+ * @param {string} options.numeric - 'auto' for "yesterday"/"tomorrow" or 'always' for "1 day ago" (default: auto)
+ * @param {string} options.roundingMode - 'round', 'floor' or 'ceil', applied to the magnitude (default: round)
+ * @param {string} options.unit - Force a unit ('second' through 'year', or the plural) instead of choosing one;
+ *   any other unit throws a RangeError
+ * @param {Object} options.thresholds - Override the largest value shown per unit, e.g. { day: 13 }
+ * @param {string} options.timeZone - IANA time zone for calendar comparisons (default: host local time)
+ * @returns {string|null} Relative time (e.g. "in 3 days", "3 days ago", "yesterday"), or null for an invalid date
+ */
+function relativeTime(date, options = {}) {
+  const {
+    base = new Date(),
+    locale = 'en-US',
+    style = 'long',
+    numeric = 'auto',
+    roundingMode = 'round',
+    unit: forcedUnit,
+    timeZone
+  } = options;
+  const thresholds = { ...RELATIVE_THRESHOLDS, ...options.thresholds };
+  const from = new Date(base);
+  const to = new Date(date);
+  const elapsed = to - from;
+  if (isNaN(elapsed)) return null;
+  
+  const key = `${locale}|${style}|${numeric}`;
+  if (!relativeFormatterCache.has(key)) {
+    relativeFormatterCache.set(key, new Intl.RelativeTimeFormat(locale, { style, numeric }));
+  }
+  const formatter = relativeFormatterCache.get(key);
+  
+  const days = (calendarDayKey(to, timeZone) - calendarDayKey(from, timeZone)) / MS_PER_DAY;
+  const values = {
+    second: () => elapsed / 1000,
+    minute: () => elapsed / 60000,
+    hour: () => elapsed / 3600000,
+    day: () => days,
+    week: () => days / 7,
+    month: () => calendarUnits(from, to, 1, timeZone),
+    year: () => calendarUnits(from, to, 12, timeZone)
+  };
   
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  const hours = String(d.getHours()).padStart(2, '0');
-  const minutes = String(d.getMinutes()).padStart(2, '0');
-  const seconds = String(d.getSeconds()).padStart(2, '0');
+  let unit = forcedUnit && String(forcedUnit).replace(/s$/, '');
+  if (unit && !Object.prototype.hasOwnProperty.call(values, unit)) {
+    throw new RangeError(`Invalid relativeTime unit "${forcedUnit}": expected second, minute, hour, day, week, month or year`);
+  }
+  if (!unit) {
+    const order = ['second', 'minute', 'hour', 'day', 'week', 'month'];
+    unit = order.find(name => {
+      const value = roundMagnitude(values[name](), roundingMode);
+      return Math.abs(value) <= thresholds[name] && !(name === 'day' && value === 0 && elapsed !== 0);
+    }) || 'year';
+  }
   
-  return format
-    .replace('YYYY', year)
-    .replace('MM', month)
-    .replace('DD', day)
-    .replace('HH', hours)
-    .replace('mm', minutes)
-    .replace('ss', seconds);
+  return formatter.format(roundMagnitude(values[unit](), roundingMode), unit);
 }
 
 /**
  * Get human-readable time ago string
  * @param {Date|string} date - Date to compare
- * @returns {string} Time ago string (e.g., "2 hours ago", "3 days ago")
- */
-function timeAgo(date) {
-  const now = new Date();
-  const past = new Date(date);
-  const diffInSeconds = Math.floor((now - past) / 1000);
-  
-  const intervals = [
-    { label: 'year', seconds: 31536000 },
-    { label: 'month', seconds: 2592000 },
-    { label: 'week', seconds: 604800 },
-    { label: 'day', seconds: 86400 },
-    { label: 'hour', seconds: 3600 },
-    { label: 'minute', seconds: 60 },
-    { label: 'second', seconds: 1 }
-  ];
-  
-  for (const interval of intervals) {
-    const count = Math.floor(diffInSeconds / interval.seconds);
-    if (count >= 1) {
-      return `${count} ${interval.label}${count !== 1 ? 's' : ''} ago`;
-    }
-  }
-  
-  return 'just now';
+ * @param {Object} options - Same options as relativeTime
+ * @returns {string} Relative time string (e.g., "2 hours ago", "in 3 days")
+ */
+function timeAgo(date, options = {}) {
+  return relativeTime(date, options);
 }
 
 /**
- * Add days to a date
+ * Add days to a date, keeping the wall-clock time across DST changes
  * @param {Date|string} date - Base date
  * @param {number} days - Number of days to add
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} New date
  */
-function addDays(date, days) {
-  const result = new Date(date);
-  result.setDate(result.getDate() + days);
-  return result;
+function addDays(date, days, options = {}) {
+  const parts = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ ...parts, day: parts.day + days }, options.timeZone);
 }
 
 /**
  * Add months to a date
+ *
+ * A day that does not exist in the target month is clamped to its last day
+ * by default, so Jan 31 + 1 month is Feb 29 in a leap year.
  * @param {Date|string} date - Base date
  * @param {number} months - Number of months to add
- * @returns {Date} New date
+ * @param {Object} options - Options
+ * @param {string} options.overflow - 'clamp', 'roll' into the next month or 'reject' with null (default: 'clamp')
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Date|null} New date, or null when the day overflows and overflow is 'reject'
  */
-function addMonths(date, months) {
-  const result = new Date(date);
-  result.setMonth(result.getMonth() + months);
-  return result;
+function addMonths(date, months, options = {}) {
+  return shiftDate(date, { months }, options.timeZone, options.overflow);
 }
 
 /**
  * Add years to a date
+ *
+ * Feb 29 becomes Feb 28 in a common year unless another overflow policy is chosen.
  * @param {Date|string} date - Base date
  * @param {number} years - Number of years to add
- * @returns {Date} New date
+ * @param {Object} options - Options
+ * @param {string} options.overflow - 'clamp', 'roll' into the next month or 'reject' with null (default: 'clamp')
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Date|null} New date, or null when the day overflows and overflow is 'reject'
  */
-function addYears(date, years) {
-  const result = new Date(date);
-  result.setFullYear(result.getFullYear() + years);
-  return result;
+function addYears(date, years, options = {}) {
+  return shiftDate(date, { years }, options.timeZone, options.overflow);
 }
 
 /**
  * Subtract days from a date
  * @param {Date|string} date - Base date
  * @param {number} days - Number of days to subtract
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} New date
  */
-function subDays(date, days) {
-  return addDays(date, -days);
+function subDays(date, days, options = {}) {
+  return addDays(date, -days, options);
 }
 
 /**
  * Subtract months from a date
  * @param {Date|string} date - Base date
  * @param {number} months - Number of months to subtract
- * @returns {Date} New date
+ * @param {Object} options - Same options as addMonths
+ * @returns {Date|null} New date
  */
-function subMonths(date, months) {
-  return addMonths(date, -months);
+function subMonths(date, months, options = {}) {
+  return addMonths(date, -months, options);
 }
 
 /**
  * Subtract years from a date
  * @param {Date|string} date - Base date
  * @param {number} years - Number of years to subtract
- * @returns {Date} New date
+ * @param {Object} options - Same options as addYears
+ * @returns {Date|null} New date
+ */
+function subYears(date, years, options = {}) {
+  return addYears(date, -years, options);
+}
+
+/**
+ * Add several units to a date in a fixed order
+ *
+ * Years and months are applied together first, then weeks and days on the
+ * wall clock, then hours, minutes, seconds and ms as exact elapsed time.
+ * @param {Date|string} date - Base date
+ * @param {Object} units - { years, months, weeks, days, hours, minutes, seconds, ms }
+ * @param {Object} options - Options
+ * @param {string} options.overflow - 'clamp', 'roll' into the next month or 'reject' with null (default: 'clamp')
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Date|null} New date, or null when the day overflows and overflow is 'reject'
+ */
+function add(date, units = {}, options = {}) {
+  const { ms = 0, milliseconds = ms, ...rest } = units;
+  return shiftDate(date, { ...rest, milliseconds }, options.timeZone, options.overflow);
+}
+
+/**
+ * Subtract several units from a date
+ *
+ * The units are negated and applied in the same order as add.
+ * @param {Date|string} date - Base date
+ * @param {Object} units - { years, months, weeks, days, hours, minutes, seconds, ms }
+ * @param {Object} options - Same options as add
+ * @returns {Date|null} New date
  */
-function subYears(date, years) {
-  return addYears(date, -years);
+function sub(date, units = {}, options = {}) {
+  const negated = {};
+  for (const [unit, value] of Object.entries(units)) negated[unit] = -value;
+  return add(date, negated, options);
 }
 
 /**
@@ -166,36 +651,34 @@ function diffInMinutes(date1, date2) {
 /**
  * Check if a date is today
  * @param {Date|string} date - Date to check
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {boolean} True if today
  */
-function isToday(date) {
-  const d = new Date(date);
-  const today = new Date();
-  return d.toDateString() === today.toDateString();
+function isToday(date, options = {}) {
+  return calendarDayKey(date, options.timeZone) === calendarDayKey(new Date(), options.timeZone);
 }
 
 /**
  * Check if a date is yesterday
  * @param {Date|string} date - Date to check
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {boolean} True if yesterday
  */
-function isYesterday(date) {
-  const d = new Date(date);
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return d.toDateString() === yesterday.toDateString();
+function isYesterday(date, options = {}) {
+  return calendarDayKey(date, options.timeZone) === calendarDayKey(new Date(), options.timeZone, -1);
 }
 
 /**
  * Check if a date is tomorrow
  * @param {Date|string} date - Date to check
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {boolean} True if tomorrow
  */
-function isTomorrow(date) {
-  const d = new Date(date);
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  return d.toDateString() === tomorrow.toDateString();
+function isTomorrow(date, options = {}) {
+  return calendarDayKey(date, options.timeZone) === calendarDayKey(new Date(), options.timeZone, 1);
 }
 
 /**
@@ -210,87 +693,126 @@ function isLeapYear(year) {
 /**
  * Get the start of day for a date
  * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} Start of day
  */
-function startOfDay(date) {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  return d;
+function startOfDay(date, options = {}) {
+  const { year, month, day } = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ year, month, day }, options.timeZone);
 }
 
 /**
  * Get the end of day for a date
  * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} End of day
  */
-function endOfDay(date) {
-  const d = new Date(date);
-  d.setHours(23, 59, 59, 999);
-  return d;
+function endOfDay(date, options = {}) {
+  const { year, month, day } = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ year, month, day, hours: 23, minutes: 59, seconds: 59, milliseconds: 999 }, options.timeZone);
+}
+
+/**
+ * Get the week conventions of a locale
+ *
+ * Uses Intl.Locale week data where the runtime provides it and falls back
+ * to ISO 8601 (Monday start, week 1 contains January 4th) otherwise.
+ * @param {string} locale - BCP 47 locale (e.g. 'en-US', 'de-DE')
+ * @returns {Object} { weekStartsOn (0 = Sunday), firstWeekContainsDate, weekend }
+ */
+function getLocaleWeekInfo(locale) {
+  let info;
+  try {
+    const intlLocale = new Intl.Locale(locale);
+    info = typeof intlLocale.getWeekInfo === 'function' ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+  } catch {
+    info = undefined;
+  }
+  
+  if (!info) return { weekStartsOn: 1, firstWeekContainsDate: 4, weekend: [6, 0] };
+  return {
+    weekStartsOn: info.firstDay % 7,
+    firstWeekContainsDate: info.minimalDays,
+    weekend: info.weekend.map(day => day % 7)
+  };
 }
 
 /**
  * Get the start of week for a date
  * @param {Date|string} date - Input date
- * @returns {Date} Start of week (Sunday)
+ * @param {Object} options - Options
+ * @param {number} options.weekStartsOn - First day of the week, 0 = Sunday (default: locale's, else 0)
+ * @param {string} options.locale - Locale to take the week start from
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Date} Midnight on the first day of the week
  */
-function startOfWeek(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day;
-  return new Date(d.setDate(diff));
+function startOfWeek(date, options = {}) {
+  const { weekStartsOn } = resolveWeekOptions(options);
+  const { year, month, day, weekday } = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ year, month, day: day - ((weekday - weekStartsOn + 7) % 7) }, options.timeZone);
 }
 
 /**
  * Get the end of week for a date
  * @param {Date|string} date - Input date
- * @returns {Date} End of week (Saturday)
+ * @param {Object} options - Same options as startOfWeek
+ * @returns {Date} 23:59:59.999 on the last day of the week
  */
-function endOfWeek(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + 6;
-  return new Date(d.setDate(diff));
+function endOfWeek(date, options = {}) {
+  const { weekStartsOn } = resolveWeekOptions(options);
+  const { year, month, day, weekday } = toZonedParts(date, options.timeZone);
+  const lastDay = day - ((weekday - weekStartsOn + 7) % 7) + 6;
+  return fromZonedParts({ year, month, day: lastDay, hours: 23, minutes: 59, seconds: 59, milliseconds: 999 }, options.timeZone);
 }
 
 /**
  * Get the start of month for a date
  * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} Start of month
  */
-function startOfMonth(date) {
-  const d = new Date(date);
-  return new Date(d.getFullYear(), d.getMonth(), 1);
+function startOfMonth(date, options = {}) {
+  const { year, month } = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ year, month, day: 1 }, options.timeZone);
 }
 
 /**
  * Get the end of month for a date
  * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} End of month
  */
-function endOfMonth(date) {
-  const d = new Date(date);
-  return new Date(d.getFullYear(), d.getMonth() + 1, 0);
+function endOfMonth(date, options = {}) {
+  const { year, month } = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ year, month: month + 1, day: 0 }, options.timeZone);
 }
 
 /**
  * Get the start of year for a date
  * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} Start of year
  */
-function startOfYear(date) {
-  const d = new Date(date);
-  return new Date(d.getFullYear(), 0, 1);
+function startOfYear(date, options = {}) {
+  const { year } = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ year, month: 0, day: 1 }, options.timeZone);
 }
 
 /**
  * Get the end of year for a date
  * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {Date} End of year
  */
-function endOfYear(date) {
-  const d = new Date(date);
-  return new Date(d.getFullYear(), 11, 31);
+function endOfYear(date, options = {}) {
+  const { year } = toZonedParts(date, options.timeZone);
+  return fromZonedParts({ year, month: 11, day: 31 }, options.timeZone);
 }
 
 /**
@@ -317,32 +839,354 @@ function dayOfYear(date) {
 
 /**
  * Get the week number of the year
+ *
+ * Defaults to weeks starting on Sunday with week 1 containing January 1st.
+ * Use isoWeek for ISO 8601 numbering.
  * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {number} options.weekStartsOn - First day of the week, 0 = Sunday (default: locale's, else 0)
+ * @param {number} options.firstWeekContainsDate - January day always in week 1 (default: locale's, else 1)
+ * @param {string} options.locale - Locale to take the week rules from
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
  * @returns {number} Week number (1-53)
  */
-function weekOfYear(date) {
-  const d = new Date(date);
-  const start = new Date(d.getFullYear(), 0, 1);
-  const days = Math.floor((d - start) / (24 * 60 * 60 * 1000));
-  return Math.ceil((days + start.getDay() + 1) / 7);
+function weekOfYear(date, options = {}) {
+  const { weekStartsOn, firstWeekContainsDate } = resolveWeekOptions(options);
+  return weekNumbering(toZonedParts(date, options.timeZone), weekStartsOn, firstWeekContainsDate).week;
 }
 
 /**
- * Parse a date string in various formats
- * @param {string} dateString - Date string to parse
- * @returns {Date|null} Parsed date or null if invalid
+ * Get the ISO 8601 week number
+ * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {number} ISO week (1-53)
+ */
+function isoWeek(date, options = {}) {
+  return weekNumbering(toZonedParts(date, options.timeZone), 1, 4).week;
+}
+
+/**
+ * Get the ISO 8601 week-numbering year
+ * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {number} ISO week year (may differ from the calendar year around January 1st)
+ */
+function isoWeekYear(date, options = {}) {
+  return weekNumbering(toZonedParts(date, options.timeZone), 1, 4).weekYear;
+}
+
+/**
+ * Format a date as an ISO 8601 week date
+ * @param {Date|string} date - Input date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {string} Week date (e.g. '2024-W05-3')
+ */
+function formatIsoWeekDate(date, options = {}) {
+  return formatDate(date, 'GGGG-[W]WW-E', options);
+}
+
+/**
+ * Parse an ISO 8601 week date
+ * @param {string} text - Week date ('2024-W05-3', '2024W053' or '2024-W05' for the Monday)
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Date|null} Midnight on that day or null if invalid
+ */
+function parseIsoWeekDate(text, options = {}) {
+  return parseDate(text, ['GGGG-[W]WW-E', 'GGGG[W]WWE', 'GGGG-[W]WW', 'GGGG[W]WW'], { ...options, strict: true });
+}
+
+// Patterns tried by parseDate when none is given
+const DEFAULT_PARSE_PATTERNS = [
+  'YYYY-MM-DD[T]HH:mm:ss.SSSZ',
+  'YYYY-MM-DD[T]HH:mm:ssZ',
+  'YYYY-MM-DD[T]HH:mmZ',
+  'YYYY-MM-DD[T]HH:mm:ss.SSS',
+  'YYYY-MM-DD[T]HH:mm:ss',
+  'YYYY-MM-DD[T]HH:mm',
+  'YYYY-MM-DD HH:mm:ss.SSS',
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'YYYY-MM-DD',
+  'MM/DD/YYYY',
+  'MM-DD-YYYY',
+  'YYYY/MM/DD'
+];
+
+// Field names reported by parseDateResult for each token
+const TOKEN_FIELDS = {
+  YYYY: 'year', YY: 'year', MMMM: 'month', MMM: 'month', MM: 'month', M: 'month',
+  Do: 'day', DD: 'day', D: 'day', dddd: 'weekday', ddd: 'weekday', d: 'weekday',
+  HH: 'hour', H: 'hour', hh: 'hour', h: 'hour', mm: 'minute', m: 'minute',
+  ss: 'second', s: 'second', SSS: 'millisecond', A: 'dayPeriod', a: 'dayPeriod',
+  ZZ: 'offset', Z: 'offset', NNNNN: 'era', NNNN: 'era', NNN: 'era', NN: 'era', N: 'era',
+  GGGG: 'weekYear', WW: 'week', W: 'week', E: 'weekday'
+};
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapePattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex source matching any of the given names, longest first
+ * @param {Array<string>} names - Names to match
+ * @returns {string} Regex source
+ */
+function namesPattern(names) {
+  return `(${[...names].sort((a, b) => b.length - a.length).map(escapePattern).join('|')})`;
+}
+
+/**
+ * Split a format string into field tokens and literal text
+ * @param {string} format - Format string
+ * @returns {Array<Object>} Tokens ({ token } or { literal })
+ */
+function tokenizeFormat(format) {
+  const tokens = [];
+  let lastIndex = 0;
+  
+  for (const match of format.matchAll(FORMAT_TOKENS)) {
+    if (match.index > lastIndex) tokens.push({ literal: format.slice(lastIndex, match.index) });
+    tokens.push(match[1] !== undefined ? { literal: match[1] } : { token: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  
+  if (lastIndex < format.length) tokens.push({ literal: format.slice(lastIndex) });
+  return tokens;
+}
+
+/**
+ * Get the regex source that matches a single token
+ * @param {string} token - Format token
+ * @param {boolean} strict - Require exact widths
+ * @param {string} locale - Locale for names
+ * @returns {string} Regex source
+ */
+function tokenPattern(token, strict, locale) {
+  const months = width => Array.from({ length: 24 }, (_, i) => monthName(i % 12, width, locale, i >= 12));
+  const weekdays = width => Array.from({ length: 7 }, (_, i) => weekdayName(i, width, locale));
+  const twoDigits = strict ? '(\\d{2})' : '(\\d{1,2})';
+  
+  switch (token) {
+    case 'YYYY': return strict ? '(-?\\d{4})' : '(-?\\d{1,4})';
+    case 'YY': return '(\\d{2})';
+    case 'MMMM': return namesPattern(months('long'));
+    case 'MMM': return namesPattern(months('short'));
+    case 'Do': return '(\\d{1,2})(?:st|nd|rd|th)';
+    case 'dddd': return namesPattern(weekdays('long'));
+    case 'ddd': return namesPattern(weekdays('short'));
+    case 'd': return '([0-6])';
+    case 'E': return '([1-7])';
+    case 'GGGG': return '(\\d{4})';
+    case 'SSS': return strict ? '(\\d{3})' : '(\\d{1,3})';
+    case 'A':
+    case 'a': return namesPattern([dayPeriodName(0, locale), dayPeriodName(12, locale)]);
+    case 'ZZ': return '(Z|[+-]\\d{2}:?\\d{2})';
+    case 'Z': return strict ? '(Z|[+-]\\d{2}:\\d{2})' : '(Z|[+-]\\d{2}:?\\d{2})';
+    case 'NNNNN': return namesPattern([eraName(2000, 'narrow', locale), eraName(0, 'narrow', locale)]);
+    case 'NNNN': return namesPattern([eraName(2000, 'long', locale), eraName(0, 'long', locale)]);
+    case 'NNN':
+    case 'NN':
+    case 'N': return namesPattern([eraName(2000, 'short', locale), eraName(0, 'short', locale)]);
+    case 'MM':
+    case 'DD':
+    case 'HH':
+    case 'hh':
+    case 'mm':
+    case 'WW':
+    case 'ss': return twoDigits;
+    default: return '(\\d{1,2})';
+  }
+}
+
+/**
+ * Find the index of a localized name, ignoring case
+ * @param {Array<string>} names - Candidate names
+ * @param {string} value - Parsed value
+ * @returns {number} Index or -1
  */
-function parseDate(dateString) {
-  // Try common formats
-  const formats = [
-    /^\d{4}-\d{2}-\d{2}$/, // YYYY-MM-DD
-    /^\d{2}\/\d{2}\/\d{4}$/, // MM/DD/YYYY
-    /^\d{2}-\d{2}-\d{4}$/, // MM-DD-YYYY
-    /^\d{4}\/\d{2}\/\d{2}$/, // YYYY/MM/DD
-  ];
+function nameIndex(names, value) {
+  return names.findIndex(name => name.toLowerCase() === value.toLowerCase());
+}
+
+/**
+ * Parse a date string against a single pattern
+ * @param {string} input - Input string
+ * @param {string} pattern - Format pattern
+ * @param {boolean} strict - Strict mode
+ * @param {string} locale - Locale for names
+ * @param {string} timeZone - Time zone for inputs without an offset
+ * @returns {Object} { date } on success or { error } on failure
+ */
+function parseWithPattern(input, pattern, strict, locale, timeZone) {
+  const fields = {};
+  let index = 0;
+  
+  const fail = (field, message) => ({ error: { field, index, message } });
+  
+  for (const part of tokenizeFormat(pattern)) {
+    if (part.literal !== undefined) {
+      if (!part.literal) continue;
+      const source = strict ? escapePattern(part.literal) : `\\s*${escapePattern(part.literal.trim())}\\s*`;
+      const regex = new RegExp(source, strict ? 'y' : 'iy');
+      regex.lastIndex = index;
+      const match = regex.exec(input);
+      if (!match) return fail('literal', `Expected "${part.literal}" at position ${index}`);
+      index += match[0].length;
+      continue;
+    }
+    
+    const field = TOKEN_FIELDS[part.token];
+    const regex = new RegExp(tokenPattern(part.token, strict, locale), strict ? 'y' : 'iy');
+    regex.lastIndex = index;
+    const match = regex.exec(input);
+    if (!match) return fail(field, `Invalid ${field} for token ${part.token} at position ${index}`);
+    fields[part.token] = match[1];
+    index += match[0].length;
+  }
+  
+  if (index < input.length) return fail('input', `Unexpected trailing text at position ${index}`);
+  
+  const numeric = token => fields[token] !== undefined ? parseInt(fields[token], 10) : undefined;
+  const monthNames = width => Array.from({ length: 12 }, (_, i) => monthName(i, width, locale));
+  const dayMonthNames = width => Array.from({ length: 12 }, (_, i) => monthName(i, width, locale, true));
+  const monthIndex = width => {
+    const value = fields[width === 'long' ? 'MMMM' : 'MMM'];
+    const index = nameIndex(monthNames(width), value);
+    return index >= 0 ? index : nameIndex(dayMonthNames(width), value);
+  };
+  
+  let year = numeric('YYYY');
+  if (year === undefined && fields.YY !== undefined) {
+    const yy = numeric('YY');
+    year = yy > 68 ? 1900 + yy : 2000 + yy;
+  }
+  if (year === undefined) year = new Date().getFullYear();
+  
+  const era = fields.NNNNN || fields.NNNN || fields.NNN || fields.NN || fields.N;
+  if (era !== undefined) {
+    const width = fields.NNNNN ? 'narrow' : fields.NNNN ? 'long' : 'short';
+    if (era.toLowerCase() === eraName(0, width, locale).toLowerCase()) year = 1 - year;
+  }
+  
+  let month = 1;
+  if (fields.MMMM !== undefined) month = monthIndex('long') + 1;
+  else if (fields.MMM !== undefined) month = monthIndex('short') + 1;
+  else if (fields.MM !== undefined || fields.M !== undefined) month = numeric('MM') ?? numeric('M');
+  if (month < 1 || month > 12) return fail('month', `Month ${month} is out of range`);
+  
+  let day = numeric('DD') ?? numeric('D') ?? numeric('Do') ?? 1;
+  
+  const week = numeric('WW') ?? numeric('W');
+  if (week !== undefined) {
+    const weekYear = numeric('GGGG') ?? year;
+    if (week < 1 || week > isoWeeksInYear(weekYear)) return fail('week', `Week ${week} does not exist in ${weekYear}`);
+    const key = new Date(firstWeekKey(weekYear, 1, 4) + ((week - 1) * 7 + (numeric('E') ?? 1) - 1) * MS_PER_DAY);
+    year = key.getUTCFullYear();
+    month = key.getUTCMonth() + 1;
+    day = key.getUTCDate();
+  }
+  
+  if (day < 1 || day > monthLength(year, month - 1)) return fail('day', `Day ${day} does not exist in ${year}-${String(month).padStart(2, '0')}`);
+  
+  let hour = numeric('HH') ?? numeric('H');
+  const hour12 = numeric('hh') ?? numeric('h');
+  const period = fields.A ?? fields.a;
+  if (hour12 !== undefined) {
+    if (hour12 < 1 || hour12 > 12) return fail('hour', `Hour ${hour12} is out of range`);
+    const pm = period !== undefined && period.toLowerCase() === dayPeriodName(12, locale).toLowerCase();
+    hour = (hour12 % 12) + (pm ? 12 : 0);
+  }
+  hour = hour ?? 0;
+  if (hour > 23) return fail('hour', `Hour ${hour} is out of range`);
+  
+  const minute = numeric('mm') ?? numeric('m') ?? 0;
+  if (minute > 59) return fail('minute', `Minute ${minute} is out of range`);
+  const second = numeric('ss') ?? numeric('s') ?? 0;
+  if (second > 59) return fail('second', `Second ${second} is out of range`);
+  const millisecond = fields.SSS !== undefined ? parseInt(fields.SSS.padEnd(3, '0'), 10) : 0;
+  
+  const offsetText = fields.ZZ ?? fields.Z;
+  const wallClock = { year, month: month - 1, day, hours: hour, minutes: minute, seconds: second, milliseconds: millisecond };
+  let date;
+  if (offsetText !== undefined) {
+    const offsetMatch = /^([+-])(\d{2}):?(\d{2})$/.exec(offsetText);
+    const offset = offsetMatch
+      ? (offsetMatch[1] === '-' ? -1 : 1) * (parseInt(offsetMatch[2], 10) * 60 + parseInt(offsetMatch[3], 10))
+      : 0;
+    date = new Date(utcFromParts(wallClock) - offset * 60000);
+  } else {
+    date = fromZonedParts(wallClock, timeZone);
+  }
+  
+  const weekdayText = fields.dddd ?? fields.ddd;
+  if (strict && (weekdayText !== undefined || fields.d !== undefined)) {
+    const width = fields.dddd !== undefined ? 'long' : 'short';
+    const weekday = weekdayText !== undefined
+      ? nameIndex(Array.from({ length: 7 }, (_, i) => weekdayName(i, width, locale)), weekdayText)
+      : numeric('d');
+    const actual = offsetText !== undefined ? date.getUTCDay() : toZonedParts(date, timeZone).weekday;
+    if (weekday !== actual) return fail('weekday', `Weekday does not match ${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+  }
+  
+  return { date };
+}
+
+/**
+ * Parse a date string and report why parsing failed
+ *
+ * Patterns use the same tokens as formatDate. When an array of patterns is
+ * given they are tried in order and the first match wins; on failure the
+ * error comes from the pattern that matched furthest into the input.
+ * @param {string|Date} input - Date string to parse
+ * @param {string|Array<string>} patterns - Pattern or patterns to try (default: common ISO and US formats)
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.strict - Require exact field widths and literals (default: false)
+ * @param {string} options.locale - Locale for month, weekday and era names (default: en-US)
+ * @param {string} options.timeZone - IANA time zone for inputs without an offset (default: host local time)
+ * @returns {Object} { date, pattern, error } where error is { field, index, message } or null
+ */
+function parseDateResult(input, patterns = DEFAULT_PARSE_PATTERNS, options = {}) {
+  const { strict = false, locale = 'en-US', timeZone } = options;
+  
+  if (input instanceof Date) {
+    return isNaN(input.getTime())
+      ? { date: null, pattern: null, error: { field: 'input', index: 0, message: 'Invalid Date' } }
+      : { date: new Date(input.getTime()), pattern: null, error: null };
+  }
+  
+  const text = strict ? String(input) : String(input).trim();
+  let bestError = null;
+  
+  for (const pattern of [].concat(patterns)) {
+    const result = parseWithPattern(text, pattern, strict, locale, timeZone);
+    if (result.date) return { date: result.date, pattern, error: null };
+    if (!bestError || result.error.index >= bestError.index) bestError = result.error;
+  }
   
-  const date = new Date(dateString);
-  return isNaN(date.getTime()) ? null : date;
+  return { date: null, pattern: null, error: bestError };
+}
+
+/**
+ * Parse a date string using one or more format patterns
+ * @param {string|Date} input - Date string to parse
+ * @param {string|Array<string>} patterns - Pattern or patterns to try (default: common ISO and US formats)
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.strict - Require exact field widths and literals (default: false)
+ * @param {string} options.locale - Locale for month, weekday and era names (default: en-US)
+ * @param {string} options.timeZone - IANA time zone for inputs without an offset (default: host local time)
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDate(input, patterns = DEFAULT_PARSE_PATTERNS, options = {}) {
+  return parseDateResult(input, patterns, options).date;
 }
 
 /**
@@ -380,10 +1224,11 @@ function minDate(dates) {
 /**
  * Get timezone offset in hours
  * @param {Date|string} date - Input date
+ * @param {string} timeZone - IANA time zone (default: host local time)
  * @returns {number} Timezone offset in hours
  */
-function getTimezoneOffset(date = new Date()) {
-  return -new Date(date).getTimezoneOffset() / 60;
+function getTimezoneOffset(date = new Date(), timeZone) {
+  return toZonedParts(date, timeZone).offset / 60;
 }
 
 /**
@@ -414,7 +1259,1098 @@ function fromUnixTimestamp(timestamp) {
 }
 
 
+// Duration units from largest to smallest, with English and compact labels
+const DURATION_UNITS = [
+  { key: 'years', label: 'year', short: 'y' },
+  { key: 'months', label: 'month', short: 'mo' },
+  { key: 'weeks', label: 'week', short: 'w' },
+  { key: 'days', label: 'day', short: 'd' },
+  { key: 'hours', label: 'hour', short: 'h' },
+  { key: 'minutes', label: 'minute', short: 'm' },
+  { key: 'seconds', label: 'second', short: 's' },
+  { key: 'milliseconds', label: 'millisecond', short: 'ms' }
+];
+
+const ISO_DURATION = /^([+-])?P(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/i;
+
+// Average Gregorian year, used when no reference date is available
+const MS_PER_YEAR = 365.2425 * MS_PER_DAY;
+
+/**
+ * Create a duration with every unit present
+ * @param {Object} values - Any of { years, months, weeks, days, hours, minutes, seconds, milliseconds }
+ * @returns {Object} Duration object
+ */
+function createDuration(values = {}) {
+  const result = {};
+  DURATION_UNITS.forEach(({ key }) => { result[key] = values[key] || 0; });
+  return result;
+}
+
+/**
+ * Read a duration given as an object or an ISO 8601 string
+ * @param {Object|string} duration - Duration object or ISO 8601 string
+ * @returns {Object|null} Duration object, or null if the string is not a valid duration
+ */
+function resolveDuration(duration) {
+  if (typeof duration === 'string') return parseDuration(duration);
+  return duration && typeof duration === 'object' ? createDuration(duration) : null;
+}
+
+/**
+ * Parse an ISO 8601 duration string
+ *
+ * As in ISO 8601, only the smallest unit given may have a fraction
+ * ('P1.5D' and 'PT1H30.5M', but not 'P1.5DT2H').
+ * @param {string} text - Duration string (e.g. 'P1Y2M10DT2H30M', '-PT1.5S')
+ * @returns {Object|null} Duration object or null if invalid
+ */
+function parseDuration(text) {
+  const input = String(text).trim();
+  const match = ISO_DURATION.exec(input);
+  if (!match || !match.slice(2).some(Boolean) || /T$/i.test(input)) return null;
+  const present = match.slice(2).filter(Boolean);
+  if (present.slice(0, -1).some(value => /[.,]/.test(value))) return null;
+  
+  const sign = match[1] === '-' ? -1 : 1;
+  const value = index => match[index] ? sign * parseFloat(match[index].replace(',', '.')) : 0;
+  const seconds = value(8);
+  
+  return createDuration({
+    years: value(2),
+    months: value(3),
+    weeks: value(4),
+    days: value(5),
+    hours: value(6),
+    minutes: value(7),
+    seconds: Math.trunc(seconds),
+    milliseconds: Math.round((seconds - Math.trunc(seconds)) * 1000)
+  });
+}
+
+/**
+ * Format a duration as an ISO 8601 string
+ *
+ * ISO 8601 has a single sign, so units with mixed signs are balanced first
+ * (PT1H-30M becomes PT30M). Months and years cannot be balanced against
+ * days and time, so such a mix gives null.
+ * @param {Object} duration - Duration object
+ * @returns {string|null} ISO 8601 duration (e.g. 'P1Y2M10DT2H30M'), or null if the signs cannot be balanced
+ */
+function formatDuration(duration) {
+  let d = createDuration(duration);
+  if (DURATION_UNITS.some(({ key }) => d[key] < 0) && DURATION_UNITS.some(({ key }) => d[key] > 0)) {
+    d = normalizeDuration({ ...d, weeks: 0, days: d.days + d.weeks * 7 });
+    const calendar = d.years * 12 + d.months;
+    const clock = durationToMs({ ...d, years: 0, months: 0 });
+    if (calendar * clock < 0) return null;
+  }
+  const values = DURATION_UNITS.map(({ key }) => d[key]);
+  const negative = values.some(v => v < 0) && values.every(v => v <= 0);
+  const sign = negative ? -1 : 1;
+  const part = (value, designator) => value ? `${sign * value}${designator}` : '';
+  
+  const seconds = d.seconds + d.milliseconds / 1000;
+  const date = part(d.years, 'Y') + part(d.months, 'M') + part(d.weeks, 'W') + part(d.days, 'D');
+  const time = part(d.hours, 'H') + part(d.minutes, 'M') + part(Math.round(seconds * 1000) / 1000, 'S');
+  
+  if (!date && !time) return 'PT0S';
+  return `${negative ? '-' : ''}P${date}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Create a duration from a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Object} Duration balanced into days, hours, minutes, seconds and milliseconds
+ */
+function durationFromMs(ms) {
+  return normalizeDuration(createDuration({ milliseconds: ms }));
+}
+
+/**
+ * Get the calendar duration between two dates
+ *
+ * Whole months are counted first (so Jan 31 to Feb 29 is one month), then
+ * days on the wall clock, then the remaining clock time. The result is
+ * negative when end is before start.
+ * @param {Date|string} start - Start date
+ * @param {Date|string} end - End date
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Object} Duration object
+ */
+function durationBetween(start, end, options = {}) {
+  const { timeZone } = options;
+  let from = new Date(start);
+  let to = new Date(end);
+  const sign = to < from ? -1 : 1;
+  if (sign < 0) [from, to] = [to, from];
+  
+  const a = toZonedParts(from, timeZone);
+  const b = toZonedParts(to, timeZone);
+  let months = (b.year - a.year) * 12 + (b.month - a.month);
+  while (months > 0 && shiftDate(from, { months }, timeZone) > to) months--;
+  const monthAnchor = shiftDate(from, { months }, timeZone);
+  
+  let days = Math.floor((to - monthAnchor) / MS_PER_DAY);
+  while (days > 0 && shiftDate(monthAnchor, { days }, timeZone) > to) days--;
+  while (shiftDate(monthAnchor, { days: days + 1 }, timeZone) <= to) days++;
+  const rest = durationFromMs(to - shiftDate(monthAnchor, { days }, timeZone));
+  
+  const result = createDuration({
+    ...rest,
+    years: Math.floor(months / 12),
+    months: months % 12,
+    days
+  });
+  DURATION_UNITS.forEach(({ key }) => { result[key] = sign * result[key] || 0; });
+  return result;
+}
+
+/**
+ * Balance a duration so that no unit overflows into the next
+ *
+ * Milliseconds through days are carried using fixed lengths (24-hour days)
+ * and months are carried into years. Weeks are left as they are.
+ * @param {Object} duration - Duration object
+ * @returns {Object} Normalized duration
+ */
+function normalizeDuration(duration) {
+  const d = createDuration(duration);
+  const totalMonths = d.years * 12 + d.months;
+  let totalMs = (((d.days * 24 + d.hours) * 60 + d.minutes) * 60 + d.seconds) * 1000 + d.milliseconds;
+  
+  const sign = totalMs < 0 ? -1 : 1;
+  totalMs = Math.abs(totalMs);
+  const take = size => {
+    const value = Math.floor(totalMs / size);
+    totalMs -= value * size;
+    return sign * value || 0;
+  };
+  
+  return createDuration({
+    years: Math.trunc(totalMonths / 12),
+    months: totalMonths % 12 || 0,
+    weeks: d.weeks,
+    days: take(MS_PER_DAY),
+    hours: take(3600000),
+    minutes: take(60000),
+    seconds: take(1000),
+    milliseconds: sign * Math.round(totalMs) || 0
+  });
+}
+
+/**
+ * Convert a duration to milliseconds
+ * @param {Object|string} duration - Duration object or ISO 8601 string
+ * @param {Date|string} relativeTo - Reference date for calendar-accurate months and years
+ * @returns {number|null} Milliseconds (average Gregorian years and months without a reference date), or null for an invalid duration
+ */
+function durationToMs(duration, relativeTo) {
+  const d = resolveDuration(duration);
+  if (!d) return null;
+  if (relativeTo !== undefined) {
+    return shiftDate(relativeTo, d) - new Date(relativeTo);
+  }
+  
+  return (d.years + d.months / 12) * MS_PER_YEAR +
+    (d.weeks * 7 + d.days) * MS_PER_DAY +
+    ((d.hours * 60 + d.minutes) * 60 + d.seconds) * 1000 + d.milliseconds;
+}
+
+/**
+ * Add a duration to a date
+ *
+ * Years and months are calendar-aware (Jan 31 + P1M is the last day of
+ * February), days keep the wall-clock time and time units add exact time.
+ * @param {Date|string} date - Base date
+ * @param {Object|string} duration - Duration object or ISO 8601 string
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Date|null} New date, or null for an invalid duration
+ */
+function addDuration(date, duration, options = {}) {
+  const d = resolveDuration(duration);
+  return d ? shiftDate(date, d, options.timeZone) : null;
+}
+
+/**
+ * Subtract a duration from a date
+ * @param {Date|string} date - Base date
+ * @param {Object|string} duration - Duration object or ISO 8601 string
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Date|null} New date, or null for an invalid duration
+ */
+function subDuration(date, duration, options = {}) {
+  const d = resolveDuration(duration);
+  if (!d) return null;
+  DURATION_UNITS.forEach(({ key }) => { d[key] = -d[key]; });
+  return shiftDate(date, d, options.timeZone);
+}
+
+/**
+ * Convert a duration to human-readable text
+ * @param {Object|string} duration - Duration object or ISO 8601 string
+ * @param {Object} options - Options
+ * @param {boolean} options.compact - Use short labels like '2h 5m' (default: false)
+ * @param {number} options.largest - Maximum number of units to show (default: all)
+ * @param {string} options.delimiter - Separator between units (default: ' ')
+ * @returns {string|null} Human-readable duration (e.g. '2 hours 5 minutes'); the sign is ignored. Null for an invalid duration
+ */
+function humanizeDuration(duration, options = {}) {
+  const { compact = false, largest = Infinity, delimiter = ' ' } = options;
+  const d = resolveDuration(duration);
+  if (!d) return null;
+  
+  const label = (unit, value) => compact
+    ? `${value}${unit.short}`
+    : formatPlural(value, { one: `${value} ${unit.label}`, other: `${value} ${unit.label}s` });
+  
+  const parts = DURATION_UNITS
+    .filter(({ key }) => d[key] !== 0)
+    .slice(0, largest)
+    .map(unit => label(unit, Math.abs(d[unit.key])));
+  
+  return parts.length > 0 ? parts.join(delimiter) : label(DURATION_UNITS[6], 0);
+}
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const RRULE_FREQUENCIES = ['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY'];
+
+// Consecutive periods without an occurrence before iteration gives up
+const RRULE_MAX_EMPTY_PERIODS = 3000;
+
+/**
+ * Parse an iCalendar date-time value (20240101, 20240101T090000 or 20240101T090000Z)
+ * @param {string} value - iCalendar value
+ * @param {string} timeZone - TZID for floating values
+ * @returns {Date|null} Date or null if the value or time zone is invalid
+ */
+function parseICalDate(value, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+  const parts = { year: +year, month: +month - 1, day: +day, hours: +hours, minutes: +minutes, seconds: +seconds };
+  if (utc) return new Date(utcFromParts(parts));
+  try {
+    return fromZonedParts(parts, timeZone);
+  } catch {
+    // Intl rejects an unknown TZID with a RangeError
+    return null;
+  }
+}
+
+/**
+ * Format a date as an iCalendar date-time value
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - Zone for a floating value; UTC with a Z suffix when omitted
+ * @returns {string} iCalendar value
+ */
+function formatICalDate(date, timeZone) {
+  return timeZone
+    ? formatDate(date, 'YYYYMMDD[T]HHmmss', { timeZone })
+    : formatDate(date, 'YYYYMMDD[T]HHmmss[Z]', { timeZone: 'UTC' });
+}
+
+/**
+ * Check whether a day matches the BYDAY entries of a rule
+ * @param {Object} day - { year, month, day, weekday }
+ * @param {Array<Object>} byDay - BYDAY entries ({ weekday, n })
+ * @param {string} scope - 'month' or 'year' for ordinal entries
+ * @returns {boolean} True if matched
+ */
+function matchesByDay(day, byDay, scope) {
+  return byDay.some(({ weekday, n }) => {
+    if (RRULE_WEEKDAYS[day.weekday] !== weekday) return false;
+    if (!n) return true;
+    
+    const position = scope === 'year'
+      ? (utcFromParts(day) - utcFromParts({ year: day.year })) / MS_PER_DAY
+      : day.day - 1;
+    const length = scope === 'year' ? (isLeapYear(day.year) ? 366 : 365) : monthLength(day.year, day.month);
+    return n > 0
+      ? Math.floor(position / 7) + 1 === n
+      : -(Math.floor((length - 1 - position) / 7) + 1) === n;
+  });
+}
+
+/**
+ * Parse an RFC 5545 recurrence rule
+ *
+ * Accepts a bare rule ('FREQ=WEEKLY;BYDAY=MO,WE') or iCalendar lines with
+ * DTSTART (including ;TZID=), RRULE and EXDATE.
+ * @param {string} text - Recurrence rule text
+ * @returns {Object|null} Rule { freq, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, wkst, dtstart, timeZone, exdates } or null if invalid
+ */
+function parseRRule(text) {
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 'MO',
+    dtstart: null,
+    timeZone: null,
+    exdates: []
+  };
+  let ruleText = null;
+  
+  for (const line of String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+    const separator = line.indexOf(':');
+    const property = separator >= 0 ? line.slice(0, separator) : 'RRULE';
+    const name = property.toUpperCase();
+    const value = separator >= 0 ? line.slice(separator + 1) : line;
+    const tzid = /;TZID=([^;:]+)/i.exec(property);
+    
+    if (name.startsWith('DTSTART')) {
+      rule.timeZone = tzid ? tzid[1] : /Z$/i.test(value.trim()) ? 'UTC' : null;
+      rule.dtstart = parseICalDate(value, rule.timeZone || undefined);
+      if (!rule.dtstart) return null;
+    } else if (name.startsWith('EXDATE')) {
+      const zone = tzid ? tzid[1] : rule.timeZone || undefined;
+      for (const item of value.split(',')) {
+        const date = parseICalDate(item, zone);
+        if (!date) return null;
+        rule.exdates.push(date);
+      }
+    } else if (name === 'RRULE') {
+      ruleText = value;
+    }
+  }
+  
+  if (!ruleText) return null;
+  
+  const integers = value => value.split(',').map(Number);
+  for (const pair of ruleText.split(';').filter(Boolean)) {
+    const [key, value = ''] = pair.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ': rule.freq = value.toUpperCase(); break;
+      case 'INTERVAL': rule.interval = Number(value); break;
+      case 'COUNT': rule.count = Number(value); break;
+      case 'UNTIL':
+        rule.until = parseICalDate(value, rule.timeZone || undefined);
+        if (!rule.until) return null;
+        break;
+      case 'BYMONTHDAY': rule.byMonthDay = integers(value); break;
+      case 'BYMONTH': rule.byMonth = integers(value); break;
+      case 'BYSETPOS': rule.bySetPos = integers(value); break;
+      case 'WKST': rule.wkst = value.toUpperCase(); break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(item.trim());
+          return match ? { weekday: match[2].toUpperCase(), n: match[1] ? Number(match[1]) : 0 } : null;
+        });
+        break;
+      default: return null;
+    }
+  }
+  
+  const valid = RRULE_FREQUENCIES.includes(rule.freq) &&
+    Number.isInteger(rule.interval) && rule.interval > 0 &&
+    (rule.count === null || (Number.isInteger(rule.count) && rule.count > 0)) &&
+    (rule.until === null || !isNaN(rule.until)) &&
+    RRULE_WEEKDAYS.includes(rule.wkst) &&
+    rule.byDay.every(entry => entry && (!entry.n || rule.freq === 'MONTHLY' || rule.freq === 'YEARLY')) &&
+    (rule.byMonthDay.length === 0 || rule.freq !== 'WEEKLY') &&
+    rule.byMonth.every(m => Number.isInteger(m) && m >= 1 && m <= 12) &&
+    rule.byMonthDay.every(d => Number.isInteger(d) && d !== 0 && Math.abs(d) <= 31) &&
+    rule.bySetPos.every(p => Number.isInteger(p) && p !== 0 && Math.abs(p) <= 366);
+  
+  return valid ? rule : null;
+}
+
+/**
+ * Serialize a recurrence rule to RFC 5545 text
+ * @param {Object} rule - Rule as returned by parseRRule
+ * @returns {string} iCalendar lines (DTSTART, RRULE and EXDATE as present)
+ */
+function formatRRule(rule) {
+  const { timeZone } = rule;
+  const fields = [`FREQ=${rule.freq}`];
+  
+  if (rule.interval && rule.interval !== 1) fields.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) fields.push(`COUNT=${rule.count}`);
+  if (rule.until) fields.push(`UNTIL=${formatICalDate(new Date(rule.until))}`);
+  if (rule.byDay && rule.byDay.length) fields.push(`BYDAY=${rule.byDay.map(({ weekday, n }) => `${n || ''}${weekday}`).join(',')}`);
+  if (rule.byMonthDay && rule.byMonthDay.length) fields.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth && rule.byMonth.length) fields.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.bySetPos && rule.bySetPos.length) fields.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.wkst && rule.wkst !== 'MO') fields.push(`WKST=${rule.wkst}`);
+  
+  const zone = timeZone === 'UTC' ? undefined : timeZone;
+  const zoneParam = zone ? `;TZID=${zone}` : '';
+  const lines = [];
+  if (rule.dtstart) lines.push(`DTSTART${zoneParam}:${formatICalDate(new Date(rule.dtstart), zone)}`);
+  lines.push(`RRULE:${fields.join(';')}`);
+  if (rule.exdates && rule.exdates.length) {
+    lines.push(`EXDATE${zoneParam}:${rule.exdates.map(d => formatICalDate(new Date(d), zone)).join(',')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Lazily iterate the occurrences of a recurrence rule
+ *
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY (with ordinals such as 2MO or -1FR), BYMONTHDAY, BYMONTH, BYSETPOS,
+ * WKST and EXDATE. Occurrences keep the wall-clock time of DTSTART in the
+ * rule's TZID, or host local time without one.
+ * @param {Object|string} rule - Rule object or RFC 5545 text
+ * @param {Object} options - Options
+ * @param {Date|string} options.dtstart - Start date when the rule has no DTSTART (default: now)
+ * @yields {Date} Occurrences in chronological order
+ */
+function* iterateRRule(rule, options = {}) {
+  const r = typeof rule === 'string' ? parseRRule(rule) : rule;
+  if (!r) return;
+  
+  const timeZone = r.timeZone || undefined;
+  const dtstart = new Date(r.dtstart || options.dtstart || new Date());
+  const start = toZonedParts(dtstart, timeZone);
+  const interval = r.interval || 1;
+  const byDay = r.byDay || [];
+  const byMonth = r.byMonth || [];
+  const byMonthDay = r.byMonthDay || [];
+  const bySetPos = r.bySetPos || [];
+  const exdates = new Set((r.exdates || []).map(d => new Date(d).getTime()));
+  const until = r.until ? new Date(r.until) : null;
+  const startKey = utcFromParts({ year: start.year, month: start.month, day: start.day });
+  const weekStart = RRULE_WEEKDAYS.indexOf(r.wkst || 'MO');
+  
+  const dayScope = r.freq === 'YEARLY' && byMonth.length === 0 ? 'year' : 'month';
+  const defaultMonthDay = byDay.length === 0 && byMonthDay.length === 0 &&
+    (r.freq === 'MONTHLY' || r.freq === 'YEARLY');
+  const defaultMonth = defaultMonthDay && r.freq === 'YEARLY' && byMonth.length === 0;
+  const defaultWeekday = r.freq === 'WEEKLY' && byDay.length === 0;
+  
+  const matches = day => {
+    if (byMonth.length && !byMonth.includes(day.month + 1)) return false;
+    if (defaultMonth && day.month !== start.month) return false;
+    if (defaultMonthDay && day.day !== start.day) return false;
+    if (defaultWeekday && day.weekday !== start.weekday) return false;
+    if (byMonthDay.length) {
+      const length = monthLength(day.year, day.month);
+      if (!byMonthDay.some(n => (n > 0 ? n : length + n + 1) === day.day)) return false;
+    }
+    return byDay.length === 0 || matchesByDay(day, byDay, r.freq === 'YEARLY' ? dayScope : 'month');
+  };
+  
+  const periodDays = index => {
+    let first;
+    let last;
+    if (r.freq === 'DAILY') {
+      first = last = utcFromParts({ year: start.year, month: start.month, day: start.day + index * interval });
+    } else if (r.freq === 'WEEKLY') {
+      const offset = (start.weekday - weekStart + 7) % 7;
+      first = utcFromParts({ year: start.year, month: start.month, day: start.day - offset + index * interval * 7 });
+      last = first + 6 * MS_PER_DAY;
+    } else if (r.freq === 'MONTHLY') {
+      first = utcFromParts({ year: start.year, month: start.month + index * interval, day: 1 });
+      const d = new Date(first);
+      last = utcFromParts({ year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: 0 });
+    } else {
+      first = utcFromParts({ year: start.year + index * interval, month: 0, day: 1 });
+      last = utcFromParts({ year: start.year + index * interval, month: 11, day: 31 });
+    }
+    
+    const days = [];
+    for (let key = first; key <= last; key += MS_PER_DAY) {
+      const d = new Date(key);
+      days.push({ key, year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate(), weekday: d.getUTCDay() });
+    }
+    return days;
+  };
+  
+  let produced = 0;
+  let emptyPeriods = 0;
+  
+  for (let index = 0; emptyPeriods < RRULE_MAX_EMPTY_PERIODS; index++) {
+    let days = periodDays(index).filter(matches);
+    if (bySetPos.length) {
+      days = bySetPos
+        .map(pos => days[pos > 0 ? pos - 1 : days.length + pos])
+        .filter(Boolean)
+        .sort((a, b) => a.key - b.key)
+        .filter((day, i, list) => i === 0 || list[i - 1].key !== day.key);
+    }
+    
+    emptyPeriods = days.length ? 0 : emptyPeriods + 1;
+    
+    for (const day of days) {
+      if (day.key < startKey) continue;
+      const occurrence = fromZonedParts({ ...start, year: day.year, month: day.month, day: day.day }, timeZone);
+      if (occurrence < dtstart) continue;
+      if (until && occurrence > until) return;
+      
+      produced++;
+      if (!exdates.has(occurrence.getTime())) yield occurrence;
+      if (r.count && produced >= r.count) return;
+    }
+  }
+}
+
+/**
+ * Get all occurrences of a recurrence rule within a range
+ * @param {Object|string} rule - Rule object or RFC 5545 text
+ * @param {Date|string} start - Range start
+ * @param {Date|string} end - Range end
+ * @param {Object} options - Options
+ * @param {boolean} options.inclusive - Include occurrences equal to start or end (default: true)
+ * @param {Date|string} options.dtstart - Start date when the rule has no DTSTART
+ * @returns {Array<Date>} Occurrences in the range
+ */
+function rruleBetween(rule, start, end, options = {}) {
+  const { inclusive = true } = options;
+  const from = new Date(start);
+  const to = new Date(end);
+  const result = [];
+  
+  for (const date of iterateRRule(rule, options)) {
+    if (date > to || (!inclusive && date.getTime() === to.getTime())) break;
+    if (date > from || (inclusive && date.getTime() === from.getTime())) result.push(date);
+  }
+  
+  return result;
+}
+
+/**
+ * Get the first occurrence of a recurrence rule after a date
+ * @param {Object|string} rule - Rule object or RFC 5545 text
+ * @param {Date|string} after - Date to search from (default: now)
+ * @param {Object} options - Options
+ * @param {boolean} options.inclusive - Allow an occurrence equal to after (default: false)
+ * @param {Date|string} options.dtstart - Start date when the rule has no DTSTART
+ * @returns {Date|null} Next occurrence or null if there is none
+ */
+function rruleNext(rule, after = new Date(), options = {}) {
+  const { inclusive = false } = options;
+  const from = new Date(after);
+  
+  for (const date of iterateRRule(rule, options)) {
+    if (date > from || (inclusive && date.getTime() === from.getTime())) return date;
+  }
+  
+  return null;
+}
+
+// Resolved holidays per rules array, with the array length so added or removed rules are noticed
+const holidayCache = new WeakMap();
+
+// Consecutive days without a business day after which addBusinessDays gives up
+const MAX_NON_BUSINESS_DAYS = 3660;
+
+/**
+ * Get the date of Easter Sunday (Gregorian calendar)
+ * @param {number} year - Full year
+ * @returns {Date} Easter Sunday at local midnight
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return fromZonedParts({ year, month: month - 1, day });
+}
+
+/**
+ * Resolve one holiday rule to a day key for a year
+ * @param {Object|string|Date} rule - Holiday rule
+ * @param {number} year - Full year
+ * @returns {number|null} Day key or null if the rule does not occur that year
+ */
+function holidayRuleKey(rule, year) {
+  if (typeof rule === 'string' || rule instanceof Date || (rule && rule.date !== undefined)) {
+    const value = rule.date !== undefined ? rule.date : rule;
+    const parsed = typeof value === 'string' ? parseDate(value, 'YYYY-MM-DD') : new Date(value);
+    if (!parsed || isNaN(parsed)) return null;
+    const { year: y, month, day } = toZonedParts(parsed);
+    return y === year ? utcFromParts({ year, month, day }) : null;
+  }
+  
+  let key;
+  if (rule.easter !== undefined) {
+    const easter = toZonedParts(easterSunday(year));
+    key = utcFromParts({ year, month: easter.month, day: easter.day + rule.easter });
+  } else if (rule.nth !== undefined) {
+    const month = rule.month - 1;
+    if (rule.nth > 0) {
+      const first = new Date(utcFromParts({ year, month, day: 1 })).getUTCDay();
+      key = utcFromParts({ year, month, day: 1 + ((rule.weekday - first + 7) % 7) + (rule.nth - 1) * 7 });
+    } else {
+      const length = monthLength(year, month);
+      const last = new Date(utcFromParts({ year, month, day: length })).getUTCDay();
+      key = utcFromParts({ year, month, day: length - ((last - rule.weekday + 7) % 7) + (rule.nth + 1) * 7 });
+    }
+    if (new Date(key).getUTCMonth() !== month) return null;
+  } else {
+    if (rule.day > monthLength(year, rule.month - 1)) return null;
+    key = utcFromParts({ year, month: rule.month - 1, day: rule.day });
+  }
+  
+  if (rule.observed) {
+    const weekday = new Date(key).getUTCDay();
+    if (weekday === 6) key -= MS_PER_DAY;
+    if (weekday === 0) key += MS_PER_DAY;
+  }
+  return key;
+}
+
+/**
+ * Get the holidays of a calendar keyed by day, cached per calendar and year
+ * @param {Array} holidays - Holiday rules
+ * @param {number} year - Full year
+ * @returns {Map<number, string>} Holiday names by day key
+ */
+function holidayKeys(holidays, year) {
+  if (!holidayCache.has(holidays) || holidayCache.get(holidays).length !== holidays.length) {
+    holidayCache.set(holidays, { length: holidays.length, byYear: new Map() });
+  }
+  const { byYear } = holidayCache.get(holidays);
+  
+  if (!byYear.has(year)) {
+    const keys = new Map();
+    const rules = holidays.filter(rule => typeof rule === 'string' || (rule !== null && typeof rule === 'object'));
+    // Observed dates can move a holiday across the year boundary
+    for (const y of [year - 1, year, year + 1]) {
+      rules.forEach(rule => {
+        const key = holidayRuleKey(rule, y);
+        if (key !== null && new Date(key).getUTCFullYear() === year && !keys.has(key)) {
+          keys.set(key, rule.name || 'Holiday');
+        }
+      });
+    }
+    byYear.set(year, keys);
+  }
+  
+  return byYear.get(year);
+}
+
+/**
+ * Get the holidays of a calendar in a year
+ *
+ * Rules can be a date ('2024-12-24', a Date or { date, name }), a fixed day
+ * ({ month: 12, day: 25 }), an nth weekday ({ month: 5, weekday: 1, nth: -1 }
+ * for the last Monday of May) or relative to Easter ({ easter: -2 } for Good
+ * Friday). Add observed: true to move Saturday holidays to Friday and Sunday
+ * holidays to Monday. Function rules are only used by isHoliday; other
+ * values such as null are skipped. Resolved dates are cached per array, so
+ * adding or removing rules is picked up but a rule changed in place is not:
+ * pass a new array instead.
+ * @param {number} year - Full year
+ * @param {Array} holidays - Holiday rules
+ * @returns {Array<Object>} Holidays as { date, name } sorted by date
+ */
+function getHolidays(year, holidays = []) {
+  return [...holidayKeys(holidays, year)]
+    .sort(([a], [b]) => a - b)
+    .map(([key, name]) => {
+      const d = new Date(key);
+      return { date: fromZonedParts({ year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate() }), name };
+    });
+}
+
+/**
+ * Check if a date falls on a holiday
+ * @param {Date|string} date - Date to check
+ * @param {Array} holidays - Holiday rules (see getHolidays); functions receive the date and return truthy for holidays
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {boolean} True if holiday
+ */
+function isHoliday(date, holidays = [], options = {}) {
+  const { year, month, day } = toZonedParts(date, options.timeZone);
+  if (holidayKeys(holidays, year).has(utcFromParts({ year, month, day }))) return true;
+  return holidays.some(rule => typeof rule === 'function' && Boolean(rule(new Date(date))));
+}
+
+/**
+ * Check if a date is a business day
+ * @param {Date|string} date - Date to check
+ * @param {Object} options - Options
+ * @param {Array<number>} options.weekend - Weekend days, 0 = Sunday (default: [0, 6])
+ * @param {Array} options.holidays - Holiday rules (see getHolidays)
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {boolean} True if business day
+ */
+function isBusinessDay(date, options = {}) {
+  const { weekend = [0, 6], holidays = [], timeZone } = options;
+  if (weekend.includes(toZonedParts(date, timeZone).weekday)) return false;
+  return !isHoliday(date, holidays, { timeZone });
+}
+
+/**
+ * Get the next business day after a date, keeping the time of day
+ * @param {Date|string} date - Base date
+ * @param {Object} options - Same options as isBusinessDay
+ * @returns {Date|null} Next business day, or null if there is none (see addBusinessDays)
+ */
+function nextBusinessDay(date, options = {}) {
+  return addBusinessDays(date, 1, options);
+}
+
+/**
+ * Get the last business day before a date, keeping the time of day
+ * @param {Date|string} date - Base date
+ * @param {Object} options - Same options as isBusinessDay
+ * @returns {Date|null} Previous business day, or null if there is none (see addBusinessDays)
+ */
+function previousBusinessDay(date, options = {}) {
+  return addBusinessDays(date, -1, options);
+}
+
+/**
+ * Add business days to a date, skipping weekends and holidays
+ *
+ * Gives up with null when ten years pass without a business day, as happens
+ * when the weekend and holidays (or a holiday function) cover every day.
+ * @param {Date|string} date - Base date
+ * @param {number} amount - Business days to add (negative to go back)
+ * @param {Object} options - Same options as isBusinessDay
+ * @returns {Date|null} New date, or null if amount is not finite or no business day can be reached
+ */
+function addBusinessDays(date, amount, options = {}) {
+  const { weekend = [0, 6] } = options;
+  if (!Number.isFinite(Number(amount))) return null;
+  const step = amount < 0 ? -1 : 1;
+  let remaining = Math.abs(Math.trunc(amount));
+  let result = new Date(date);
+  let skipped = 0;
+  
+  if (remaining > 0 && [0, 1, 2, 3, 4, 5, 6].every(day => weekend.includes(day))) return null;
+  
+  while (remaining > 0) {
+    result = addDays(result, step, options);
+    if (isBusinessDay(result, options)) {
+      remaining--;
+      skipped = 0;
+    } else if (++skipped >= MAX_NON_BUSINESS_DAYS) {
+      return null;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Count the business days from one date to another
+ *
+ * Counts business days after start up to and including end, so
+ * addBusinessDays(start, diffInBusinessDays(start, end)) lands on end
+ * when end is a business day.
+ * @param {Date|string} start - Start date
+ * @param {Date|string} end - End date
+ * @param {Object} options - Same options as isBusinessDay
+ * @returns {number} Business days (negative when end is before start)
+ */
+function diffInBusinessDays(start, end, options = {}) {
+  const { timeZone } = options;
+  const from = calendarDayKey(start, timeZone);
+  const to = calendarDayKey(end, timeZone);
+  const step = to < from ? -1 : 1;
+  let count = 0;
+  
+  for (let key = from + step * MS_PER_DAY; step > 0 ? key <= to : key >= to; key += step * MS_PER_DAY) {
+    const d = new Date(key);
+    const day = fromZonedParts({ year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate(), hours: 12 }, timeZone);
+    if (isBusinessDay(day, options)) count += step;
+  }
+  
+  return count;
+}
+
+/**
+ * Normalize an interval to Date bounds in chronological order
+ * @param {Object|Array} interval - { start, end } or [start, end]
+ * @returns {Object|null} { start, end }, or null if either bound is missing or not a valid date
+ */
+function toInterval(interval) {
+  if (!interval) return null;
+  const [a, b] = Array.isArray(interval) ? interval : [interval.start, interval.end];
+  if (a === undefined || a === null || b === undefined || b === null) return null;
+  const start = new Date(a);
+  const end = new Date(b);
+  if (isNaN(start) || isNaN(end)) return null;
+  return start <= end ? { start, end } : { start: end, end: start };
+}
+
+/**
+ * Get the start of the unit period containing a date
+ * @param {Date} date - Input date
+ * @param {string} unit - 'hour', 'day', 'week', 'month' or 'year'
+ * @param {Object} options - Week and timeZone options
+ * @returns {Date} Start of the period
+ */
+function startOfUnit(date, unit, options) {
+  switch (unit) {
+    case 'hour': {
+      const parts = toZonedParts(date, options.timeZone);
+      return fromZonedParts({ ...parts, minutes: 0, seconds: 0, milliseconds: 0 }, options.timeZone);
+    }
+    case 'week': return startOfWeek(date, options);
+    case 'month': return startOfMonth(date, options);
+    case 'year': return startOfYear(date, options);
+    default: return startOfDay(date, options);
+  }
+}
+
+/**
+ * Get the start of the nth unit period after a period start
+ * @param {Date} start - Start of a period
+ * @param {string} unit - 'hour', 'day', 'week', 'month' or 'year'
+ * @param {number} n - Number of periods
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Start of the later period
+ */
+function addUnits(start, unit, n, timeZone) {
+  switch (unit) {
+    case 'hour': return new Date(start.getTime() + n * 3600000);
+    case 'week': return shiftDate(start, { weeks: n }, timeZone);
+    case 'month': return shiftDate(start, { months: n }, timeZone);
+    case 'year': return shiftDate(start, { years: n }, timeZone);
+    default: return shiftDate(start, { days: n }, timeZone);
+  }
+}
+
+/**
+ * List the unit periods touched by an interval
+ * @param {Object|Array} interval - { start, end } or [start, end]
+ * @param {string} unit - 'hour', 'day', 'week', 'month' or 'year'
+ * @param {Object} options - Bounds, week and timeZone options
+ * @returns {Array<Date>} Period starts, or an empty array for an invalid interval
+ */
+function eachUnit(interval, unit, options) {
+  const { bounds = '[)' } = options;
+  const range = toInterval(interval);
+  if (!range) return [];
+  const { start, end } = range;
+  const first = startOfUnit(start, unit, options);
+  const result = [];
+  
+  for (let i = 0; ; i++) {
+    const current = addUnits(first, unit, i, options.timeZone);
+    if (isNaN(current) || current > end || (bounds[1] === ')' && current.getTime() === end.getTime() && i > 0)) break;
+    // Stop rather than spin if a period fails to move the cursor forward
+    if (result.length > 0 && current <= result[result.length - 1]) break;
+    result.push(current);
+  }
+  
+  return result;
+}
+
+/**
+ * Check if a date falls inside an interval
+ * @param {Object|Array} interval - { start, end } or [start, end]
+ * @param {Date|string} date - Date to check
+ * @param {Object} options - Options
+ * @param {string} options.bounds - '[)', '[]', '(]' or '()' (default: '[)')
+ * @returns {boolean} True if inside (false for an invalid interval)
+ */
+function intervalContains(interval, date, options = {}) {
+  const { bounds = '[)' } = options;
+  const range = toInterval(interval);
+  if (!range) return false;
+  const { start, end } = range;
+  const d = new Date(date);
+  const afterStart = bounds[0] === '[' ? d >= start : d > start;
+  const beforeEnd = bounds[1] === ']' ? d <= end : d < end;
+  return afterStart && beforeEnd;
+}
+
+/**
+ * Check if two intervals overlap
+ *
+ * With half-open bounds ('[)', the default) intervals that only touch, such
+ * as 9:00-10:00 and 10:00-11:00, do not overlap; with '[]' they do.
+ * @param {Object|Array} a - First interval
+ * @param {Object|Array} b - Second interval
+ * @param {Object} options - Options
+ * @param {string} options.bounds - '[)', '[]', '(]' or '()' (default: '[)')
+ * @returns {boolean} True if the intervals share at least one instant (false if either is invalid)
+ */
+function intervalOverlaps(a, b, options = {}) {
+  const { bounds = '[)' } = options;
+  const x = toInterval(a);
+  const y = toInterval(b);
+  if (!x || !y) return false;
+  const start = Math.max(x.start, y.start);
+  const end = Math.min(x.end, y.end);
+  return start < end || (start === end && bounds === '[]');
+}
+
+/**
+ * Get the overlapping part of two intervals
+ * @param {Object|Array} a - First interval
+ * @param {Object|Array} b - Second interval
+ * @param {Object} options - Options
+ * @param {string} options.bounds - '[)', '[]', '(]' or '()' (default: '[)')
+ * @returns {Object|null} { start, end } or null if they do not overlap or either is invalid
+ */
+function intervalIntersection(a, b, options = {}) {
+  if (!intervalOverlaps(a, b, options)) return null;
+  const x = toInterval(a);
+  const y = toInterval(b);
+  return { start: new Date(Math.max(x.start, y.start)), end: new Date(Math.min(x.end, y.end)) };
+}
+
+/**
+ * Merge overlapping and touching intervals
+ *
+ * Touching intervals are merged unless both ends are open ('()'), where
+ * the shared instant belongs to neither.
+ * @param {Array<Object|Array>} intervals - Intervals to merge
+ * @param {Object} options - Options
+ * @param {string} options.bounds - '[)', '[]', '(]' or '()' (default: '[)')
+ * @returns {Array<Object>} Merged intervals sorted by start; invalid intervals are skipped
+ */
+function mergeIntervals(intervals, options = {}) {
+  const { bounds = '[)' } = options;
+  const sorted = intervals.map(toInterval).filter(Boolean).sort((a, b) => a.start - b.start);
+  const merged = [];
+  
+  for (const current of sorted) {
+    const last = merged[merged.length - 1];
+    const joins = last && (current.start < last.end || (current.start.getTime() === last.end.getTime() && bounds !== '()'));
+    if (joins) {
+      if (current.end > last.end) last.end = current.end;
+    } else {
+      merged.push({ start: current.start, end: current.end });
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Remove one interval from another
+ * @param {Object|Array} interval - Interval to subtract from
+ * @param {Object|Array} remove - Interval to remove
+ * @param {Object} options - Options
+ * @param {string} options.bounds - '[)', '[]', '(]' or '()' (default: '[)')
+ * @returns {Array<Object>} Zero, one or two remaining intervals (none if interval is invalid)
+ */
+function subtractInterval(interval, remove, options = {}) {
+  const a = toInterval(interval);
+  const b = toInterval(remove);
+  if (!a) return [];
+  if (!b || !intervalOverlaps(a, b, options)) return [a];
+  
+  const result = [];
+  if (b.start > a.start) result.push({ start: a.start, end: b.start });
+  if (b.end < a.end) result.push({ start: b.end, end: a.end });
+  return result;
+}
+
+/**
+ * Find the gaps that intervals leave uncovered within a bounding range
+ * @param {Array<Object|Array>} intervals - Busy intervals
+ * @param {Object|Array} range - Bounding interval
+ * @param {Object} options - Options
+ * @param {string} options.bounds - '[)', '[]', '(]' or '()' (default: '[)')
+ * @returns {Array<Object>} Free intervals sorted by start (none if range is invalid)
+ */
+function intervalGaps(intervals, range, options = {}) {
+  const bounding = toInterval(range);
+  if (!bounding) return [];
+  const gaps = [];
+  let cursor = bounding.start;
+  
+  for (const busy of mergeIntervals(intervals, options)) {
+    if (busy.end <= cursor) continue;
+    if (busy.start >= bounding.end) break;
+    if (busy.start > cursor) gaps.push({ start: cursor, end: busy.start });
+    cursor = busy.end;
+  }
+  
+  if (cursor < bounding.end) gaps.push({ start: cursor, end: bounding.end });
+  return gaps;
+}
+
+/**
+ * List the days an interval touches
+ * @param {Object|Array} interval - { start, end } or [start, end]
+ * @param {Object} options - Options
+ * @param {string} options.bounds - With ')' a day starting exactly at the end is left out (default: '[)')
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Array<Date>} Midnight of each day
+ */
+function eachDayOfInterval(interval, options = {}) {
+  return eachUnit(interval, 'day', options);
+}
+
+/**
+ * List the weeks an interval touches
+ * @param {Object|Array} interval - { start, end } or [start, end]
+ * @param {Object} options - Options
+ * @param {string} options.bounds - With ')' a week starting exactly at the end is left out (default: '[)')
+ * @param {number} options.weekStartsOn - First day of the week, 0 = Sunday
+ * @param {string} options.locale - Locale to take the week start from
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Array<Date>} Start of each week
+ */
+function eachWeekOfInterval(interval, options = {}) {
+  return eachUnit(interval, 'week', options);
+}
+
+/**
+ * List the months an interval touches
+ * @param {Object|Array} interval - { start, end } or [start, end]
+ * @param {Object} options - Options
+ * @param {string} options.bounds - With ')' a month starting exactly at the end is left out (default: '[)')
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Array<Date>} First day of each month
+ */
+function eachMonthOfInterval(interval, options = {}) {
+  return eachUnit(interval, 'month', options);
+}
+
+/**
+ * Split an interval at unit boundaries
+ * @param {Object|Array} interval - { start, end } or [start, end]
+ * @param {string} unit - 'hour', 'day', 'week', 'month' or 'year'
+ * @param {Object} options - Options
+ * @param {number} options.weekStartsOn - First day of the week, 0 = Sunday
+ * @param {string} options.locale - Locale to take the week start from
+ * @param {string} options.timeZone - IANA time zone (default: host local time)
+ * @returns {Array<Object>} Consecutive intervals covering the original, or none for an invalid interval
+ */
+function splitInterval(interval, unit, options = {}) {
+  const range = toInterval(interval);
+  if (!range) return [];
+  const { start, end } = range;
+  const pieces = [];
+  let cursor = start;
+  
+  for (const boundary of eachUnit({ start, end }, unit, { ...options, bounds: '[)' }).slice(1)) {
+    pieces.push({ start: cursor, end: boundary });
+    cursor = boundary;
+  }
+  
+  pieces.push({ start: cursor, end });
+  return pieces;
+}
+
+
+module.exports.toZonedParts = toZonedParts;
+module.exports.fromZonedParts = fromZonedParts;
 module.exports.formatDate = formatDate;
+module.exports.relativeTime = relativeTime;
 module.exports.timeAgo = timeAgo;
 module.exports.addDays = addDays;
 module.exports.addMonths = addMonths;
@@ -422,6 +2358,8 @@ module.exports.addYears = addYears;
 module.exports.subDays = subDays;
 module.exports.subMonths = subMonths;
 module.exports.subYears = subYears;
+module.exports.add = add;
+module.exports.sub = sub;
 module.exports.diffInDays = diffInDays;
 module.exports.diffInHours = diffInHours;
 module.exports.diffInMinutes = diffInMinutes;
@@ -431,6 +2369,7 @@ module.exports.isTomorrow = isTomorrow;
 module.exports.isLeapYear = isLeapYear;
 module.exports.startOfDay = startOfDay;
 module.exports.endOfDay = endOfDay;
+module.exports.getLocaleWeekInfo = getLocaleWeekInfo;
 module.exports.startOfWeek = startOfWeek;
 module.exports.endOfWeek = endOfWeek;
 module.exports.startOfMonth = startOfMonth;
@@ -440,6 +2379,11 @@ module.exports.endOfYear = endOfYear;
 module.exports.daysInMonth = daysInMonth;
 module.exports.dayOfYear = dayOfYear;
 module.exports.weekOfYear = weekOfYear;
+module.exports.isoWeek = isoWeek;
+module.exports.isoWeekYear = isoWeekYear;
+module.exports.formatIsoWeekDate = formatIsoWeekDate;
+module.exports.parseIsoWeekDate = parseIsoWeekDate;
+module.exports.parseDateResult = parseDateResult;
 module.exports.parseDate = parseDate;
 module.exports.isBetween = isBetween;
 module.exports.maxDate = maxDate;
@@ -447,4 +2391,37 @@ module.exports.minDate = minDate;
 module.exports.getTimezoneOffset = getTimezoneOffset;
 module.exports.toISOString = toISOString;
 module.exports.toUnixTimestamp = toUnixTimestamp;
-module.exports.fromUnixTimestamp = fromUnixTimestamp;
\ No newline at end of file
+module.exports.fromUnixTimestamp = fromUnixTimestamp;
+module.exports.createDuration = createDuration;
+module.exports.parseDuration = parseDuration;
+module.exports.formatDuration = formatDuration;
+module.exports.durationFromMs = durationFromMs;
+module.exports.durationBetween = durationBetween;
+module.exports.normalizeDuration = normalizeDuration;
+module.exports.durationToMs = durationToMs;
+module.exports.addDuration = addDuration;
+module.exports.subDuration = subDuration;
+module.exports.humanizeDuration = humanizeDuration;
+module.exports.parseRRule = parseRRule;
+module.exports.formatRRule = formatRRule;
+module.exports.iterateRRule = iterateRRule;
+module.exports.rruleBetween = rruleBetween;
+module.exports.rruleNext = rruleNext;
+module.exports.easterSunday = easterSunday;
+module.exports.getHolidays = getHolidays;
+module.exports.isHoliday = isHoliday;
+module.exports.isBusinessDay = isBusinessDay;
+module.exports.nextBusinessDay = nextBusinessDay;
+module.exports.previousBusinessDay = previousBusinessDay;
+module.exports.addBusinessDays = addBusinessDays;
+module.exports.diffInBusinessDays = diffInBusinessDays;
+module.exports.intervalContains = intervalContains;
+module.exports.intervalOverlaps = intervalOverlaps;
+module.exports.intervalIntersection = intervalIntersection;
+module.exports.mergeIntervals = mergeIntervals;
+module.exports.subtractInterval = subtractInterval;
+module.exports.intervalGaps = intervalGaps;
+module.exports.eachDayOfInterval = eachDayOfInterval;
+module.exports.eachWeekOfInterval = eachWeekOfInterval;
+module.exports.eachMonthOfInterval = eachMonthOfInterval;
+module.exports.splitInterval = splitInterval;
\ No newline at end of file
@@ -3,8 +3,8 @@
  * Node.js file system operations made simple
  */
 
-import { readFileSync, writeFileSync, existsSync, statSync, readdirSync, mkdirSync, unlinkSync, copyFileSync } from 'fs';
-import { join, extname, basename, dirname, resolve } from 'path';
+const { readFileSync, writeFileSync, existsSync, statSync, readdirSync, mkdirSync, unlinkSync, copyFileSync } = require('fs');
+const { join, extname, basename, dirname, resolve } = require('path');
 
 /**
  * Check if file or directory exists
@@ -15,6 +15,7 @@ const fsUtils = require('./fs.cjs');
 const cryptoUtils = require('./crypto.cjs');
 const colorUtils = require('./color.cjs');
 const urlUtils = require('./url.cjs');
+const randomUtils = require('./random.cjs');
 
 // Export individual functions
 Object.assign(module.exports, stringUtils);
@@ -28,6 +29,7 @@ Object.assign(module.exports, fsUtils);
 Object.assign(module.exports, cryptoUtils);
 Object.assign(module.exports, colorUtils);
 Object.assign(module.exports, urlUtils);
+Object.assign(module.exports, randomUtils);
 
 // Export grouped modules
 module.exports.stringUtils = stringUtils;
@@ -41,6 +43,7 @@ module.exports.fsUtils = fsUtils;
 module.exports.cryptoUtils = cryptoUtils;
 module.exports.colorUtils = colorUtils;
 module.exports.urlUtils = urlUtils;
+module.exports.randomUtils = randomUtils;
 
 // Default export with all functions
 const defaultExport = {
@@ -74,6 +77,9 @@ const defaultExport = {
   // URL utilities (15+ functions)
   ...urlUtils,
   
+  // Random source utilities
+  ...randomUtils,
+  
   // Miscellaneous utilities
   ...miscUtils
 };
@@ -15,6 +15,7 @@ import * as fsUtils from './fs.js';
 import * as cryptoUtils from './crypto.js';
 import * as colorUtils from './color.js';
 import * as urlUtils from './url.js';
+import * as randomUtils from './random.js';
 
 // Export individual modules
 export * from './string.js';
@@ -28,6 +29,7 @@ export * from './fs.js';
 export * from './crypto.js';
 export * from './color.js';
 export * from './url.js';
+export * from './random.js';
 
 // Export grouped modules
 export {
@@ -41,7 +43,8 @@ export {
   fsUtils,
   cryptoUtils,
   colorUtils,
-  urlUtils
+  urlUtils,
+  randomUtils
 };
 
 // Default export with all functions
@@ -76,6 +79,9 @@ export default {
   // URL utilities (15+ functions)
   ...urlUtils,
   
+  // Random source utilities
+  ...randomUtils,
+  
   // Miscellaneous utilities
   ...miscUtils
 };
@@ -2,16 +2,495 @@
  * Miscellaneous utility functions
  */
 
+const { getRandomValues, randomFromAlphabet } = require('./random.cjs');
+const { utf8Encode, encodeBase32 } = require('./string.cjs');
+
+// Well-known namespaces for name-based UUIDs (RFC 9562 appendix A)
+const UUID_NAMESPACES = {
+  dns: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
+  url: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
+  oid: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
+  x500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8'
+};
+
+// Milliseconds between the Gregorian epoch (1582-10-15) used by UUID v1 and the Unix epoch
+const GREGORIAN_OFFSET = 12219292800000;
+
+// KSUID timestamps count seconds from 2014-05-13T16:53:20Z
+const KSUID_EPOCH = 1400000000;
+
+// Crockford Base32, as used by ULID
+const ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Base62, as used by KSUID
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// URL-safe alphabet for compactId
+const COMPACT_ID_ALPHABET = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+
+// Largest timestamps the ID formats can hold: 60 bits of 100ns (v1), 48 bits of ms (v7, ULID), 32 bits of s (KSUID)
+const UUID_V1_MAX_MS = 2 ** 60 / 10000 - GREGORIAN_OFFSET;
+const MS_48_BIT_MAX = 2 ** 48;
+const KSUID_MAX_SECONDS = 2 ** 32;
+
+// UUID v3/v5 hash with the MD5 and SHA-1 below rather than Node's crypto module:
+// 'ultra-utils/misc' has to load in browsers, and only the fs and crypto modules
+// may import Node built-ins. The digests only feed name-based UUIDs.
+
+// MD5 additive constants, floor(abs(sin(i + 1)) * 2^32)
+const MD5_K = [
+  0xD76AA478, 0xE8C7B756, 0x242070DB, 0xC1BDCEEE, 0xF57C0FAF, 0x4787C62A, 0xA8304613, 0xFD469501,
+  0x698098D8, 0x8B44F7AF, 0xFFFF5BB1, 0x895CD7BE, 0x6B901122, 0xFD987193, 0xA679438E, 0x49B40821,
+  0xF61E2562, 0xC040B340, 0x265E5A51, 0xE9B6C7AA, 0xD62F105D, 0x02441453, 0xD8A1E681, 0xE7D3FBC8,
+  0x21E1CDE6, 0xC33707D6, 0xF4D50D87, 0x455A14ED, 0xA9E3E905, 0xFCEFA3F8, 0x676F02D9, 0x8D2A4C8A,
+  0xFFFA3942, 0x8771F681, 0x6D9D6122, 0xFDE5380C, 0xA4BEEA44, 0x4BDECFA9, 0xF6BB4B60, 0xBEBFBC70,
+  0x289B7EC6, 0xEAA127FA, 0xD4EF3085, 0x04881D05, 0xD9D4D039, 0xE6DB99E5, 0x1FA27CF8, 0xC4AC5665,
+  0xF4292244, 0x432AFF97, 0xAB9423A7, 0xFC93A039, 0x655B59C3, 0x8F0CCC92, 0xFFEFF47D, 0x85845DD1,
+  0x6FA87E4F, 0xFE2CE6E0, 0xA3014314, 0x4E0811A1, 0xF7537E82, 0xBD3AF235, 0x2AD7D2BB, 0xEB86D391
+];
+
+// MD5 per-round left rotation amounts
+const MD5_SHIFTS = [[7, 12, 17, 22], [5, 9, 14, 20], [4, 11, 16, 23], [6, 10, 15, 21]];
+
+// Per-process state keeping v1 and v7 UUIDs and monotonic ULIDs in generation order
+const idState = {
+  v1: { msecs: -Infinity, nsecs: 0, clockSeq: null, node: null },
+  v7: { msecs: -Infinity, counter: 0 },
+  ulid: { msecs: -Infinity, random: null }
+};
+
+/**
+ * Format 16 bytes as a hyphenated UUID
+ * @param {Uint8Array} bytes - UUID bytes
+ * @returns {string} UUID string
+ */
+function formatUuid(bytes) {
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Set the version and RFC 4122 variant bits of UUID bytes
+ * @param {Uint8Array} bytes - UUID bytes, modified in place
+ * @param {number} version - UUID version
+ * @returns {Uint8Array} The same bytes
+ */
+function stampUuid(bytes, version) {
+  bytes[6] = (bytes[6] & 0x0F) | (version << 4);
+  bytes[8] = (bytes[8] & 0x3F) | 0x80;
+  return bytes;
+}
+
+/**
+ * Read a time option as Unix milliseconds
+ * @param {Date|number} time - Date or milliseconds
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Accepted values are below this
+ * @returns {number|null} Milliseconds, or null if time is not a valid date or number in range
+ */
+function toMillis(time, min, max) {
+  const msecs = time instanceof Date ? time.getTime() : typeof time === 'number' ? Math.floor(time) : NaN;
+  return msecs >= min && msecs < max ? msecs : null;
+}
+
+/**
+ * Split a message into 32-bit words with MD5/SHA-1 padding and the bit length appended
+ * @param {Uint8Array} data - Message bytes
+ * @param {boolean} bigEndian - Big-endian words and length (SHA-1) instead of little-endian (MD5)
+ * @returns {Uint32Array} Padded words, a multiple of 16 long
+ */
+function padMessage(data, bigEndian) {
+  const words = new Uint32Array((((data.length + 8) >>> 6) + 1) * 16);
+  const shift = i => (bigEndian ? 24 - (i % 4) * 8 : (i % 4) * 8);
+  data.forEach((byte, i) => { words[i >>> 2] |= byte << shift(i); });
+  words[data.length >>> 2] |= 0x80 << shift(data.length);
+  const lengthLow = (data.length * 8) >>> 0;
+  const lengthHigh = Math.floor(data.length / 2 ** 29);
+  words[words.length - (bigEndian ? 1 : 2)] = lengthLow;
+  words[words.length - (bigEndian ? 2 : 1)] = lengthHigh;
+  return words;
+}
+
+/**
+ * Write 32-bit words as bytes
+ * @param {number[]} words - Words
+ * @param {boolean} bigEndian - Most significant byte first
+ * @returns {Uint8Array} Bytes
+ */
+function wordsToBytes(words, bigEndian) {
+  return Uint8Array.from({ length: words.length * 4 }, (_, i) => {
+    const shift = bigEndian ? 24 - (i % 4) * 8 : (i % 4) * 8;
+    return (words[i >>> 2] >>> shift) & 0xFF;
+  });
+}
+
+/**
+ * MD5 digest, kept here so UUID v3 needs no platform crypto module
+ * @param {Uint8Array} data - Message bytes
+ * @returns {Uint8Array} 16-byte digest
+ */
+function md5Digest(data) {
+  const words = padMessage(data, false);
+  const hash = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476];
+  
+  for (let block = 0; block < words.length; block += 16) {
+    let [a, b, c, d] = hash;
+    for (let i = 0; i < 64; i++) {
+      const round = i >>> 4;
+      const f = round === 0 ? (b & c) | (~b & d) : round === 1 ? (d & b) | (~d & c) : round === 2 ? b ^ c ^ d : c ^ (b | ~d);
+      const g = round === 0 ? i : round === 1 ? (5 * i + 1) % 16 : round === 2 ? (3 * i + 5) % 16 : (7 * i) % 16;
+      const sum = (a + f + MD5_K[i] + words[block + g]) | 0;
+      const shift = MD5_SHIFTS[round][i % 4];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+    hash[0] = (hash[0] + a) | 0;
+    hash[1] = (hash[1] + b) | 0;
+    hash[2] = (hash[2] + c) | 0;
+    hash[3] = (hash[3] + d) | 0;
+  }
+  return wordsToBytes(hash, false);
+}
+
+/**
+ * SHA-1 digest, kept here so UUID v5 needs no platform crypto module
+ * @param {Uint8Array} data - Message bytes
+ * @returns {Uint8Array} 20-byte digest
+ */
+function sha1Digest(data) {
+  const words = padMessage(data, true);
+  const hash = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+  const schedule = new Int32Array(80);
+  
+  for (let block = 0; block < words.length; block += 16) {
+    for (let t = 0; t < 80; t++) {
+      const x = t < 16 ? words[block + t] : schedule[t - 3] ^ schedule[t - 8] ^ schedule[t - 14] ^ schedule[t - 16];
+      schedule[t] = t < 16 ? x : (x << 1) | (x >>> 31);
+    }
+    let [a, b, c, d, e] = hash;
+    for (let t = 0; t < 80; t++) {
+      const f = t < 20 ? (b & c) | (~b & d) : t < 40 || t >= 60 ? b ^ c ^ d : (b & c) | (b & d) | (c & d);
+      const k = t < 20 ? 0x5A827999 : t < 40 ? 0x6ED9EBA1 : t < 60 ? 0x8F1BBCDC : 0xCA62C1D6;
+      const temp = (((a << 5) | (a >>> 27)) + f + e + k + schedule[t]) | 0;
+      e = d;
+      d = c;
+      c = (b << 30) | (b >>> 2);
+      b = a;
+      a = temp;
+    }
+    hash[0] = (hash[0] + a) | 0;
+    hash[1] = (hash[1] + b) | 0;
+    hash[2] = (hash[2] + c) | 0;
+    hash[3] = (hash[3] + d) | 0;
+    hash[4] = (hash[4] + e) | 0;
+  }
+  return wordsToBytes(hash, true);
+}
+
 /**
  * Generate a UUID v4
  * @returns {string} UUID string
  */
 function uuid() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
+  return formatUuid(stampUuid(getRandomValues(16), 4));
+}
+
+/**
+ * Generate a time-based UUID v1
+ *
+ * The node ID is random (with the multicast bit set, as RFC 9562 requires
+ * for non-MAC nodes), so no hardware address is exposed. IDs generated in
+ * the same millisecond are ordered by a sub-millisecond counter.
+ * @param {Object} options - Options
+ * @param {Date|number} options.time - Generate for this time instead of now (skips the ordering state)
+ * @returns {string|null} UUID string, or null if time is invalid or before 1582-10-15
+ */
+function uuidV1(options = {}) {
+  const state = idState.v1;
+  if (state.node === null) {
+    const random = getRandomValues(8);
+    state.node = random.subarray(0, 6);
+    state.node[0] |= 0x01;
+    state.clockSeq = ((random[6] << 8) | random[7]) & 0x3FFF;
+  }
+  
+  let msecs;
+  let nsecs = 0;
+  if (options.time !== undefined) {
+    msecs = toMillis(options.time, -GREGORIAN_OFFSET, UUID_V1_MAX_MS);
+    if (msecs === null) return null;
+  } else {
+    msecs = Date.now();
+    if (msecs === state.msecs) {
+      nsecs = state.nsecs + 1;
+      if (nsecs >= 10000) {
+        msecs++;
+        nsecs = 0;
+      }
+    } else if (msecs < state.msecs) {
+      state.clockSeq = (state.clockSeq + 1) & 0x3FFF;
+    }
+    state.msecs = msecs;
+    state.nsecs = nsecs;
+  }
+  
+  // 100ns intervals since 1582, split so no intermediate exceeds 2^53
+  const gregorian = msecs + GREGORIAN_OFFSET;
+  const lowPart = (gregorian % 2 ** 28) * 10000 + nsecs;
+  const low = lowPart % 2 ** 32;
+  const high = Math.floor(gregorian / 2 ** 28) * 625 + Math.floor(lowPart / 2 ** 32);
+  
+  const bytes = new Uint8Array(16);
+  bytes[0] = low >>> 24;
+  bytes[1] = (low >>> 16) & 0xFF;
+  bytes[2] = (low >>> 8) & 0xFF;
+  bytes[3] = low & 0xFF;
+  bytes[4] = (high >>> 8) & 0xFF;
+  bytes[5] = high & 0xFF;
+  bytes[6] = (high >>> 24) & 0x0F;
+  bytes[7] = (high >>> 16) & 0xFF;
+  bytes[8] = state.clockSeq >>> 8;
+  bytes[9] = state.clockSeq & 0xFF;
+  bytes.set(state.node, 10);
+  return formatUuid(stampUuid(bytes, 1));
+}
+
+/**
+ * Generate a name-based UUID from a namespace and name
+ * @param {number} version - 3 (MD5) or 5 (SHA-1)
+ * @param {string|Uint8Array} name - Name (bytes are used as-is, anything else is converted to a UTF-8 string)
+ * @param {string} namespace - Namespace UUID, or 'dns', 'url', 'oid' or 'x500'
+ * @returns {string|null} UUID string, or null if the namespace is not a UUID
+ */
+function nameBasedUuid(version, name, namespace) {
+  const parsed = parseUuid(UUID_NAMESPACES[namespace] || namespace);
+  if (!parsed) return null;
+  const nameBytes = name instanceof Uint8Array ? name : utf8Encode(String(name));
+  const data = new Uint8Array(16 + nameBytes.length);
+  data.set(parsed.bytes);
+  data.set(nameBytes, 16);
+  
+  const digest = (version === 3 ? md5Digest : sha1Digest)(data);
+  return formatUuid(stampUuid(digest.slice(0, 16), version));
+}
+
+/**
+ * Generate a name-based UUID v3 (MD5); the same inputs always give the same UUID
+ * @param {string|Uint8Array} name - Name (bytes are used as-is, anything else is converted to a UTF-8 string)
+ * @param {string} namespace - Namespace UUID, or 'dns', 'url', 'oid' or 'x500'
+ * @returns {string|null} UUID string, or null if the namespace is not a UUID
+ */
+function uuidV3(name, namespace) {
+  return nameBasedUuid(3, name, namespace);
+}
+
+/**
+ * Generate a name-based UUID v5 (SHA-1); prefer this over v3 for new systems
+ * @param {string|Uint8Array} name - Name (bytes are used as-is, anything else is converted to a UTF-8 string)
+ * @param {string} namespace - Namespace UUID, or 'dns', 'url', 'oid' or 'x500'
+ * @returns {string|null} UUID string, or null if the namespace is not a UUID
+ */
+function uuidV5(name, namespace) {
+  return nameBasedUuid(5, name, namespace);
+}
+
+/**
+ * Generate a time-ordered UUID v7
+ *
+ * A 48-bit Unix millisecond timestamp followed by random bits, so IDs sort
+ * by creation time and index well as database keys. Within one millisecond
+ * a 12-bit counter keeps them in generation order.
+ * @param {Object} options - Options
+ * @param {Date|number} options.time - Generate for this time instead of now (skips the ordering state)
+ * @returns {string|null} UUID string, or null if time is invalid or outside 1970 to 10889
+ */
+function uuidV7(options = {}) {
+  const bytes = getRandomValues(16);
+  let msecs;
+  let counter = ((bytes[6] & 0x07) << 8) | bytes[7];
+  
+  if (options.time !== undefined) {
+    msecs = toMillis(options.time, 0, MS_48_BIT_MAX);
+    if (msecs === null) return null;
+  } else {
+    const state = idState.v7;
+    msecs = Date.now();
+    if (msecs <= state.msecs) {
+      msecs = state.msecs;
+      counter = state.counter + 1;
+      if (counter > 0xFFF) {
+        msecs++;
+        counter = ((bytes[6] & 0x07) << 8) | bytes[7];
+      }
+    }
+    state.msecs = msecs;
+    state.counter = counter;
+  }
+  
+  for (let i = 5, rest = msecs; i >= 0; i--, rest = Math.floor(rest / 256)) bytes[i] = rest % 256;
+  bytes[6] = counter >>> 8;
+  bytes[7] = counter & 0xFF;
+  return formatUuid(stampUuid(bytes, 7));
+}
+
+/**
+ * Parse a UUID
+ * @param {string} id - UUID, optionally in braces or with a 'urn:uuid:' prefix
+ * @returns {Object|null} { version, variant, bytes, timestamp } where variant is 'ncs', 'rfc4122', 'microsoft' or 'future'
+ *   and timestamp is a Date for v1 and v7 (null otherwise); null if id is not a UUID
+ */
+function parseUuid(id) {
+  const text = String(id ?? '').trim().replace(/^urn:uuid:/i, '');
+  const inner = /^\{.*\}$/.test(text) ? text.slice(1, -1) : text;
+  const match = /^([0-9a-f]{8})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{12})$/i.exec(inner);
+  if (!match) return null;
+  const hex = match.slice(1).join('');
+  const bytes = Uint8Array.from({ length: 16 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+  
+  const version = bytes[6] >>> 4;
+  const variant = bytes[8] < 0x80 ? 'ncs' : bytes[8] < 0xC0 ? 'rfc4122' : bytes[8] < 0xE0 ? 'microsoft' : 'future';
+  let timestamp = null;
+  
+  if (variant === 'rfc4122' && version === 7) {
+    timestamp = new Date(bytes.subarray(0, 6).reduce((sum, byte) => sum * 256 + byte, 0));
+  } else if (variant === 'rfc4122' && version === 1) {
+    const low = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    const high = ((bytes[6] & 0x0F) << 24) | (bytes[7] << 16) | (bytes[4] << 8) | bytes[5];
+    // (high * 2^32 + low) / 10000 without exceeding 2^53: 2^32 / 10000 = 2^28 / 625
+    const gregorian = Math.floor(high / 625) * 2 ** 28 + Math.floor(((high % 625) * 2 ** 32 + low) / 10000);
+    timestamp = new Date(gregorian - GREGORIAN_OFFSET);
+  }
+  
+  return { version, variant, bytes, timestamp };
+}
+
+/**
+ * Check if a value is a UUID
+ *
+ * Accepts RFC 9562 UUIDs of versions 1-8 plus the nil and max UUIDs.
+ * @param {*} value - Value to check
+ * @param {number} version - Require this version (optional)
+ * @returns {boolean} True if value is a UUID (of the given version)
+ */
+function isUuid(value, version) {
+  if (typeof value !== 'string') return false;
+  const parsed = parseUuid(value);
+  if (!parsed) return false;
+  const special = parsed.bytes.every(byte => byte === 0) || parsed.bytes.every(byte => byte === 0xFF);
+  if (!special && (parsed.variant !== 'rfc4122' || parsed.version < 1 || parsed.version > 8)) return false;
+  return version === undefined || parsed.version === version;
+}
+
+/**
+ * Generate a ULID: 26 Crockford Base32 characters, sortable by creation time
+ * @param {Object} options - Options
+ * @param {Date|number} options.time - Timestamp to encode (default: now)
+ * @param {boolean} options.monotonic - Within the same millisecond, increment the previous ULID's random part
+ *   instead of drawing a new one, so IDs sort in generation order (default: false)
+ * @returns {string|null} ULID, or null if time is invalid or outside 1970 to 10889
+ */
+function ulid(options = {}) {
+  const { time = Date.now(), monotonic = false } = options;
+  let msecs = toMillis(time, 0, MS_48_BIT_MAX);
+  if (msecs === null) return null;
+  let random = getRandomValues(10);
+  
+  if (monotonic) {
+    const state = idState.ulid;
+    if (msecs <= state.msecs) {
+      msecs = state.msecs;
+      random = Uint8Array.from(state.random);
+      let i = random.length - 1;
+      while (i >= 0 && random[i] === 0xFF) random[i--] = 0;
+      if (i >= 0) random[i]++;
+      else msecs++;
+    }
+    state.msecs = msecs;
+    state.random = random;
+  }
+  
+  let timePart = '';
+  for (let i = 0, rest = msecs; i < 10; i++, rest = Math.floor(rest / 32)) timePart = ULID_ALPHABET[rest % 32] + timePart;
+  return timePart + encodeBase32(random, { crockford: true });
+}
+
+/**
+ * Generate a KSUID: 27 Base62 characters holding a timestamp in seconds and 128 random bits
+ * @param {Object} options - Options
+ * @param {Date|number} options.time - Timestamp to encode (default: now)
+ * @returns {string|null} KSUID, or null if time is invalid or outside 2014-05-13 to 2150
+ */
+function ksuid(options = {}) {
+  const { time = Date.now() } = options;
+  const msecs = toMillis(time, KSUID_EPOCH * 1000, (KSUID_EPOCH + KSUID_MAX_SECONDS) * 1000);
+  if (msecs === null) return null;
+  const seconds = Math.floor(msecs / 1000) - KSUID_EPOCH;
+  const bytes = new Uint8Array(20);
+  bytes[0] = seconds >>> 24;
+  bytes[1] = (seconds >>> 16) & 0xFF;
+  bytes[2] = (seconds >>> 8) & 0xFF;
+  bytes[3] = seconds & 0xFF;
+  bytes.set(getRandomValues(16), 4);
+  
+  let digits = Array.from(bytes);
+  let result = '';
+  while (digits.length > 0) {
+    const quotient = [];
+    let remainder = 0;
+    for (const digit of digits) {
+      const value = remainder * 256 + digit;
+      remainder = value % 62;
+      if (quotient.length > 0 || value >= 62) quotient.push(Math.floor(value / 62));
+    }
+    result = BASE62_ALPHABET[remainder] + result;
+    digits = quotient;
+  }
+  return result.padStart(27, '0');
+}
+
+/**
+ * Generate a compact random ID (nanoid-style)
+ * @param {number} size - Length in characters (default: 21, about 126 bits with the default alphabet)
+ * @param {string} alphabet - Characters to use (default: URL-safe A-Z, a-z, 0-9, '_' and '-')
+ * @returns {string} Random ID
+ */
+function compactId(size = 21, alphabet = COMPACT_ID_ALPHABET) {
+  return randomFromAlphabet(size, alphabet);
+}
+
+/**
+ * Extract the creation time from a time-based ID
+ * @param {string} id - UUID v1 or v7, ULID or KSUID
+ * @returns {Date|null} Creation time, or null if the ID carries no timestamp
+ */
+function idTimestamp(id) {
+  const value = String(id ?? '').trim();
+  const parsed = parseUuid(value);
+  if (parsed) return parsed.timestamp;
+  
+  if (/^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i.test(value)) {
+    const msecs = [...value.slice(0, 10).toUpperCase()].reduce((sum, char) => sum * 32 + ULID_ALPHABET.indexOf(char), 0);
+    return new Date(msecs);
+  }
+  
+  if (/^[0-9A-Za-z]{27}$/.test(value)) {
+    const bytes = new Array(20).fill(0);
+    for (const char of value) {
+      let carry = BASE62_ALPHABET.indexOf(char);
+      for (let i = bytes.length - 1; i >= 0; i--) {
+        const product = bytes[i] * 62 + carry;
+        bytes[i] = product % 256;
+        carry = Math.floor(product / 256);
+      }
+      if (carry > 0) return null;
+    }
+    const seconds = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    return new Date((seconds + KSUID_EPOCH) * 1000);
+  }
+  
+  return null;
 }
 
 /**
@@ -63,5 +542,15 @@ function colorize(text, color) {
 
 
 module.exports.uuid = uuid;
+module.exports.uuidV1 = uuidV1;
+module.exports.uuidV3 = uuidV3;
+module.exports.uuidV5 = uuidV5;
+module.exports.uuidV7 = uuidV7;
+module.exports.parseUuid = parseUuid;
+module.exports.isUuid = isUuid;
+module.exports.ulid = ulid;
+module.exports.ksuid = ksuid;
+module.exports.compactId = compactId;
+module.exports.idTimestamp = idTimestamp;
 module.exports.copyToClipboard = copyToClipboard;
 module.exports.colorize = colorize;
\ No newline at end of file
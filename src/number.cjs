@@ -36,8 +36,9 @@ function bytes(bytes, decimals = 2) {
   const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
   
   const i = Math.floor(Math.log(bytes) / Math.log(k));
+  const value = parseFloat((bytes / Math.pow(k, i)).toFixed(dm));
   
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+  return value + ' ' + (i === 0 && pluralCategory(value) === 'one' ? 'Byte' : sizes[i]);
 }
 
 /**
@@ -262,6 +263,64 @@ function ordinal(num) {
   return num + (suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]);
 }
 
+// Intl.PluralRules instances keyed by locale and type, created on first use (null where unavailable)
+const pluralRules = new Map();
+
+/**
+ * Get cached plural rules, or null where Intl.PluralRules is missing or rejects the locale
+ * @param {string} locale - BCP 47 locale
+ * @param {string} type - 'cardinal' or 'ordinal'
+ * @returns {Intl.PluralRules|null} Plural rules
+ */
+function getPluralRules(locale, type) {
+  const key = `${locale}|${type}`;
+  if (!pluralRules.has(key)) {
+    let rules = null;
+    if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+      try {
+        rules = new Intl.PluralRules(locale, { type });
+      } catch (error) {
+        rules = null;
+      }
+    }
+    pluralRules.set(key, rules);
+  }
+  return pluralRules.get(key);
+}
+
+/**
+ * Get the plural category of a number for a locale
+ * @param {number} count - Number to classify
+ * @param {Object} options - Options
+ * @param {string} options.locale - Locale whose plural rules apply (default: en-US)
+ * @param {string} options.type - 'cardinal' (1 item) or 'ordinal' (1st item) (default: 'cardinal')
+ * @returns {string} 'zero', 'one', 'two', 'few', 'many' or 'other'
+ */
+function pluralCategory(count, options = {}) {
+  const { locale = 'en-US', type = 'cardinal' } = options;
+  const rules = getPluralRules(locale, type);
+  if (rules) return rules.select(count);
+  return type === 'cardinal' && Math.abs(count) === 1 ? 'one' : 'other';
+}
+
+/**
+ * Pick and fill the plural form that matches a count
+ *
+ * Forms are keyed by plural category, with optional exact matches such as
+ * '=0' taking precedence; '#' is replaced with the locale-formatted count.
+ * @param {number} count - Number the text refers to
+ * @param {Object} forms - e.g. { one: '# file', few: '# files', other: '# files' }
+ * @param {Object} options - Options
+ * @param {string} options.locale - Locale for plural rules and number formatting (default: en-US)
+ * @param {string} options.type - 'cardinal' or 'ordinal' (default: 'cardinal')
+ * @returns {string} Formatted text, falling back to the 'other' form
+ */
+function formatPlural(count, forms, options = {}) {
+  const { locale = 'en-US' } = options;
+  const form = forms[`=${count}`] ?? forms[pluralCategory(count, options)] ?? forms.other ?? '';
+  return form.replace(/#/g, () => Number(count).toLocaleString(locale));
+}
+
 
 module.exports.commaNumber = commaNumber;
 module.exports.randomInt = randomInt;
@@ -285,4 +344,6 @@ module.exports.distance = distance;
 module.exports.lerp = lerp;
 module.exports.mapRange = mapRange;
 module.exports.fibonacci = fibonacci;
-module.exports.ordinal = ordinal;
\ No newline at end of file
+module.exports.ordinal = ordinal;
+module.exports.pluralCategory = pluralCategory;
+module.exports.formatPlural = formatPlural;
\ No newline at end of file
@@ -373,7 +373,6 @@ module.exports.pick = pick;
 module.exports.keys = keys;
 module.exports.values = values;
 module.exports.flatten = flatten;
-module.exports.recurse = recurse;
 module.exports.unflatten = unflatten;
 module.exports.invert = invert;
 module.exports.mapValues = mapValues;
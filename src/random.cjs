@@ -0,0 +1,168 @@
+/**
+ * Random utility functions
+ * One CSPRNG-backed random source shared by the string, array, misc and crypto modules
+ */
+
+// Bytes drawn from the CSPRNG in one call and handed out as needed (getRandomValues allows up to 65536)
+const POOL_SIZE = 256;
+
+// Unused CSPRNG bytes, refilled when exhausted
+let pool = new Uint8Array(0);
+let poolOffset = 0;
+
+// The installed random source, or null for the CSPRNG
+let randomSource = null;
+
+// Secure fill for runtimes without globalThis.crypto, registered by the Node-only crypto module
+let randomFallback = null;
+
+/**
+ * Fill a byte array from the platform CSPRNG
+ * @param {Uint8Array} bytes - Array to fill
+ * @returns {Uint8Array} The same array
+ */
+function fillSecure(bytes) {
+  if (typeof globalThis.crypto?.getRandomValues === 'function') return globalThis.crypto.getRandomValues(bytes);
+  if (randomFallback) return randomFallback(bytes);
+  throw new Error('No secure random source: globalThis.crypto.getRandomValues is missing; import the crypto module or call setRandomSource');
+}
+
+/**
+ * Get random bytes from the current random source
+ *
+ * This is the CSPRNG (globalThis.crypto.getRandomValues, or node:crypto on
+ * older Node.js versions) unless setRandomSource installed another source.
+ * @param {number} size - Number of bytes
+ * @param {Object} options - Options
+ * @param {boolean} options.secure - Always use the CSPRNG, ignoring an installed source (default: false)
+ * @returns {Uint8Array} Random bytes
+ * @throws {RangeError} If an installed source returns fewer bytes than requested
+ */
+function getRandomValues(size, options = {}) {
+  if (randomSource && !options.secure) {
+    const bytes = Uint8Array.from(randomSource(size) || []);
+    if (bytes.length < size) throw new RangeError(`Random source returned ${bytes.length} bytes, expected ${size}`);
+    return bytes.subarray(0, size);
+  }
+  
+  const bytes = new Uint8Array(size);
+  for (let filled = 0; filled < size;) {
+    if (poolOffset >= pool.length) {
+      pool = fillSecure(new Uint8Array(Math.min(Math.max(POOL_SIZE, size - filled), 65536)));
+      poolOffset = 0;
+    }
+    const take = Math.min(size - filled, pool.length - poolOffset);
+    bytes.set(pool.subarray(poolOffset, poolOffset + take), filled);
+    poolOffset += take;
+    filled += take;
+  }
+  return bytes;
+}
+
+/**
+ * Get an unbiased random integer in [0, max)
+ *
+ * Draws that would favour low values (the remainder after the largest
+ * multiple of max) are rejected and redrawn instead of taken modulo max.
+ * @param {number} max - Exclusive upper bound, up to 2^53
+ * @param {Object} options - Options for getRandomValues
+ * @returns {number} Random integer
+ * @throws {RangeError} If max is not finite or above 2^53
+ */
+function randomBelow(max, options = {}) {
+  if (!(max > 1)) return 0;
+  if (!(max <= 2 ** 53)) throw new RangeError(`randomBelow bound must be a finite number up to 2^53, got ${max}`);
+  const bound = Math.floor(max);
+  const wide = bound > 2 ** 32;
+  const range = wide ? 2 ** 53 : 2 ** 32;
+  const limit = range - (range % bound);
+  
+  for (;;) {
+    const bytes = getRandomValues(wide ? 7 : 4, options);
+    if (wide) bytes[0] &= 0x1F;
+    const value = bytes.reduce((sum, byte) => sum * 256 + byte, 0);
+    if (value < limit) return value % bound;
+  }
+}
+
+/**
+ * Generate a random string from an alphabet without modulo bias
+ * @param {number} length - Number of symbols
+ * @param {string|Array<string>} alphabet - Symbols to draw from (a string is split into code points)
+ * @param {Object} options - Options for getRandomValues
+ * @returns {string} Random string
+ */
+function randomFromAlphabet(length, alphabet, options = {}) {
+  const symbols = Array.isArray(alphabet) ? alphabet : [...String(alphabet)];
+  if (symbols.length === 0) return '';
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += symbols[randomBelow(symbols.length, options)];
+  }
+  return result;
+}
+
+/**
+ * Create a seeded pseudo-random source for reproducible output
+ *
+ * Not cryptographically secure; meant for tests and simulations.
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Source (size) => Uint8Array for setRandomSource
+ */
+function createSeededRandom(seed) {
+  let state = 2166136261;
+  for (const char of String(seed)) state = Math.imul(state ^ char.codePointAt(0), 16777619);
+  
+  return size => {
+    const bytes = new Uint8Array(size);
+    let word = 0;
+    for (let i = 0; i < size; i++) {
+      if (i % 4 === 0) {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        word = (t ^ (t >>> 14)) >>> 0;
+      }
+      bytes[i] = (word >>> ((i % 4) * 8)) & 255;
+    }
+    return bytes;
+  };
+}
+
+/**
+ * Replace the random source used by randomString, uuid, ulid, compactId, shuffle and sample
+ *
+ * The source is process-wide: with a seeded source installed, every
+ * module's IDs and random strings become predictable. Only randomToken,
+ * randomHex and hashPassword salts stay on the CSPRNG, so install a source
+ * only in tests and simulations and restore the previous one afterwards.
+ * @param {Function|null} source - (size) => Uint8Array, e.g. from createSeededRandom; null restores the CSPRNG
+ * @returns {Function|null} The previous source, so it can be restored
+ */
+function setRandomSource(source) {
+  const previous = randomSource;
+  randomSource = typeof source === 'function' ? source : null;
+  return previous;
+}
+
+/**
+ * Set the secure fill used where globalThis.crypto is missing
+ *
+ * The crypto module registers node:crypto here, so this module itself
+ * stays free of Node.js imports and bundles for the browser.
+ * @param {Function|null} fill - (bytes: Uint8Array) => Uint8Array filling the array in place
+ * @returns {Function|null} The previous fallback
+ */
+function setRandomFallback(fill) {
+  const previous = randomFallback;
+  randomFallback = typeof fill === 'function' ? fill : null;
+  return previous;
+}
+
+
+module.exports.getRandomValues = getRandomValues;
+module.exports.randomBelow = randomBelow;
+module.exports.randomFromAlphabet = randomFromAlphabet;
+module.exports.createSeededRandom = createSeededRandom;
+module.exports.setRandomSource = setRandomSource;
+module.exports.setRandomFallback = setRandomFallback;
\ No newline at end of file
@@ -3,21 +3,121 @@
  * Rivals and surpasses Lodash, Ramda, and other popular libraries
  */
 
+const { get } = require('./object.cjs');
+const { formatDate } = require('./date.cjs');
+const { commaNumber, round, toCurrency, toPercent, ordinal, pluralCategory } = require('./number.cjs');
+const { randomFromAlphabet } = require('./random.cjs');
+
+// Transliterations for letters that do not decompose into ASCII plus
+// combining marks, and for the Cyrillic and Greek alphabets
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i', ħ: 'h', ŋ: 'ng',
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'yo', є: 'ye', ж: 'zh', з: 'z',
+  и: 'i', і: 'i', ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r',
+  с: 's', т: 't', у: 'u', ф: 'f', х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'y',
+  ь: '', э: 'e', ю: 'yu', я: 'ya',
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l',
+  μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f',
+  χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+// Language-specific spellings that take precedence over TRANSLITERATIONS
+const LOCALE_TRANSLITERATIONS = {
+  de: { ä: 'ae', ö: 'oe', ü: 'ue' },
+  da: { æ: 'ae', ø: 'oe', å: 'aa' },
+  nb: { æ: 'ae', ø: 'oe', å: 'aa' },
+  nn: { æ: 'ae', ø: 'oe', å: 'aa' },
+  no: { æ: 'ae', ø: 'oe', å: 'aa' }
+};
+
+/**
+ * Transliterate text to Latin letters
+ *
+ * Cyrillic and Greek are romanized, special Latin letters are spelled out
+ * and remaining diacritics are removed. Uppercase letters stay uppercase,
+ * spelled out in full inside all-caps words (Ж → Zh, ЖУК → ZHUK).
+ * Letters from other scripts pass through unchanged.
+ * @param {string} text - Text to transliterate
+ * @param {Object} options - Options
+ * @param {string} options.locale - Language rules, e.g. 'de' for ä → ae or 'da' for å → aa
+ * @returns {string} Transliterated text
+ */
+function transliterate(text, options = {}) {
+  const language = String(options.locale || '').toLowerCase().split(/[-_]/)[0];
+  const table = { ...TRANSLITERATIONS, ...LOCALE_TRANSLITERATIONS[language] };
+  
+  const chars = Array.from(String(text ?? '').normalize('NFC'));
+  const isUpper = char => char !== undefined && char !== char.toLowerCase();
+  
+  return chars.map((char, i) => {
+    const lower = char.toLowerCase();
+    const mapped = table[lower] ?? table[lower.normalize('NFD').charAt(0)];
+    if (mapped === undefined) return char;
+    if (char === lower) return mapped;
+    return isUpper(chars[i + 1]) || isUpper(chars[i - 1])
+      ? mapped.toUpperCase()
+      : mapped.charAt(0).toUpperCase() + mapped.slice(1);
+  })
+    .join('')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '');
+}
+
 /**
  * Convert string to URL-friendly slug
  * @param {string} text - Text to slugify
+ * @param {Object} options - Options
+ * @param {string} options.separator - Word separator (default: '-')
+ * @param {boolean} options.lowercase - Lowercase the result (default: true)
+ * @param {number} options.maxLength - Maximum length, cut at a word boundary where possible
+ * @param {Object|Array} options.replacements - Custom replacements applied first, e.g. { '&': 'and' }
+ * @param {string} options.locale - Transliteration rules, e.g. 'de' for ä → ae
  * @returns {string} Slugified string
  */
-function slugify(text) {
-  return text
-    .toString()
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, '-')           // Replace spaces with -
-    .replace(/[^\w\-]+/g, '')       // Remove all non-word chars
-    .replace(/\-\-+/g, '-')         // Replace multiple - with single -
-    .replace(/^-+/, '')             // Trim - from start of text
-    .replace(/-+$/, '');            // Trim - from end of text
+function slugify(text, options = {}) {
+  const { separator = '-', lowercase = true, maxLength, replacements = {}, locale } = options;
+  const pairs = Array.isArray(replacements) ? replacements : Object.entries(replacements);
+  
+  let value = String(text ?? '');
+  for (const [from, to] of pairs) value = value.split(from).join(` ${to} `);
+  
+  const slugWords = transliterate(value, { locale })
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => (lowercase ? word.toLocaleLowerCase(locale) : word));
+  
+  let slug = slugWords.join(separator);
+  if (maxLength === undefined || slug.length <= maxLength) return slug;
+  
+  slug = '';
+  for (const word of slugWords) {
+    const next = slug ? slug + separator + word : word;
+    if (next.length > maxLength) break;
+    slug = next;
+  }
+  return slug || slugWords[0].slice(0, maxLength);
+}
+
+/**
+ * Make a slug unique against slugs already in use
+ *
+ * Appends -2, -3, ... (with the chosen separator) until the slug is free.
+ * The existing collection is not modified.
+ * @param {string} text - Text to slugify
+ * @param {Set|Array<string>} existing - Slugs already taken
+ * @param {Object} options - Same options as slugify
+ * @returns {string} Unused slug
+ */
+function uniqueSlug(text, existing, options = {}) {
+  const { separator = '-' } = options;
+  const taken = existing instanceof Set ? existing : new Set(existing);
+  const base = slugify(text, options);
+  if (!taken.has(base)) return base;
+  
+  let counter = 2;
+  while (taken.has(`${base}${separator}${counter}`)) counter++;
+  return `${base}${separator}${counter}`;
 }
 
 /**
@@ -35,63 +135,428 @@ function toTitleCase(text) {
 
 /**
  * Truncate string to specified length
+ *
+ * Lengths count grapheme clusters, so emoji and accented letters are never
+ * cut in half.
  * @param {string} text - Text to truncate
  * @param {number} length - Maximum length
  * @param {string} suffix - Suffix to add (default: '...')
  * @returns {string} Truncated string
  */
 function truncate(text, length, suffix = '...') {
-  if (text.length <= length) return text;
-  return text.slice(0, length - suffix.length) + suffix;
+  const clusters = graphemes(text);
+  if (clusters.length <= length) return text;
+  const keep = Math.max(0, length - graphemeLength(suffix));
+  return clusters.slice(0, keep).join('') + suffix;
+}
+
+// Boundaries inside a run of letters and digits: lower→upper ("fooBar") and
+// the last capital of an acronym starting a new word ("XMLHttp")
+const CASE_BOUNDARY = /(?<=[\p{Ll}\p{N}])(?=[\p{Lu}\p{Lt}])|(?<=[\p{Lu}\p{Lt}])(?=[\p{Lu}\p{Lt}][\p{Ll}])/u;
+const DIGIT_BOUNDARY = /(?<=\p{L}\p{M}*)(?=\p{N})|(?<=\p{N})(?=\p{L})/u;
+
+// Grapheme segmenter where Intl.Segmenter exists; otherwise GRAPHEME_FALLBACK
+// approximates clusters as a base character plus combining marks, variation
+// selectors, skin tones and zero-width-joined emoji, or a regional indicator pair
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+const GRAPHEME_FALLBACK = /\r\n|\p{RI}\p{RI}|[^](?:[\p{M}\uFE0F\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]|\u200D[^])*/gu;
+
+/**
+ * Split a string into grapheme clusters (user-perceived characters)
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Grapheme clusters
+ */
+function graphemes(text) {
+  const value = String(text ?? '');
+  if (graphemeSegmenter) return Array.from(graphemeSegmenter.segment(value), ({ segment }) => segment);
+  return value.match(GRAPHEME_FALLBACK) || [];
+}
+
+/**
+ * Count the user-perceived characters in a string
+ * @param {string} text - Text to measure
+ * @returns {number} Number of grapheme clusters
+ */
+function graphemeLength(text) {
+  return graphemes(text).length;
+}
+
+/**
+ * Build padding of an exact grapheme length by cycling through pad characters
+ * @param {string} chars - Characters to pad with
+ * @param {number} length - Padding length in graphemes
+ * @returns {string} Padding
+ */
+function buildPadding(chars, length) {
+  const units = graphemes(chars);
+  if (units.length === 0 || length <= 0) return '';
+  return Array.from({ length }, (_, i) => units[i % units.length]).join('');
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return String(text ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split text into words for case conversion
+ *
+ * Words break on anything that is not a letter, mark or number, on
+ * lower-to-upper transitions and before the last capital of an acronym, so
+ * "XMLHttpRequest" gives ["XML", "Http", "Request"]. Apostrophes are dropped
+ * rather than splitting ("don't" is one word).
+ * @param {string} text - Text to split
+ * @param {Object} options - Options
+ * @param {Array<string>} options.acronyms - Acronyms kept whole and spelled as given, e.g. ['ID', 'iOS'] (default: [])
+ * @param {boolean} options.splitNumbers - Also break between letters and digits (default: false)
+ * @returns {Array<string>} Words in their original case
+ */
+function splitWords(text, options = {}) {
+  const { acronyms = [], splitNumbers = false } = options;
+  const chunks = String(text ?? '').replace(/['’]/g, '').match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  const known = [...acronyms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const acronymPattern = known.length
+    ? new RegExp(`(?<![\\p{Lu}\\p{Lt}])(${known.join('|')})(?!\\p{Ll})`, 'u')
+    : null;
+  
+  const splitChunk = chunk => {
+    const parts = chunk.split(CASE_BOUNDARY);
+    return splitNumbers ? parts.flatMap(part => part.split(DIGIT_BOUNDARY)) : parts;
+  };
+  
+  const result = [];
+  for (const chunk of chunks) {
+    const pieces = acronymPattern ? chunk.split(acronymPattern) : [chunk];
+    pieces.forEach((piece, index) => {
+      if (!piece) return;
+      if (index % 2 === 1) result.push(piece);
+      else result.push(...splitChunk(piece));
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Tokenize text and join the words back in a given case style
+ * @param {string} text - Text to convert
+ * @param {Object} options - splitWords options plus locale
+ * @param {Function} format - Receives (word, index, acronym) and returns the cased word
+ * @param {string} separator - Joiner between words
+ * @returns {string} Converted string
+ */
+function convertCase(text, options, format, separator) {
+  const { acronyms = [], locale } = options;
+  const lower = word => word.toLocaleLowerCase(locale);
+  const upper = word => word.toLocaleUpperCase(locale);
+  const capital = word => {
+    const [first = ''] = word;
+    return upper(first) + lower(word.slice(first.length));
+  };
+  const preserved = new Map(acronyms.map(acronym => [lower(acronym), acronym]));
+  
+  return splitWords(text, options)
+    .map((word, index) => format({ word, index, acronym: preserved.get(lower(word)), lower, upper, capital }))
+    .join(separator);
 }
 
 /**
  * Convert string to camelCase
  * @param {string} text - Text to convert
+ * @param {Object} options - Options
+ * @param {Array<string>} options.acronyms - Acronyms to keep as spelled after the first word, e.g. ['ID'] gives 'userID'
+ * @param {boolean} options.splitNumbers - Break words between letters and digits (default: false)
+ * @param {string} options.locale - Locale for case mapping, e.g. 'tr'
  * @returns {string} camelCase string
  */
-function camelCase(text) {
-  return text
-    .replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => 
-      index === 0 ? word.toLowerCase() : word.toUpperCase())
-    .replace(/\s+/g, '');
+function camelCase(text, options = {}) {
+  return convertCase(text, options, ({ word, index, acronym, lower, capital }) =>
+    index === 0 ? lower(word) : acronym || capital(word), '');
 }
 
 /**
  * Convert string to PascalCase
  * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
  * @returns {string} PascalCase string
  */
-function pascalCase(text) {
-  return text
-    .replace(/(?:^\w|[A-Z]|\b\w)/g, word => word.toUpperCase())
-    .replace(/\s+/g, '');
+function pascalCase(text, options = {}) {
+  return convertCase(text, options, ({ word, acronym, capital }) => acronym || capital(word), '');
 }
 
 /**
  * Convert string to snake_case
  * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
  * @returns {string} snake_case string
  */
-function snakeCase(text) {
-  return text
-    .replace(/\W+/g, ' ')
-    .split(/ |\B(?=[A-Z])/)
-    .map(word => word.toLowerCase())
-    .join('_');
+function snakeCase(text, options = {}) {
+  return convertCase(text, options, ({ word, lower }) => lower(word), '_');
 }
 
 /**
  * Convert string to kebab-case
  * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
  * @returns {string} kebab-case string
  */
-function kebabCase(text) {
-  return text
-    .replace(/\W+/g, ' ')
-    .split(/ |\B(?=[A-Z])/)
-    .map(word => word.toLowerCase())
-    .join('-');
+function kebabCase(text, options = {}) {
+  return convertCase(text, options, ({ word, lower }) => lower(word), '-');
+}
+
+/**
+ * Convert string to CONSTANT_CASE
+ * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
+ * @returns {string} CONSTANT_CASE string
+ */
+function constantCase(text, options = {}) {
+  return convertCase(text, options, ({ word, upper }) => upper(word), '_');
+}
+
+/**
+ * Convert string to dot.case
+ * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
+ * @returns {string} dot.case string
+ */
+function dotCase(text, options = {}) {
+  return convertCase(text, options, ({ word, lower }) => lower(word), '.');
+}
+
+/**
+ * Convert string to path/case
+ * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
+ * @returns {string} path/case string
+ */
+function pathCase(text, options = {}) {
+  return convertCase(text, options, ({ word, lower }) => lower(word), '/');
+}
+
+/**
+ * Convert string to Sentence case
+ * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
+ * @returns {string} Sentence case string
+ */
+function sentenceCase(text, options = {}) {
+  return convertCase(text, options, ({ word, index, acronym, lower, capital }) =>
+    acronym || (index === 0 ? capital(word) : lower(word)), ' ');
+}
+
+/**
+ * Convert an identifier to Title Case
+ *
+ * Unlike toTitleCase, which capitalizes prose word by word, this splits
+ * identifiers first: titleCase('xmlHttpRequest') is 'Xml Http Request'.
+ * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
+ * @returns {string} Title Case string
+ */
+function titleCase(text, options = {}) {
+  return convertCase(text, options, ({ word, acronym, capital }) => acronym || capital(word), ' ');
+}
+
+/**
+ * Convert string to Train-Case
+ * @param {string} text - Text to convert
+ * @param {Object} options - Same options as camelCase
+ * @returns {string} Train-Case string
+ */
+function trainCase(text, options = {}) {
+  return convertCase(text, options, ({ word, acronym, capital }) => acronym || capital(word), '-');
+}
+
+// Inflection rules, checked from the most recently added backwards
+const PLURAL_RULES = [
+  [/s?$/i, 's'],
+  [/[^\u0000-\u007F]$/i, '$&'],
+  [/([^aeiou]ese)$/i, '$1'],
+  [/(ax|test)is$/i, '$1es'],
+  [/(alias|[^aou]us|t[lm]as|gas|ris)$/i, '$1es'],
+  [/(e[mn]u)s?$/i, '$1s'],
+  [/([^l]ias|[aeiou]las|[ejzr]as|[iu]am)$/i, '$1'],
+  [/(alumn|syllab|vir|radi|nucle|fung|cact|stimul|termin|bacill|foc|uter|loc|strat)(?:us|i)$/i, '$1i'],
+  [/(alumn|alg|vertebr)(?:a|ae)$/i, '$1ae'],
+  [/(seraph|cherub)(?:im)?$/i, '$1im'],
+  [/(her|at|gr)o$/i, '$1oes'],
+  [/(agend|addend|millenni|dat|extrem|bacteri|desiderat|strat|candelabr|errat|ov|symposi|curricul|automat|quor)(?:a|um)$/i, '$1a'],
+  [/(apheli|hyperbat|periheli|asyndet|noumen|phenomen|criteri|organ|prolegomen|hedr|automat)(?:a|on)$/i, '$1a'],
+  [/sis$/i, 'ses'],
+  [/(?:(kni|wi|li)fe|(ar|l|ea|eo|oa|hoo)f)$/i, '$1$2ves'],
+  [/([^aeiouy]|qu)y$/i, '$1ies'],
+  [/([^ch][ieo][ln])ey$/i, '$1ies'],
+  [/(x|ch|ss|sh|zz)$/i, '$1es'],
+  [/(matr|cod|mur|sil|vert|ind|append)(?:ix|ex)$/i, '$1ices'],
+  [/\b((?:tit)?m|l)(?:ice|ouse)$/i, '$1ice'],
+  [/(pe)(?:rson|ople)$/i, '$1ople'],
+  [/(child)(?:ren)?$/i, '$1ren'],
+  [/eaux$/i, '$&'],
+  [/m[ae]n$/i, 'men']
+];
+const SINGULAR_RULES = [
+  [/s$/i, ''],
+  [/(ss)$/i, '$1'],
+  [/(wi|kni|(?:after|half|high|low|mid|non|night|[^\w]|^)li)ves$/i, '$1fe'],
+  [/(ar|(?:wo|[ae])l|[eo][ao])ves$/i, '$1f'],
+  [/ies$/i, 'y'],
+  [/(dg|ss|ois|lk|ok|wn|mb|th|ch|ec|oal|is|ck|ix|sser|ts|wb)ies$/i, '$1ie'],
+  [/\b(l|(?:neck|cross|hog|aun)?t|coll|faer|food|gen|goon|group|hipp|junk|vegg|(?:pork)?p|charl|calor|cut)ies$/i, '$1ie'],
+  [/\b(mon|smil)ies$/i, '$1ey'],
+  [/\b((?:tit)?m|l)ice$/i, '$1ouse'],
+  [/(seraph|cherub)im$/i, '$1'],
+  [/(x|ch|ss|sh|zz|tto|go|cho|alias|[^aou]us|t[lm]as|gas|(?:her|at|gr)o|[aeiou]ris)(?:es)?$/i, '$1'],
+  [/(analy|diagno|parenthe|progno|synop|the|empha|cri|ne)(?:sis|ses)$/i, '$1sis'],
+  [/(movie|twelve|abuse|e[mn]u)s$/i, '$1'],
+  [/(test)(?:is|es)$/i, '$1is'],
+  [/(alumn|syllab|vir|radi|nucle|fung|cact|stimul|termin|bacill|foc|uter|loc|strat)(?:us|i)$/i, '$1us'],
+  [/(agend|addend|millenni|dat|extrem|bacteri|desiderat|strat|candelabr|errat|ov|symposi|curricul|quor)a$/i, '$1um'],
+  [/(apheli|hyperbat|periheli|asyndet|noumen|phenomen|criteri|organ|prolegomen|hedr|automat)a$/i, '$1on'],
+  [/(alumn|alg|vertebr)ae$/i, '$1a'],
+  [/(cod|mur|sil|vert|ind)ices$/i, '$1ex'],
+  [/(matr|append)ices$/i, '$1ix'],
+  [/(pe)(rson|ople)$/i, '$1rson'],
+  [/(child)ren$/i, '$1'],
+  [/(eau)x?$/i, '$1'],
+  [/men$/i, 'man']
+];
+
+// Irregular forms: singular → plural and plural → singular
+const IRREGULAR_PLURALS = {};
+const IRREGULAR_SINGULARS = {};
+[
+  ['I', 'we'], ['me', 'us'], ['he', 'they'], ['she', 'they'], ['them', 'them'], ['myself', 'ourselves'],
+  ['yourself', 'yourselves'], ['itself', 'themselves'], ['herself', 'themselves'], ['himself', 'themselves'],
+  ['is', 'are'], ['was', 'were'], ['has', 'have'], ['this', 'these'], ['that', 'those'],
+  ['echo', 'echoes'], ['dingo', 'dingoes'], ['volcano', 'volcanoes'], ['tornado', 'tornadoes'], ['torpedo', 'torpedoes'],
+  ['genus', 'genera'], ['viscus', 'viscera'], ['stigma', 'stigmata'], ['stoma', 'stomata'], ['dogma', 'dogmata'],
+  ['lemma', 'lemmata'], ['schema', 'schemata'], ['anathema', 'anathemata'], ['ox', 'oxen'], ['axe', 'axes'],
+  ['die', 'dice'], ['yes', 'yeses'], ['foot', 'feet'], ['eave', 'eaves'], ['goose', 'geese'], ['tooth', 'teeth'],
+  ['quiz', 'quizzes'], ['human', 'humans'], ['proof', 'proofs'], ['carve', 'carves'], ['valve', 'valves'],
+  ['thief', 'thieves'], ['groove', 'grooves'], ['pickaxe', 'pickaxes'], ['passerby', 'passersby'],
+  ['person', 'people'], ['child', 'children'], ['man', 'men'], ['woman', 'women'], ['mouse', 'mice']
+].forEach(([singular, plural]) => addIrregular(singular, plural));
+
+// Words with the same singular and plural form
+const UNCOUNTABLES = new Set(('adulthood advice aircraft alcohol ammo analytics anime athletics audio bison blood ' +
+  'bream buffalo butter carp cash chassis chess clothing cod commerce cooperation corps debris diabetes digestion elk ' +
+  'energy equipment excretion expertise firmware flounder fun gallows garbage graffiti hardware headquarters health ' +
+  'herpes homework housework information jeans justice kudos labour literature machinery mackerel mail media mews ' +
+  'moose music mud manga news personnel pike plankton pliers police pollution premises rain research rice salmon ' +
+  'scissors series sewage shambles shrimp software species staff swine tennis traffic transportation trout tuna ' +
+  'wealth welfare whiting wildebeest wildlife you').split(' '));
+const UNCOUNTABLE_RULES = [/pok[eé]mon$/i, /[^aeiou]ese$/i, /deer$/i, /fish$/i, /measles$/i, /o[iu]s$/i, /pox$/i, /sheep$/i];
+
+/**
+ * Apply the casing of an original word to its inflected form
+ * @param {string} original - Word as given
+ * @param {string} inflected - Inflected form
+ * @returns {string} Inflected form in the original's case
+ */
+function restoreCase(original, inflected) {
+  if (original === original.toUpperCase() && original !== original.toLowerCase() && original.length > 1) {
+    return inflected.toUpperCase();
+  }
+  if (original[0] === original[0].toUpperCase() && original[0] !== original[0].toLowerCase()) {
+    return inflected.charAt(0).toUpperCase() + inflected.slice(1);
+  }
+  return inflected;
+}
+
+/**
+ * Inflect a word with an irregular map, uncountables and a rule list
+ * @param {string} word - Word to inflect
+ * @param {Object} irregular - Irregular forms to convert from
+ * @param {Object} keep - Irregular forms that are already inflected
+ * @param {Array} rules - [pattern, replacement] rules, last added first
+ * @returns {string} Inflected word
+ */
+function inflect(word, irregular, keep, rules) {
+  const text = String(word ?? '');
+  const token = text.toLowerCase();
+  if (!token) return text;
+  if (Object.prototype.hasOwnProperty.call(keep, token)) return restoreCase(text, token);
+  if (Object.prototype.hasOwnProperty.call(irregular, token)) return restoreCase(text, irregular[token]);
+  if (UNCOUNTABLES.has(token) || UNCOUNTABLE_RULES.some(rule => rule.test(token))) return text;
+  
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const [pattern, replacement] = rules[i];
+    if (pattern.test(token)) return restoreCase(text, token.replace(pattern, replacement));
+  }
+  return text;
+}
+
+/**
+ * Get the plural form of an English word, or the form matching a count
+ *
+ * With a count the singular is returned when English plural rules call for
+ * it (count of 1). Case is preserved ('Box' → 'Boxes', 'BOX' → 'BOXES').
+ * @param {string} word - Singular or plural word
+ * @param {number} count - Optional count to agree with
+ * @param {Object} options - Options
+ * @param {boolean} options.inclusive - Prefix the count, e.g. '3 items' (default: false)
+ * @returns {string} Inflected word
+ */
+function pluralize(word, count, options = {}) {
+  const { inclusive = false } = options;
+  const singular = count !== undefined && pluralCategory(count) === 'one';
+  const form = singular
+    ? inflect(word, IRREGULAR_SINGULARS, IRREGULAR_PLURALS, SINGULAR_RULES)
+    : inflect(word, IRREGULAR_PLURALS, IRREGULAR_SINGULARS, PLURAL_RULES);
+  return inclusive && count !== undefined ? `${count} ${form}` : form;
+}
+
+/**
+ * Get the singular form of an English word
+ * @param {string} word - Plural or singular word
+ * @returns {string} Singular word
+ */
+function singularize(word) {
+  return inflect(word, IRREGULAR_SINGULARS, IRREGULAR_PLURALS, SINGULAR_RULES);
+}
+
+/**
+ * Register an irregular singular/plural pair
+ * @param {string} singular - Singular form
+ * @param {string} plural - Plural form
+ */
+function addIrregular(singular, plural) {
+  IRREGULAR_PLURALS[singular.toLowerCase()] = plural.toLowerCase();
+  IRREGULAR_SINGULARS[plural.toLowerCase()] = singular.toLowerCase();
+}
+
+/**
+ * Register a word or pattern whose plural equals its singular
+ * @param {string|RegExp} word - Word or pattern
+ */
+function addUncountable(word) {
+  if (word instanceof RegExp) UNCOUNTABLE_RULES.push(word);
+  else UNCOUNTABLES.add(String(word).toLowerCase());
+}
+
+/**
+ * Register a pluralization rule, checked before the built-in rules
+ * @param {RegExp} pattern - Pattern matched against the lowercase word
+ * @param {string} replacement - Replacement with $1-style references
+ */
+function addPluralRule(pattern, replacement) {
+  PLURAL_RULES.push([pattern, replacement]);
+}
+
+/**
+ * Register a singularization rule, checked before the built-in rules
+ * @param {RegExp} pattern - Pattern matched against the lowercase word
+ * @param {string} replacement - Replacement with $1-style references
+ */
+function addSingularRule(pattern, replacement) {
+  SINGULAR_RULES.push([pattern, replacement]);
 }
 
 /**
@@ -104,12 +569,12 @@ function capitalize(text) {
 }
 
 /**
- * Reverse a string
+ * Reverse a string by grapheme cluster, keeping emoji and accents intact
  * @param {string} text - Text to reverse
  * @returns {string} Reversed string
  */
 function reverse(text) {
-  return text.split('').reverse().join('');
+  return graphemes(text).reverse().join('');
 }
 
 /**
@@ -122,170 +587,1482 @@ function isPalindrome(text) {
   return cleaned === cleaned.split('').reverse().join('');
 }
 
+// Intl.Segmenter instances keyed by locale and granularity, created on first use (null where unavailable)
+const segmenters = new Map();
+
+// Words (with inner apostrophes, periods and hyphens) where Intl.Segmenter is unavailable; each Han ideograph counts as a word
+const WORD_FALLBACK = /\p{sc=Han}|(?:(?!\p{sc=Han})[\p{L}\p{M}\p{N}])+(?:['’.\-](?:(?!\p{sc=Han})[\p{L}\p{M}\p{N}])+)*/gu;
+
+// Sentences where Intl.Segmenter is unavailable: text up to terminal punctuation and closing quotes
+const SENTENCE_FALLBACK = /[^.!?…。！？]+(?:[.!?…。！？]+["'”’)\]]*|$)\s*/gu;
+
+// Common English words skipped by keywords
+const STOP_WORDS = new Set(`a about above after again against all am an and any are as at be because been
+before being below between both but by can could did do does doing down during each few for from
+further had has have having he her here hers herself him himself his how i if in into is it its
+itself just me more most my myself no nor not now of off on once only or other our ours ourselves
+out over own same she should so some such than that the their theirs them themselves then there
+these they this those through to too under until up very was we were what when where which while
+who whom why will with would you your yours yourself yourselves`.split(/\s+/));
+
+/**
+ * Segment text with a cached Intl.Segmenter
+ * @param {string} text - Text to segment
+ * @param {string} granularity - 'word' or 'sentence'
+ * @param {string} locale - BCP 47 locale
+ * @returns {Array<Object>|null} Segments { segment, index, isWordLike }, or null where Intl.Segmenter is missing or rejects the locale
+ */
+function segmentText(text, granularity, locale) {
+  const key = `${locale}|${granularity}`;
+  if (!segmenters.has(key)) {
+    let segmenter = null;
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      try {
+        segmenter = new Intl.Segmenter(locale, { granularity });
+      } catch (error) {
+        segmenter = null;
+      }
+    }
+    segmenters.set(key, segmenter);
+  }
+  const segmenter = segmenters.get(key);
+  return segmenter ? Array.from(segmenter.segment(text)) : null;
+}
+
 /**
  * Count words in string
  * @param {string} text - Text to count
+ * @param {Object} options - Options
+ * @param {string} options.locale - BCP 47 locale for word boundaries (default: 'en-US')
  * @returns {number} Word count
  */
-function wordCount(text) {
-  return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+function wordCount(text, options = {}) {
+  return words(text, options).length;
 }
 
 /**
  * Extract words from string
+ *
+ * Uses Intl.Segmenter, so contractions such as "don't" stay whole and
+ * scripts without spaces (Chinese, Japanese, Thai) split into real words.
+ * Without it (Node.js before 16) each Chinese or Japanese ideograph counts
+ * as a word and Thai runs are not split.
  * @param {string} text - Text to extract from
+ * @param {Object} options - Options
+ * @param {string} options.locale - BCP 47 locale for word boundaries (default: 'en-US')
  * @returns {Array} Array of words
  */
-function words(text) {
-  return text.match(/\b\w+\b/g) || [];
+function words(text, options = {}) {
+  const { locale = 'en-US' } = options;
+  const value = String(text ?? '');
+  const segments = segmentText(value, 'word', locale);
+  if (!segments) return value.match(WORD_FALLBACK) || [];
+  return segments.filter(segment => segment.isWordLike).map(segment => segment.segment);
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text to split
+ * @param {Object} options - Options
+ * @param {string} options.locale - BCP 47 locale for sentence boundaries (default: 'en-US')
+ * @returns {Array<string>} Trimmed, non-empty sentences
+ */
+function sentences(text, options = {}) {
+  const { locale = 'en-US' } = options;
+  const value = String(text ?? '');
+  const segments = segmentText(value, 'sentence', locale);
+  const parts = segments ? segments.map(segment => segment.segment) : value.match(SENTENCE_FALLBACK) || [];
+  return parts.map(part => part.trim()).filter(part => part.length > 0);
+}
+
+/**
+ * Split text into paragraphs at blank lines
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Trimmed, non-empty paragraphs
+ */
+function paragraphs(text) {
+  return String(text ?? '').split(/\n[ \t]*(?:\r?\n[ \t]*)+/).map(part => part.trim()).filter(part => part.length > 0);
+}
+
+/**
+ * Estimate the syllables in an English word
+ * @param {string} word - Word to count
+ * @returns {number} Syllable count (at least 1 for any word)
+ */
+function syllableCount(word) {
+  const value = String(word ?? '').normalize('NFD').toLowerCase().replace(/[^a-z]/g, '');
+  if (!value) return 0;
+  if (value.length <= 3) return 1;
+  const trimmed = value.replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+/**
+ * Estimate reading time
+ * @param {string} text - Text to read
+ * @param {Object} options - Options
+ * @param {number} options.wordsPerMinute - Reading speed (default: 200)
+ * @param {string} options.locale - BCP 47 locale for word boundaries (default: 'en-US')
+ * @returns {Object} { words, minutes, seconds, text } where minutes is rounded up and text reads like '3 min read'
+ */
+function readingTime(text, options = {}) {
+  const { wordsPerMinute = 200 } = options;
+  const count = wordCount(text, options);
+  const seconds = Math.round((count / wordsPerMinute) * 60);
+  const minutes = Math.ceil(count / wordsPerMinute);
+  return { words: count, minutes, seconds, text: `${Math.max(minutes, 1)} min read` };
+}
+
+/**
+ * Calculate the Flesch reading-ease score (higher is easier, 60-70 is plain English)
+ * @param {string} text - English text
+ * @returns {number|null} Score rounded to one decimal, or null for text without words
+ */
+function fleschReadingEase(text) {
+  const list = words(text);
+  if (list.length === 0) return null;
+  const syllables = list.reduce((sum, word) => sum + syllableCount(word), 0);
+  const sentenceTotal = Math.max(sentences(text).length, 1);
+  return round(206.835 - 1.015 * (list.length / sentenceTotal) - 84.6 * (syllables / list.length), 1);
+}
+
+/**
+ * Calculate the Flesch-Kincaid grade level (the US school grade needed to follow the text)
+ * @param {string} text - English text
+ * @returns {number|null} Grade rounded to one decimal, or null for text without words
+ */
+function fleschKincaidGrade(text) {
+  const list = words(text);
+  if (list.length === 0) return null;
+  const syllables = list.reduce((sum, word) => sum + syllableCount(word), 0);
+  const sentenceTotal = Math.max(sentences(text).length, 1);
+  return round(0.39 * (list.length / sentenceTotal) + 11.8 * (syllables / list.length) - 15.59, 1);
+}
+
+/**
+ * Summarize text for content insights
+ * @param {string} text - Text to analyze
+ * @param {Object} options - Options
+ * @param {string} options.locale - BCP 47 locale for word and sentence boundaries (default: 'en-US')
+ * @param {number} options.wordsPerMinute - Reading speed (default: 200)
+ * @returns {Object} { characters, charactersNoSpaces, words, sentences, paragraphs, readingTime, fleschReadingEase, fleschKincaidGrade }
+ */
+function textStats(text, options = {}) {
+  const value = String(text ?? '');
+  return {
+    characters: graphemeLength(value),
+    charactersNoSpaces: graphemeLength(value.replace(/\s+/g, '')),
+    words: wordCount(value, options),
+    sentences: sentences(value, options).length,
+    paragraphs: paragraphs(value).length,
+    readingTime: readingTime(value, options),
+    fleschReadingEase: fleschReadingEase(value),
+    fleschKincaidGrade: fleschKincaidGrade(value)
+  };
+}
+
+/**
+ * Find the most frequent meaningful words
+ * @param {string} text - Text to analyze
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum keywords to return (default: 10)
+ * @param {number} options.minLength - Shortest word to count, in graphemes (default: 3)
+ * @param {Iterable<string>} options.stopWords - Lowercase words to skip (default: common English words)
+ * @param {string} options.locale - BCP 47 locale for word boundaries and lowercasing (default: 'en-US')
+ * @returns {Array<Object>} { word, count, frequency } sorted by count, then first appearance; frequency is the share of all words
+ */
+function keywords(text, options = {}) {
+  const { limit = 10, minLength = 3, stopWords = STOP_WORDS, locale = 'en-US' } = options;
+  const skip = stopWords instanceof Set ? stopWords : new Set(stopWords);
+  const list = words(text, { locale }).map(word => word.toLocaleLowerCase(locale));
+  const counts = new Map();
+  
+  for (const word of list) {
+    if (skip.has(word) || graphemeLength(word) < minLength || /^[\p{N}.,]+$/u.test(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  
+  return [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([word, count]) => ({ word, count, frequency: round(count / list.length, 4) }));
+}
+
+/**
+ * Extract n-grams
+ * @param {string} text - Text to split
+ * @param {number} n - Items per n-gram (default: 2)
+ * @param {Object} options - Options
+ * @param {string} options.granularity - 'word' or 'char' (graphemes) (default: 'word')
+ * @param {string} options.locale - BCP 47 locale for word boundaries (default: 'en-US')
+ * @returns {Array<string>} N-grams in order; word n-grams are joined with a space
+ */
+function ngrams(text, n = 2, options = {}) {
+  const { granularity = 'word' } = options;
+  const items = granularity === 'char' ? graphemes(String(text ?? '')) : words(text, options);
+  const separator = granularity === 'char' ? '' : ' ';
+  const result = [];
+  for (let i = 0; n > 0 && i + n <= items.length; i++) result.push(items.slice(i, i + n).join(separator));
+  return result;
 }
 
 /**
- * Pad string to specified length
+ * Pad string on both sides to specified length
  * @param {string} text - Text to pad
- * @param {number} length - Target length
+ * @param {number} length - Target length in graphemes
  * @param {string} chars - Characters to pad with
  * @returns {string} Padded string
  */
 function pad(text, length, chars = ' ') {
-  const padLength = length - text.length;
+  const padLength = length - graphemeLength(text);
   if (padLength <= 0) return text;
   
   const leftPad = Math.floor(padLength / 2);
   const rightPad = padLength - leftPad;
   
-  return chars.repeat(leftPad) + text + chars.repeat(rightPad);
+  return buildPadding(chars, leftPad) + text + buildPadding(chars, rightPad);
 }
 
 /**
  * Pad string on the left
  * @param {string} text - Text to pad
- * @param {number} length - Target length
+ * @param {number} length - Target length in graphemes
  * @param {string} chars - Characters to pad with
  * @returns {string} Left-padded string
  */
 function padStart(text, length, chars = ' ') {
-  return text.padStart(length, chars);
+  return buildPadding(chars, length - graphemeLength(text)) + text;
 }
 
 /**
  * Pad string on the right
  * @param {string} text - Text to pad
- * @param {number} length - Target length
+ * @param {number} length - Target length in graphemes
  * @param {string} chars - Characters to pad with
  * @returns {string} Right-padded string
  */
 function padEnd(text, length, chars = ' ') {
-  return text.padEnd(length, chars);
+  return text + buildPadding(chars, length - graphemeLength(text));
 }
 
+// ANSI escape sequences (SGR colours, cursor movement, OSC hyperlinks)
+const ANSI_PATTERN = /[\u001B\u009B][[\]()#;?]*(?:(?:(?:[a-zA-Z\d]*(?:;[-a-zA-Z\d/#&.:=?%@~_]*)*)?\u0007)|(?:(?:\d{1,4}(?:;\d{0,4})*)?[\dA-PR-TZcf-ntqry=><~]))/g;
+const ANSI_RESET = '\u001B[0m';
+
+// SGR codes that switch attributes off, with the ranges of codes each one cancels
+const SGR_RESETS = {
+  22: [[1, 2]], 23: [[3, 3]], 24: [[4, 4], [21, 21]], 25: [[5, 6]], 27: [[7, 7]], 28: [[8, 8]], 29: [[9, 9]],
+  39: [[30, 38], [90, 97]], 49: [[40, 48], [100, 107]], 54: [[51, 52]], 55: [[53, 53]], 59: [[58, 58]]
+};
+
+// Code point ranges rendered two columns wide (East Asian Wide and Fullwidth)
+const WIDE_RANGES = [
+  [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF],
+  [0x4E00, 0x9FFF], [0xA000, 0xA4CF], [0xA960, 0xA97F], [0xAC00, 0xD7A3],
+  [0xF900, 0xFAFF], [0xFE10, 0xFE19], [0xFE30, 0xFE6F], [0xFF00, 0xFF60],
+  [0xFFE0, 0xFFE6], [0x1B000, 0x1B2FF], [0x1F200, 0x1F2FF], [0x20000, 0x3FFFD]
+];
+
 /**
- * Repeat string n times
- * @param {string} text - Text to repeat
- * @param {number} count - Number of repetitions
- * @returns {string} Repeated string
+ * Split text into ANSI escape sequences and visible grapheme clusters
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Tokens { value, ansi, width }
  */
-function repeat(text, count) {
-  return text.repeat(count);
+function ansiTokens(text) {
+  const value = String(text ?? '');
+  const tokens = [];
+  let last = 0;
+  
+  const pushVisible = visible => {
+    for (const cluster of graphemes(visible)) tokens.push({ value: cluster, ansi: false, width: clusterWidth(cluster) });
+  };
+  
+  for (const match of value.matchAll(ANSI_PATTERN)) {
+    pushVisible(value.slice(last, match.index));
+    tokens.push({ value: match[0], ansi: true, width: 0 });
+    last = match.index + match[0].length;
+  }
+  pushVisible(value.slice(last));
+  
+  return tokens;
 }
 
 /**
- * Remove HTML tags from string
- * @param {string} html - HTML string
- * @returns {string} Plain text
+ * Get the number of terminal columns a grapheme cluster occupies
+ * @param {string} cluster - Grapheme cluster
+ * @returns {number} 0, 1 or 2
  */
-function stripHtml(html) {
-  return html.replace(/<[^>]*>/g, '');
+function clusterWidth(cluster) {
+  const code = cluster.codePointAt(0);
+  if (code < 0x20 || (code >= 0x7F && code < 0xA0)) return 0;
+  if (/^[\p{M}\u200B-\u200F\u2060\uFEFF]+$/u.test(cluster)) return 0;
+  if (/\p{RI}/u.test(cluster)) return 2;
+  if (/\p{Extended_Pictographic}/u.test(cluster) && (/\p{Emoji_Presentation}/u.test(cluster) || cluster.includes('\uFE0F'))) return 2;
+  return WIDE_RANGES.some(([from, to]) => code >= from && code <= to) ? 2 : 1;
 }
 
 /**
- * Escape HTML characters
- * @param {string} text - Text to escape
- * @returns {string} Escaped HTML
+ * Update the list of active SGR styles after an escape sequence
+ *
+ * Combined sequences such as \e[0;1;31m are applied one code at a time
+ * (keeping 38;5;n and 38;2;r;g;b colours together), reset codes such as 22
+ * and 39 drop the styles they switch off, and a new colour replaces the
+ * previous one of the same kind.
+ * @param {Array<string>} styles - Active style sequences, one code each
+ * @param {string} sequence - Escape sequence
+ * @returns {Array<string>} Updated styles
  */
-function escapeHtml(text) {
-  const htmlEscapes = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#39;'
-  };
-  return text.replace(/[&<>"']/g, match => htmlEscapes[match]);
+function trackStyle(styles, sequence) {
+  const sgr = /^\u001B\[([\d;]*)m$/.exec(sequence);
+  if (!sgr) return styles;
+  
+  const params = sgr[1].split(';');
+  const codeOf = style => parseInt(style.slice(2), 10);
+  const cancel = (active, reset) => active.filter(style => !SGR_RESETS[reset].some(([from, to]) => codeOf(style) >= from && codeOf(style) <= to));
+  let active = styles;
+  
+  for (let i = 0; i < params.length; i++) {
+    const code = Number(params[i]);
+    const extended = code === 38 || code === 48 || code === 58 ? { 5: 3, 2: 5 }[params[i + 1]] || 1 : 1;
+    const style = `\u001B[${params.slice(i, i + extended).join(';')}m`;
+    i += extended - 1;
+    
+    if (code === 0) {
+      active = [];
+    } else if (SGR_RESETS[code]) {
+      active = cancel(active, code);
+    } else {
+      const colour = [39, 49, 59].find(reset => SGR_RESETS[reset].some(([from, to]) => code >= from && code <= to));
+      active = colour ? cancel(active, colour) : active.filter(existing => codeOf(existing) !== code);
+      active = [...active, style];
+    }
+  }
+  return active;
 }
 
 /**
- * Unescape HTML characters
- * @param {string} html - HTML to unescape
- * @returns {string} Unescaped text
+ * Remove ANSI escape sequences from a string
+ * @param {string} text - Text with escape codes
+ * @returns {string} Plain text
  */
-function unescapeHtml(html) {
-  const htmlUnescapes = {
-    '&amp;': '&',
-    '&lt;': '<',
-    '&gt;': '>',
-    '&quot;': '"',
-    '&#39;': "'"
-  };
-  return html.replace(/&(?:amp|lt|gt|quot|#39);/g, match => htmlUnescapes[match]);
+function stripAnsi(text) {
+  return String(text ?? '').replace(ANSI_PATTERN, '');
 }
 
 /**
- * Convert string to base64
- * @param {string} text - Text to encode
- * @returns {string} Base64 encoded string
+ * Get the number of terminal columns a string occupies
+ *
+ * ANSI escapes and combining marks take no space, CJK and emoji take two.
+ * @param {string} text - Text to measure
+ * @returns {number} Display width
  */
-function toBase64(text) {
-  if (typeof btoa !== 'undefined') {
-    return btoa(text);
-  }
-  // Node.js fallback
-  return Buffer.from(text, 'utf8').toString('base64');
+function displayWidth(text) {
+  return ansiTokens(text).reduce((width, token) => width + token.width, 0);
 }
 
 /**
- * Decode base64 string
- * @param {string} base64 - Base64 string to decode
- * @returns {string} Decoded string
+ * Build padding that fills an exact number of columns
+ * @param {string} chars - Characters to pad with
+ * @param {number} width - Columns to fill
+ * @returns {string} Padding, topped up with spaces if a wide character would overshoot
  */
-function fromBase64(base64) {
-  if (typeof atob !== 'undefined') {
-    return atob(base64);
+function buildWidthPadding(chars, width) {
+  const units = ansiTokens(chars).filter(token => token.width > 0);
+  let result = '';
+  let used = 0;
+  
+  for (let i = 0; units.length && used < width; i++) {
+    const unit = units[i % units.length];
+    if (used + unit.width > width) break;
+    result += unit.value;
+    used += unit.width;
   }
-  // Node.js fallback
-  return Buffer.from(base64, 'base64').toString('utf8');
+  
+  return result + ' '.repeat(Math.max(0, width - used));
 }
 
 /**
- * Generate random string
- * @param {number} length - Length of string
- * @param {string} chars - Characters to use
- * @returns {string} Random string
+ * Pad string on both sides to a display width
+ * @param {string} text - Text to pad (may contain ANSI escapes)
+ * @param {number} width - Target width in terminal columns
+ * @param {string} chars - Characters to pad with
+ * @returns {string} Padded string
  */
-function randomString(length, chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789') {
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
+function padWidth(text, width, chars = ' ') {
+  const padLength = width - displayWidth(text);
+  if (padLength <= 0) return text;
+  
+  const leftPad = Math.floor(padLength / 2);
+  return buildWidthPadding(chars, leftPad) + text + buildWidthPadding(chars, padLength - leftPad);
 }
 
 /**
- * Check if string starts with substring (case insensitive)
- * @param {string} text - Text to check
- * @param {string} searchString - String to search for
- * @returns {boolean} True if starts with
+ * Pad string on the left to a display width
+ * @param {string} text - Text to pad (may contain ANSI escapes)
+ * @param {number} width - Target width in terminal columns
+ * @param {string} chars - Characters to pad with
+ * @returns {string} Left-padded string
  */
-function startsWithIgnoreCase(text, searchString) {
-  return text.toLowerCase().startsWith(searchString.toLowerCase());
+function padStartWidth(text, width, chars = ' ') {
+  return buildWidthPadding(chars, width - displayWidth(text)) + text;
 }
 
 /**
- * Check if string ends with substring (case insensitive)
- * @param {string} text - Text to check
- * @param {string} searchString - String to search for
- * @returns {boolean} True if ends with
- */
+ * Pad string on the right to a display width
+ * @param {string} text - Text to pad (may contain ANSI escapes)
+ * @param {number} width - Target width in terminal columns
+ * @param {string} chars - Characters to pad with
+ * @returns {string} Right-padded string
+ */
+function padEndWidth(text, width, chars = ' ') {
+  return text + buildWidthPadding(chars, width - displayWidth(text));
+}
+
+/**
+ * Truncate string to a display width
+ *
+ * Escape codes are kept, and styles still open at the cut are reset after
+ * the suffix so colours do not leak into the rest of the terminal.
+ * @param {string} text - Text to truncate (may contain ANSI escapes)
+ * @param {number} width - Maximum width in terminal columns
+ * @param {string} suffix - Suffix to add (default: '...')
+ * @returns {string} Truncated string
+ */
+function truncateWidth(text, width, suffix = '...') {
+  if (displayWidth(text) <= width) return text;
+  
+  const room = Math.max(0, width - displayWidth(suffix));
+  let result = '';
+  let used = 0;
+  let styles = [];
+  
+  for (const token of ansiTokens(text)) {
+    if (token.ansi) {
+      result += token.value;
+      styles = trackStyle(styles, token.value);
+    } else if (used + token.width <= room) {
+      result += token.value;
+      used += token.width;
+    } else {
+      break;
+    }
+  }
+  
+  return result + suffix + (styles.length ? ANSI_RESET : '');
+}
+
+/**
+ * Wrap text to a display width
+ *
+ * Existing line breaks are kept. Styles open at the end of a line are reset
+ * there and reopened on the next line, so each line renders on its own.
+ * @param {string} text - Text to wrap (may contain ANSI escapes)
+ * @param {number} width - Maximum line width in terminal columns, including indent
+ * @param {Object} options - Options
+ * @param {boolean} options.hard - Break words longer than the width (default: false)
+ * @param {string} options.indent - Prefix for every line (default: '')
+ * @param {boolean} options.trim - Drop whitespace at the start and end of lines (default: true)
+ * @returns {string} Wrapped text
+ */
+function wordWrap(text, width, options = {}) {
+  const { hard = false, indent = '', trim = true } = options;
+  const available = Math.max(1, width - displayWidth(indent));
+  const lines = [];
+  
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+    let lineWidth = 0;
+    let pending = '';
+    
+    const flush = () => {
+      lines.push(trim ? line : line + pending);
+      line = '';
+      lineWidth = 0;
+      pending = '';
+    };
+    
+    for (const piece of paragraph.split(/(\s+)/)) {
+      if (!piece) continue;
+      if (/^\s+$/.test(piece)) {
+        pending += piece;
+        continue;
+      }
+      
+      const wordWidth = displayWidth(piece);
+      const gap = line || !trim ? pending : '';
+      const gapWidth = displayWidth(gap);
+      
+      if (lineWidth + gapWidth + wordWidth <= available || (lineWidth === 0 && !hard)) {
+        line += gap + piece;
+        lineWidth += gapWidth + wordWidth;
+        pending = '';
+      } else if (!hard || wordWidth <= available) {
+        flush();
+        line = piece;
+        lineWidth = wordWidth;
+      } else {
+        if (lineWidth + gapWidth < available) {
+          line += gap;
+          lineWidth += gapWidth;
+        } else if (lineWidth > 0) {
+          flush();
+        }
+        pending = '';
+        for (const token of ansiTokens(piece)) {
+          if (!token.ansi && lineWidth + token.width > available && lineWidth > 0) flush();
+          line += token.value;
+          lineWidth += token.width;
+        }
+      }
+    }
+    
+    if (!trim) line += pending;
+    lines.push(line);
+  }
+  
+  let styles = [];
+  return lines.map(line => {
+    const prefix = styles.join('');
+    for (const token of ansiTokens(line)) {
+      if (token.ansi) styles = trackStyle(styles, token.value);
+    }
+    return indent + prefix + line + (styles.length ? ANSI_RESET : '');
+  }).join('\n');
+}
+
+/**
+ * Repeat string n times
+ * @param {string} text - Text to repeat
+ * @param {number} count - Number of repetitions
+ * @returns {string} Repeated string
+ */
+function repeat(text, count) {
+  return text.repeat(count);
+}
+
+// Named character references from the WHATWG HTML list, grouped by what they
+// decode to (hex code points, '.'-separated for the few two-code-point
+// references); the first name in a group is the one encodeHtmlEntities uses
+const ENTITY_DATA = '9:Tab|A:NewLine|21:excl|22:quot QUOT|23:num|24:dollar|25:percnt|26:amp AMP|27:apos|28:lpar|29:rpar' +
+  '|2A:ast midast|2B:plus|2C:comma|2E:period|2F:sol|3A:colon|3B:semi|3C:lt LT|3C.20D2:nvlt|3D:equals|3D.20E5:bne' +
+  '|3E:gt GT|3E.20D2:nvgt|3F:quest|40:commat|5B:lsqb lbrack|5C:bsol|5D:rsqb rbrack|5E:Hat|5F:lowbar UnderBar' +
+  '|60:grave DiacriticalGrave|66.6A:fjlig|7B:lcub lbrace|7C:vert verbar VerticalLine|7D:rcub rbrace' +
+  '|A0:nbsp NonBreakingSpace|A1:iexcl|A2:cent|A3:pound|A4:curren|A5:yen|A6:brvbar|A7:sect' +
+  '|A8:uml Dot die DoubleDot|A9:copy COPY|AA:ordf|AB:laquo|AC:not|AD:shy|AE:reg REG circledR|AF:macr strns|B0:deg' +
+  '|B1:plusmn pm PlusMinus|B2:sup2|B3:sup3|B4:acute DiacriticalAcute|B5:micro|B6:para' +
+  '|B7:middot CenterDot centerdot|B8:cedil Cedilla|B9:sup1|BA:ordm|BB:raquo|BC:frac14|BD:frac12 half|BE:frac34' +
+  '|BF:iquest|C0:Agrave|C1:Aacute|C2:Acirc|C3:Atilde|C4:Auml|C5:Aring angst|C6:AElig|C7:Ccedil|C8:Egrave' +
+  '|C9:Eacute|CA:Ecirc|CB:Euml|CC:Igrave|CD:Iacute|CE:Icirc|CF:Iuml|D0:ETH|D1:Ntilde|D2:Ograve|D3:Oacute|D4:Ocirc' +
+  '|D5:Otilde|D6:Ouml|D7:times|D8:Oslash|D9:Ugrave|DA:Uacute|DB:Ucirc|DC:Uuml|DD:Yacute|DE:THORN|DF:szlig' +
+  '|E0:agrave|E1:aacute|E2:acirc|E3:atilde|E4:auml|E5:aring|E6:aelig|E7:ccedil|E8:egrave|E9:eacute|EA:ecirc' +
+  '|EB:euml|EC:igrave|ED:iacute|EE:icirc|EF:iuml|F0:eth|F1:ntilde|F2:ograve|F3:oacute|F4:ocirc|F5:otilde|F6:ouml' +
+  '|F7:divide div|F8:oslash|F9:ugrave|FA:uacute|FB:ucirc|FC:uuml|FD:yacute|FE:thorn|FF:yuml|100:Amacr|101:amacr' +
+  '|102:Abreve|103:abreve|104:Aogon|105:aogon|106:Cacute|107:cacute|108:Ccirc|109:ccirc|10A:Cdot|10B:cdot' +
+  '|10C:Ccaron|10D:ccaron|10E:Dcaron|10F:dcaron|110:Dstrok|111:dstrok|112:Emacr|113:emacr|116:Edot|117:edot' +
+  '|118:Eogon|119:eogon|11A:Ecaron|11B:ecaron|11C:Gcirc|11D:gcirc|11E:Gbreve|11F:gbreve|120:Gdot|121:gdot' +
+  '|122:Gcedil|124:Hcirc|125:hcirc|126:Hstrok|127:hstrok|128:Itilde|129:itilde|12A:Imacr|12B:imacr|12E:Iogon' +
+  '|12F:iogon|130:Idot|131:imath inodot|132:IJlig|133:ijlig|134:Jcirc|135:jcirc|136:Kcedil|137:kcedil|138:kgreen' +
+  '|139:Lacute|13A:lacute|13B:Lcedil|13C:lcedil|13D:Lcaron|13E:lcaron|13F:Lmidot|140:lmidot|141:Lstrok|142:lstrok' +
+  '|143:Nacute|144:nacute|145:Ncedil|146:ncedil|147:Ncaron|148:ncaron|149:napos|14A:ENG|14B:eng|14C:Omacr' +
+  '|14D:omacr|150:Odblac|151:odblac|152:OElig|153:oelig|154:Racute|155:racute|156:Rcedil|157:rcedil|158:Rcaron' +
+  '|159:rcaron|15A:Sacute|15B:sacute|15C:Scirc|15D:scirc|15E:Scedil|15F:scedil|160:Scaron|161:scaron|162:Tcedil' +
+  '|163:tcedil|164:Tcaron|165:tcaron|166:Tstrok|167:tstrok|168:Utilde|169:utilde|16A:Umacr|16B:umacr|16C:Ubreve' +
+  '|16D:ubreve|16E:Uring|16F:uring|170:Udblac|171:udblac|172:Uogon|173:uogon|174:Wcirc|175:wcirc|176:Ycirc' +
+  '|177:ycirc|178:Yuml|179:Zacute|17A:zacute|17B:Zdot|17C:zdot|17D:Zcaron|17E:zcaron|192:fnof|1B5:imped' +
+  '|1F5:gacute|237:jmath|2C6:circ|2C7:Hacek caron|2D8:Breve breve|2D9:dot DiacriticalDot|2DA:ring|2DB:ogon' +
+  '|2DC:tilde DiacriticalTilde|2DD:dblac DiacriticalDoubleAcute|311:DownBreve|391:Alpha|392:Beta|393:Gamma' +
+  '|394:Delta|395:Epsilon|396:Zeta|397:Eta|398:Theta|399:Iota|39A:Kappa|39B:Lambda|39C:Mu|39D:Nu|39E:Xi' +
+  '|39F:Omicron|3A0:Pi|3A1:Rho|3A3:Sigma|3A4:Tau|3A5:Upsilon|3A6:Phi|3A7:Chi|3A8:Psi|3A9:Omega ohm|3B1:alpha' +
+  '|3B2:beta|3B3:gamma|3B4:delta|3B5:epsilon epsi|3B6:zeta|3B7:eta|3B8:theta|3B9:iota|3BA:kappa|3BB:lambda|3BC:mu' +
+  '|3BD:nu|3BE:xi|3BF:omicron|3C0:pi|3C1:rho|3C2:sigmaf sigmav varsigma|3C3:sigma|3C4:tau|3C5:upsilon upsi' +
+  '|3C6:phi|3C7:chi|3C8:psi|3C9:omega|3D1:thetasym thetav vartheta|3D2:upsih Upsi|3D5:phiv varphi straightphi' +
+  '|3D6:piv varpi|3DC:Gammad|3DD:gammad digamma|3F0:kappav varkappa|3F1:rhov varrho' +
+  '|3F5:epsiv varepsilon straightepsilon|3F6:bepsi backepsilon|401:IOcy|402:DJcy|403:GJcy|404:Jukcy|405:DScy' +
+  '|406:Iukcy|407:YIcy|408:Jsercy|409:LJcy|40A:NJcy|40B:TSHcy|40C:KJcy|40E:Ubrcy|40F:DZcy|410:Acy|411:Bcy|412:Vcy' +
+  '|413:Gcy|414:Dcy|415:IEcy|416:ZHcy|417:Zcy|418:Icy|419:Jcy|41A:Kcy|41B:Lcy|41C:Mcy|41D:Ncy|41E:Ocy|41F:Pcy' +
+  '|420:Rcy|421:Scy|422:Tcy|423:Ucy|424:Fcy|425:KHcy|426:TScy|427:CHcy|428:SHcy|429:SHCHcy|42A:HARDcy|42B:Ycy' +
+  '|42C:SOFTcy|42D:Ecy|42E:YUcy|42F:YAcy|430:acy|431:bcy|432:vcy|433:gcy|434:dcy|435:iecy|436:zhcy|437:zcy' +
+  '|438:icy|439:jcy|43A:kcy|43B:lcy|43C:mcy|43D:ncy|43E:ocy|43F:pcy|440:rcy|441:scy|442:tcy|443:ucy|444:fcy' +
+  '|445:khcy|446:tscy|447:chcy|448:shcy|449:shchcy|44A:hardcy|44B:ycy|44C:softcy|44D:ecy|44E:yucy|44F:yacy' +
+  '|451:iocy|452:djcy|453:gjcy|454:jukcy|455:dscy|456:iukcy|457:yicy|458:jsercy|459:ljcy|45A:njcy|45B:tshcy' +
+  '|45C:kjcy|45E:ubrcy|45F:dzcy|2002:ensp|2003:emsp|2004:emsp13|2005:emsp14|2007:numsp|2008:puncsp' +
+  '|2009:thinsp ThinSpace|200A:hairsp VeryThinSpace' +
+  '|200B:ZeroWidthSpace NegativeThinSpace NegativeThickSpace NegativeMediumSpace NegativeVeryThinSpace|200C:zwnj' +
+  '|200D:zwj|200E:lrm|200F:rlm|2010:hyphen dash|2013:ndash|2014:mdash|2015:horbar|2016:Vert Verbar' +
+  '|2018:lsquo OpenCurlyQuote|2019:rsquo rsquor CloseCurlyQuote|201A:sbquo lsquor|201C:ldquo OpenCurlyDoubleQuote' +
+  '|201D:rdquo rdquor CloseCurlyDoubleQuote|201E:bdquo ldquor|2020:dagger|2021:Dagger ddagger|2022:bull bullet' +
+  '|2025:nldr|2026:hellip mldr|2030:permil|2031:pertenk|2032:prime|2033:Prime|2034:tprime|2035:bprime backprime' +
+  '|2039:lsaquo|203A:rsaquo|203E:oline OverBar|2041:caret|2043:hybull|2044:frasl|204F:bsemi|2057:qprime' +
+  '|205F:MediumSpace|205F.200A:ThickSpace|2060:NoBreak|2061:af ApplyFunction|2062:it InvisibleTimes' +
+  '|2063:ic InvisibleComma|20AC:euro|20DB:tdot TripleDot|20DC:DotDot|2102:Copf complexes|2105:incare|210A:gscr' +
+  '|210B:Hscr hamilt HilbertSpace|210C:Hfr Poincareplane|210D:Hopf quaternions|210E:planckh' +
+  '|210F:hbar hslash planck plankv|2110:Iscr imagline|2111:image Im Ifr imagpart|2112:Lscr lagran Laplacetrf' +
+  '|2113:ell|2115:Nopf naturals|2116:numero|2117:copysr|2118:weierp wp|2119:Popf primes|211A:Qopf rationals' +
+  '|211B:Rscr realine|211C:real Re Rfr realpart|211D:Ropf reals|211E:rx|2122:trade TRADE|2124:Zopf integers' +
+  '|2127:mho|2128:Zfr zeetrf|2129:iiota|212C:Bscr bernou Bernoullis|212D:Cfr Cayleys|212F:escr' +
+  '|2130:Escr expectation|2131:Fscr Fouriertrf|2133:Mscr phmmat Mellintrf|2134:oscr order orderof' +
+  '|2135:alefsym aleph|2136:beth|2137:gimel|2138:daleth|2145:DD CapitalDifferentialD|2146:dd DifferentialD' +
+  '|2147:ee ExponentialE exponentiale|2148:ii ImaginaryI|2153:frac13|2154:frac23|2155:frac15|2156:frac25' +
+  '|2157:frac35|2158:frac45|2159:frac16|215A:frac56|215B:frac18|215C:frac38|215D:frac58|215E:frac78' +
+  '|2190:larr slarr LeftArrow leftarrow ShortLeftArrow|2191:uarr UpArrow uparrow ShortUpArrow' +
+  '|2192:rarr srarr RightArrow rightarrow ShortRightArrow|2193:darr DownArrow downarrow ShortDownArrow' +
+  '|2194:harr LeftRightArrow leftrightarrow|2195:varr UpDownArrow updownarrow|2196:nwarr nwarrow UpperLeftArrow' +
+  '|2197:nearr nearrow UpperRightArrow|2198:searr searrow LowerRightArrow|2199:swarr swarrow LowerLeftArrow' +
+  '|219A:nlarr nleftarrow|219B:nrarr nrightarrow|219D:rarrw rightsquigarrow|219D.338:nrarrw' +
+  '|219E:Larr twoheadleftarrow|219F:Uarr|21A0:Rarr twoheadrightarrow|21A1:Darr|21A2:larrtl leftarrowtail' +
+  '|21A3:rarrtl rightarrowtail|21A4:mapstoleft LeftTeeArrow|21A5:mapstoup UpTeeArrow' +
+  '|21A6:map mapsto RightTeeArrow|21A7:mapstodown DownTeeArrow|21A9:larrhk hookleftarrow' +
+  '|21AA:rarrhk hookrightarrow|21AB:larrlp looparrowleft|21AC:rarrlp looparrowright' +
+  '|21AD:harrw leftrightsquigarrow|21AE:nharr nleftrightarrow|21B0:Lsh lsh|21B1:Rsh rsh|21B2:ldsh|21B3:rdsh' +
+  '|21B5:crarr|21B6:cularr curvearrowleft|21B7:curarr curvearrowright|21BA:olarr circlearrowleft' +
+  '|21BB:orarr circlearrowright|21BC:lharu LeftVector leftharpoonup|21BD:lhard DownLeftVector leftharpoondown' +
+  '|21BE:uharr RightUpVector upharpoonright|21BF:uharl LeftUpVector upharpoonleft' +
+  '|21C0:rharu RightVector rightharpoonup|21C1:rhard DownRightVector rightharpoondown' +
+  '|21C2:dharr RightDownVector downharpoonright|21C3:dharl LeftDownVector downharpoonleft' +
+  '|21C4:rlarr rightleftarrows RightArrowLeftArrow|21C5:udarr UpArrowDownArrow' +
+  '|21C6:lrarr leftrightarrows LeftArrowRightArrow|21C7:llarr leftleftarrows|21C8:uuarr upuparrows' +
+  '|21C9:rrarr rightrightarrows|21CA:ddarr downdownarrows|21CB:lrhar leftrightharpoons ReverseEquilibrium' +
+  '|21CC:rlhar Equilibrium rightleftharpoons|21CD:nlArr nLeftarrow|21CE:nhArr nLeftrightarrow' +
+  '|21CF:nrArr nRightarrow|21D0:lArr Leftarrow DoubleLeftArrow|21D1:uArr Uparrow DoubleUpArrow' +
+  '|21D2:rArr Implies Rightarrow DoubleRightArrow|21D3:dArr Downarrow DoubleDownArrow' +
+  '|21D4:hArr iff Leftrightarrow DoubleLeftRightArrow|21D5:vArr Updownarrow DoubleUpDownArrow|21D6:nwArr' +
+  '|21D7:neArr|21D8:seArr|21D9:swArr|21DA:lAarr Lleftarrow|21DB:rAarr Rrightarrow|21DD:zigrarr' +
+  '|21E4:larrb LeftArrowBar|21E5:rarrb RightArrowBar|21F5:duarr DownArrowUpArrow|21FD:loarr|21FE:roarr|21FF:hoarr' +
+  '|2200:forall ForAll|2201:comp complement|2202:part PartialD|2202.338:npart|2203:exist Exists' +
+  '|2204:nexist nexists NotExists|2205:empty emptyv emptyset varnothing|2207:nabla Del|2208:isin in isinv Element' +
+  '|2209:notin notinva NotElement|220B:ni niv SuchThat ReverseElement|220C:notni notniva NotReverseElement' +
+  '|220F:prod Product|2210:coprod Coproduct|2211:sum Sum|2212:minus|2213:mp mnplus MinusPlus|2214:plusdo dotplus' +
+  '|2216:setmn ssetmn setminus Backslash smallsetminus|2217:lowast|2218:compfn SmallCircle|221A:radic Sqrt' +
+  '|221D:prop vprop propto varpropto Proportional|221E:infin|221F:angrt|2220:ang angle|2220.20D2:nang' +
+  '|2221:angmsd measuredangle|2222:angsph|2223:mid smid shortmid VerticalBar' +
+  '|2224:nmid nsmid nshortmid NotVerticalBar|2225:par spar parallel shortparallel DoubleVerticalBar' +
+  '|2226:npar nspar nparallel nshortparallel NotDoubleVerticalBar|2227:and wedge|2228:or vee|2229:cap' +
+  '|2229.FE00:caps|222A:cup|222A.FE00:cups|222B:int Integral|222C:Int|222D:tint iiint' +
+  '|222E:oint conint ContourIntegral|222F:Conint DoubleContourIntegral|2230:Cconint|2231:cwint' +
+  '|2232:cwconint ClockwiseContourIntegral|2233:awconint CounterClockwiseContourIntegral' +
+  '|2234:there4 Therefore therefore|2235:becaus Because because|2236:ratio|2237:Colon Proportion' +
+  '|2238:minusd dotminus|223A:mDDot|223B:homtht|223C:sim Tilde thksim thicksim|223C.20D2:nvsim|223D:bsim backsim' +
+  '|223D.331:race|223E:ac mstpos|223E.333:acE|223F:acd|2240:wr wreath VerticalTilde|2241:nsim NotTilde' +
+  '|2242:esim eqsim EqualTilde|2242.338:nesim NotEqualTilde|2243:sime simeq TildeEqual' +
+  '|2244:nsime nsimeq NotTildeEqual|2245:cong TildeFullEqual|2246:simne|2247:ncong NotTildeFullEqual' +
+  '|2248:asymp ap thkap approx TildeTilde thickapprox|2249:nap napprox NotTildeTilde|224A:ape approxeq|224B:apid' +
+  '|224B.338:napid|224C:bcong backcong|224D:CupCap asympeq|224D.20D2:nvap|224E:bump Bumpeq HumpDownHump' +
+  '|224E.338:nbump NotHumpDownHump|224F:bumpe bumpeq HumpEqual|224F.338:nbumpe NotHumpEqual' +
+  '|2250:doteq esdot DotEqual|2250.338:nedot|2251:eDot doteqdot|2252:efDot fallingdotseq|2253:erDot risingdotseq' +
+  '|2254:Assign colone coloneq|2255:ecolon eqcolon|2256:ecir eqcirc|2257:cire circeq|2259:wedgeq|225A:veeeq' +
+  '|225C:trie triangleq|225F:equest questeq|2260:ne NotEqual|2261:equiv Congruent|2261.20E5:bnequiv' +
+  '|2262:nequiv NotCongruent|2264:le leq|2264.20D2:nvle|2265:ge geq GreaterEqual|2265.20D2:nvge' +
+  '|2266:lE leqq LessFullEqual|2266.338:nlE nleqq|2267:gE geqq GreaterFullEqual' +
+  '|2267.338:ngE ngeqq NotGreaterFullEqual|2268:lnE lneqq|2268.FE00:lvnE lvertneqq|2269:gnE gneqq' +
+  '|2269.FE00:gvnE gvertneqq|226A:Lt ll NestedLessLess|226A.338:nLtv NotLessLess|226A.20D2:nLt' +
+  '|226B:Gt gg NestedGreaterGreater|226B.338:nGtv NotGreaterGreater|226B.20D2:nGt|226C:twixt between' +
+  '|226D:NotCupCap|226E:nlt nless NotLess|226F:ngt ngtr NotGreater|2270:nle nleq NotLessEqual' +
+  '|2271:nge ngeq NotGreaterEqual|2272:lsim lesssim LessTilde|2273:gsim gtrsim GreaterTilde' +
+  '|2274:nlsim NotLessTilde|2275:ngsim NotGreaterTilde|2276:lg lessgtr LessGreater|2277:gl gtrless GreaterLess' +
+  '|2278:ntlg NotLessGreater|2279:ntgl NotGreaterLess|227A:pr prec Precedes|227B:sc succ Succeeds' +
+  '|227C:prcue preccurlyeq PrecedesSlantEqual|227D:sccue succcurlyeq SucceedsSlantEqual' +
+  '|227E:prsim precsim PrecedesTilde|227F:scsim succsim SucceedsTilde|227F.338:NotSucceedsTilde' +
+  '|2280:npr nprec NotPrecedes|2281:nsc nsucc NotSucceeds|2282:sub subset|2282.20D2:vnsub nsubset NotSubset' +
+  '|2283:sup supset Superset|2283.20D2:vnsup nsupset NotSuperset|2284:nsub|2285:nsup' +
+  '|2286:sube subseteq SubsetEqual|2287:supe supseteq SupersetEqual|2288:nsube nsubseteq NotSubsetEqual' +
+  '|2289:nsupe nsupseteq NotSupersetEqual|228A:subne subsetneq|228A.FE00:vsubne varsubsetneq|228B:supne supsetneq' +
+  '|228B.FE00:vsupne varsupsetneq|228D:cupdot|228E:uplus UnionPlus|228F:sqsub sqsubset SquareSubset' +
+  '|228F.338:NotSquareSubset|2290:sqsup sqsupset SquareSuperset|2290.338:NotSquareSuperset' +
+  '|2291:sqsube sqsubseteq SquareSubsetEqual|2292:sqsupe sqsupseteq SquareSupersetEqual' +
+  '|2293:sqcap SquareIntersection|2293.FE00:sqcaps|2294:sqcup SquareUnion|2294.FE00:sqcups|2295:oplus CirclePlus' +
+  '|2296:ominus CircleMinus|2297:otimes CircleTimes|2298:osol|2299:odot CircleDot|229A:ocir circledcirc' +
+  '|229B:oast circledast|229D:odash circleddash|229E:plusb boxplus|229F:minusb boxminus|22A0:timesb boxtimes' +
+  '|22A1:sdotb dotsquare|22A2:vdash RightTee|22A3:dashv LeftTee|22A4:top DownTee|22A5:perp bot UpTee bottom' +
+  '|22A7:models|22A8:vDash DoubleRightTee|22A9:Vdash|22AA:Vvdash|22AB:VDash|22AC:nvdash|22AD:nvDash|22AE:nVdash' +
+  '|22AF:nVDash|22B0:prurel|22B2:vltri LeftTriangle vartriangleleft|22B3:vrtri RightTriangle vartriangleright' +
+  '|22B4:ltrie trianglelefteq LeftTriangleEqual|22B4.20D2:nvltrie|22B5:rtrie trianglerighteq RightTriangleEqual' +
+  '|22B5.20D2:nvrtrie|22B6:origof|22B7:imof|22B8:mumap multimap|22B9:hercon|22BA:intcal intercal|22BB:veebar' +
+  '|22BD:barvee|22BE:angrtvb|22BF:lrtri|22C0:Wedge xwedge bigwedge|22C1:Vee xvee bigvee' +
+  '|22C2:xcap bigcap Intersection|22C3:xcup Union bigcup|22C4:diam Diamond diamond|22C5:sdot|22C6:Star sstarf' +
+  '|22C7:divonx divideontimes|22C8:bowtie|22C9:ltimes|22CA:rtimes|22CB:lthree leftthreetimes' +
+  '|22CC:rthree rightthreetimes|22CD:bsime backsimeq|22CE:cuvee curlyvee|22CF:cuwed curlywedge|22D0:Sub Subset' +
+  '|22D1:Sup Supset|22D2:Cap|22D3:Cup|22D4:fork pitchfork|22D5:epar|22D6:ltdot lessdot|22D7:gtdot gtrdot|22D8:Ll' +
+  '|22D8.338:nLl|22D9:Gg ggg|22D9.338:nGg|22DA:leg lesseqgtr LessEqualGreater|22DA.FE00:lesg' +
+  '|22DB:gel gtreqless GreaterEqualLess|22DB.FE00:gesl|22DE:cuepr curlyeqprec|22DF:cuesc curlyeqsucc' +
+  '|22E0:nprcue NotPrecedesSlantEqual|22E1:nsccue NotSucceedsSlantEqual|22E2:nsqsube NotSquareSubsetEqual' +
+  '|22E3:nsqsupe NotSquareSupersetEqual|22E6:lnsim|22E7:gnsim|22E8:prnsim precnsim|22E9:scnsim succnsim' +
+  '|22EA:nltri ntriangleleft NotLeftTriangle|22EB:nrtri ntriangleright NotRightTriangle' +
+  '|22EC:nltrie ntrianglelefteq NotLeftTriangleEqual|22ED:nrtrie ntrianglerighteq NotRightTriangleEqual' +
+  '|22EE:vellip|22EF:ctdot|22F0:utdot|22F1:dtdot|22F2:disin|22F3:isinsv|22F4:isins|22F5:isindot|22F5.338:notindot' +
+  '|22F6:notinvc|22F7:notinvb|22F9:isinE|22F9.338:notinE|22FA:nisd|22FB:xnis|22FC:nis|22FD:notnivc|22FE:notnivb' +
+  '|2305:barwed barwedge|2306:Barwed doublebarwedge|2308:lceil LeftCeiling|2309:rceil RightCeiling' +
+  '|230A:lfloor LeftFloor|230B:rfloor RightFloor|230C:drcrop|230D:dlcrop|230E:urcrop|230F:ulcrop|2310:bnot' +
+  '|2312:profline|2313:profsurf|2315:telrec|2316:target|231C:ulcorn ulcorner|231D:urcorn urcorner' +
+  '|231E:dlcorn llcorner|231F:drcorn lrcorner|2322:frown sfrown|2323:smile ssmile|232D:cylcty|232E:profalar' +
+  '|2336:topbot|233D:ovbar|233F:solbar|237C:angzarr|23B0:lmoust lmoustache|23B1:rmoust rmoustache' +
+  '|23B4:tbrk OverBracket|23B5:bbrk UnderBracket|23B6:bbrktbrk|23DC:OverParenthesis|23DD:UnderParenthesis' +
+  '|23DE:OverBrace|23DF:UnderBrace|23E2:trpezium|23E7:elinters|2423:blank|24C8:oS circledS' +
+  '|2500:boxh HorizontalLine|2502:boxv|250C:boxdr|2510:boxdl|2514:boxur|2518:boxul|251C:boxvr|2524:boxvl' +
+  '|252C:boxhd|2534:boxhu|253C:boxvh|2550:boxH|2551:boxV|2552:boxdR|2553:boxDr|2554:boxDR|2555:boxdL|2556:boxDl' +
+  '|2557:boxDL|2558:boxuR|2559:boxUr|255A:boxUR|255B:boxuL|255C:boxUl|255D:boxUL|255E:boxvR|255F:boxVr|2560:boxVR' +
+  '|2561:boxvL|2562:boxVl|2563:boxVL|2564:boxHd|2565:boxhD|2566:boxHD|2567:boxHu|2568:boxhU|2569:boxHU|256A:boxvH' +
+  '|256B:boxVh|256C:boxVH|2580:uhblk|2584:lhblk|2588:block|2591:blk14|2592:blk12|2593:blk34' +
+  '|25A1:squ Square square|25AA:squf squarf blacksquare FilledVerySmallSquare|25AB:EmptyVerySmallSquare|25AD:rect' +
+  '|25AE:marker|25B1:fltns|25B3:xutri bigtriangleup|25B4:utrif blacktriangle|25B5:utri triangle' +
+  '|25B8:rtrif blacktriangleright|25B9:rtri triangleright|25BD:xdtri bigtriangledown|25BE:dtrif blacktriangledown' +
+  '|25BF:dtri triangledown|25C2:ltrif blacktriangleleft|25C3:ltri triangleleft|25CA:loz lozenge|25CB:cir' +
+  '|25EC:tridot|25EF:xcirc bigcirc|25F8:ultri|25F9:urtri|25FA:lltri|25FB:EmptySmallSquare|25FC:FilledSmallSquare' +
+  '|2605:starf bigstar|2606:star|260E:phone|2640:female|2642:male|2660:spades spadesuit|2663:clubs clubsuit' +
+  '|2665:hearts heartsuit|2666:diams diamondsuit|266A:sung|266D:flat|266E:natur natural|266F:sharp' +
+  '|2713:check checkmark|2717:cross|2720:malt maltese|2736:sext|2758:VerticalSeparator|2772:lbbrk|2773:rbbrk' +
+  '|27C8:bsolhsub|27C9:suphsol|27E6:lobrk LeftDoubleBracket|27E7:robrk RightDoubleBracket' +
+  '|27E8:lang langle LeftAngleBracket|27E9:rang rangle RightAngleBracket|27EA:Lang|27EB:Rang|27EC:loang' +
+  '|27ED:roang|27F5:xlarr LongLeftArrow longleftarrow|27F6:xrarr LongRightArrow longrightarrow' +
+  '|27F7:xharr LongLeftRightArrow longleftrightarrow|27F8:xlArr Longleftarrow DoubleLongLeftArrow' +
+  '|27F9:xrArr Longrightarrow DoubleLongRightArrow|27FA:xhArr Longleftrightarrow DoubleLongLeftRightArrow' +
+  '|27FC:xmap longmapsto|27FF:dzigrarr|2902:nvlArr|2903:nvrArr|2904:nvHarr|2905:Map|290C:lbarr|290D:rbarr bkarow' +
+  '|290E:lBarr|290F:rBarr dbkarow|2910:RBarr drbkarow|2911:DDotrahd|2912:UpArrowBar|2913:DownArrowBar|2916:Rarrtl' +
+  '|2919:latail|291A:ratail|291B:lAtail|291C:rAtail|291D:larrfs|291E:rarrfs|291F:larrbfs|2920:rarrbfs|2923:nwarhk' +
+  '|2924:nearhk|2925:searhk hksearow|2926:swarhk hkswarow|2927:nwnear|2928:toea nesear|2929:tosa seswar' +
+  '|292A:swnwar|2933:rarrc|2933.338:nrarrc|2935:cudarrr|2936:ldca|2937:rdca|2938:cudarrl|2939:larrpl|293C:curarrm' +
+  '|293D:cularrp|2945:rarrpl|2948:harrcir|2949:Uarrocir|294A:lurdshar|294B:ldrushar|294E:LeftRightVector' +
+  '|294F:RightUpDownVector|2950:DownLeftRightVector|2951:LeftUpDownVector|2952:LeftVectorBar|2953:RightVectorBar' +
+  '|2954:RightUpVectorBar|2955:RightDownVectorBar|2956:DownLeftVectorBar|2957:DownRightVectorBar' +
+  '|2958:LeftUpVectorBar|2959:LeftDownVectorBar|295A:LeftTeeVector|295B:RightTeeVector|295C:RightUpTeeVector' +
+  '|295D:RightDownTeeVector|295E:DownLeftTeeVector|295F:DownRightTeeVector|2960:LeftUpTeeVector' +
+  '|2961:LeftDownTeeVector|2962:lHar|2963:uHar|2964:rHar|2965:dHar|2966:luruhar|2967:ldrdhar|2968:ruluhar' +
+  '|2969:rdldhar|296A:lharul|296B:llhard|296C:rharul|296D:lrhard|296E:udhar UpEquilibrium' +
+  '|296F:duhar ReverseUpEquilibrium|2970:RoundImplies|2971:erarr|2972:simrarr|2973:larrsim|2974:rarrsim' +
+  '|2975:rarrap|2976:ltlarr|2978:gtrarr|2979:subrarr|297B:suplarr|297C:lfisht|297D:rfisht|297E:ufisht|297F:dfisht' +
+  '|2985:lopar|2986:ropar|298B:lbrke|298C:rbrke|298D:lbrkslu|298E:rbrksld|298F:lbrksld|2990:rbrkslu|2991:langd' +
+  '|2992:rangd|2993:lparlt|2994:rpargt|2995:gtlPar|2996:ltrPar|299A:vzigzag|299C:vangrt|299D:angrtvbd|29A4:ange' +
+  '|29A5:range|29A6:dwangle|29A7:uwangle|29A8:angmsdaa|29A9:angmsdab|29AA:angmsdac|29AB:angmsdad|29AC:angmsdae' +
+  '|29AD:angmsdaf|29AE:angmsdag|29AF:angmsdah|29B0:bemptyv|29B1:demptyv|29B2:cemptyv|29B3:raemptyv|29B4:laemptyv' +
+  '|29B5:ohbar|29B6:omid|29B7:opar|29B9:operp|29BB:olcross|29BC:odsold|29BE:olcir|29BF:ofcir|29C0:olt|29C1:ogt' +
+  '|29C2:cirscir|29C3:cirE|29C4:solb|29C5:bsolb|29C9:boxbox|29CD:trisb|29CE:rtriltri|29CF:LeftTriangleBar' +
+  '|29CF.338:NotLeftTriangleBar|29D0:RightTriangleBar|29D0.338:NotRightTriangleBar|29DC:iinfin|29DD:infintie' +
+  '|29DE:nvinfin|29E3:eparsl|29E4:smeparsl|29E5:eqvparsl|29EB:lozf blacklozenge|29F4:RuleDelayed|29F6:dsol' +
+  '|2A00:xodot bigodot|2A01:xoplus bigoplus|2A02:xotime bigotimes|2A04:xuplus biguplus|2A06:xsqcup bigsqcup' +
+  '|2A0C:qint iiiint|2A0D:fpartint|2A10:cirfnint|2A11:awint|2A12:rppolint|2A13:scpolint|2A14:npolint' +
+  '|2A15:pointint|2A16:quatint|2A17:intlarhk|2A22:pluscir|2A23:plusacir|2A24:simplus|2A25:plusdu|2A26:plussim' +
+  '|2A27:plustwo|2A29:mcomma|2A2A:minusdu|2A2D:loplus|2A2E:roplus|2A2F:Cross|2A30:timesd|2A31:timesbar' +
+  '|2A33:smashp|2A34:lotimes|2A35:rotimes|2A36:otimesas|2A37:Otimes|2A38:odiv|2A39:triplus|2A3A:triminus' +
+  '|2A3B:tritime|2A3C:iprod intprod|2A3F:amalg|2A40:capdot|2A42:ncup|2A43:ncap|2A44:capand|2A45:cupor|2A46:cupcap' +
+  '|2A47:capcup|2A48:cupbrcap|2A49:capbrcup|2A4A:cupcup|2A4B:capcap|2A4C:ccups|2A4D:ccaps|2A50:ccupssm|2A53:And' +
+  '|2A54:Or|2A55:andand|2A56:oror|2A57:orslope|2A58:andslope|2A5A:andv|2A5B:orv|2A5C:andd|2A5D:ord|2A5F:wedbar' +
+  '|2A66:sdote|2A6A:simdot|2A6D:congdot|2A6D.338:ncongdot|2A6E:easter|2A6F:apacir|2A70:apE|2A70.338:napE' +
+  '|2A71:eplus|2A72:pluse|2A73:Esim|2A74:Colone|2A75:Equal|2A77:eDDot ddotseq|2A78:equivDD|2A79:ltcir|2A7A:gtcir' +
+  '|2A7B:ltquest|2A7C:gtquest|2A7D:les leqslant LessSlantEqual|2A7D.338:nles nleqslant NotLessSlantEqual' +
+  '|2A7E:ges geqslant GreaterSlantEqual|2A7E.338:nges ngeqslant NotGreaterSlantEqual|2A7F:lesdot|2A80:gesdot' +
+  '|2A81:lesdoto|2A82:gesdoto|2A83:lesdotor|2A84:gesdotol|2A85:lap lessapprox|2A86:gap gtrapprox|2A87:lne lneq' +
+  '|2A88:gne gneq|2A89:lnap lnapprox|2A8A:gnap gnapprox|2A8B:lEg lesseqqgtr|2A8C:gEl gtreqqless|2A8D:lsime' +
+  '|2A8E:gsime|2A8F:lsimg|2A90:gsiml|2A91:lgE|2A92:glE|2A93:lesges|2A94:gesles|2A95:els eqslantless' +
+  '|2A96:egs eqslantgtr|2A97:elsdot|2A98:egsdot|2A99:el|2A9A:eg|2A9D:siml|2A9E:simg|2A9F:simlE|2AA0:simgE' +
+  '|2AA1:LessLess|2AA1.338:NotNestedLessLess|2AA2:GreaterGreater|2AA2.338:NotNestedGreaterGreater|2AA4:glj' +
+  '|2AA5:gla|2AA6:ltcc|2AA7:gtcc|2AA8:lescc|2AA9:gescc|2AAA:smt|2AAB:lat|2AAC:smte|2AAC.FE00:smtes|2AAD:late' +
+  '|2AAD.FE00:lates|2AAE:bumpE|2AAF:pre preceq PrecedesEqual|2AAF.338:npre npreceq NotPrecedesEqual' +
+  '|2AB0:sce succeq SucceedsEqual|2AB0.338:nsce nsucceq NotSucceedsEqual|2AB3:prE|2AB4:scE|2AB5:prnE precneqq' +
+  '|2AB6:scnE succneqq|2AB7:prap precapprox|2AB8:scap succapprox|2AB9:prnap precnapprox|2ABA:scnap succnapprox' +
+  '|2ABB:Pr|2ABC:Sc|2ABD:subdot|2ABE:supdot|2ABF:subplus|2AC0:supplus|2AC1:submult|2AC2:supmult|2AC3:subedot' +
+  '|2AC4:supedot|2AC5:subE subseteqq|2AC5.338:nsubE nsubseteqq|2AC6:supE supseteqq|2AC6.338:nsupE nsupseteqq' +
+  '|2AC7:subsim|2AC8:supsim|2ACB:subnE subsetneqq|2ACB.FE00:vsubnE varsubsetneqq|2ACC:supnE supsetneqq' +
+  '|2ACC.FE00:vsupnE varsupsetneqq|2ACF:csub|2AD0:csup|2AD1:csube|2AD2:csupe|2AD3:subsup|2AD4:supsub|2AD5:subsub' +
+  '|2AD6:supsup|2AD7:suphsub|2AD8:supdsub|2AD9:forkv|2ADA:topfork|2ADB:mlcp|2AE4:Dashv DoubleLeftTee|2AE6:Vdashl' +
+  '|2AE7:Barv|2AE8:vBar|2AE9:vBarv|2AEB:Vbar|2AEC:Not|2AED:bNot|2AEE:rnmid|2AEF:cirmid|2AF0:midcir|2AF1:topcir' +
+  '|2AF2:nhpar|2AF3:parsim|2AFD:parsl|2AFD.20E5:nparsl|FB00:fflig|FB01:filig|FB02:fllig|FB03:ffilig|FB04:ffllig' +
+  '|1D49C:Ascr|1D49E:Cscr|1D49F:Dscr|1D4A2:Gscr|1D4A5:Jscr|1D4A6:Kscr|1D4A9:Nscr|1D4AA:Oscr|1D4AB:Pscr|1D4AC:Qscr' +
+  '|1D4AE:Sscr|1D4AF:Tscr|1D4B0:Uscr|1D4B1:Vscr|1D4B2:Wscr|1D4B3:Xscr|1D4B4:Yscr|1D4B5:Zscr|1D4B6:ascr|1D4B7:bscr' +
+  '|1D4B8:cscr|1D4B9:dscr|1D4BB:fscr|1D4BD:hscr|1D4BE:iscr|1D4BF:jscr|1D4C0:kscr|1D4C1:lscr|1D4C2:mscr|1D4C3:nscr' +
+  '|1D4C5:pscr|1D4C6:qscr|1D4C7:rscr|1D4C8:sscr|1D4C9:tscr|1D4CA:uscr|1D4CB:vscr|1D4CC:wscr|1D4CD:xscr|1D4CE:yscr' +
+  '|1D4CF:zscr|1D504:Afr|1D505:Bfr|1D507:Dfr|1D508:Efr|1D509:Ffr|1D50A:Gfr|1D50D:Jfr|1D50E:Kfr|1D50F:Lfr' +
+  '|1D510:Mfr|1D511:Nfr|1D512:Ofr|1D513:Pfr|1D514:Qfr|1D516:Sfr|1D517:Tfr|1D518:Ufr|1D519:Vfr|1D51A:Wfr|1D51B:Xfr' +
+  '|1D51C:Yfr|1D51E:afr|1D51F:bfr|1D520:cfr|1D521:dfr|1D522:efr|1D523:ffr|1D524:gfr|1D525:hfr|1D526:ifr|1D527:jfr' +
+  '|1D528:kfr|1D529:lfr|1D52A:mfr|1D52B:nfr|1D52C:ofr|1D52D:pfr|1D52E:qfr|1D52F:rfr|1D530:sfr|1D531:tfr|1D532:ufr' +
+  '|1D533:vfr|1D534:wfr|1D535:xfr|1D536:yfr|1D537:zfr|1D538:Aopf|1D539:Bopf|1D53B:Dopf|1D53C:Eopf|1D53D:Fopf' +
+  '|1D53E:Gopf|1D540:Iopf|1D541:Jopf|1D542:Kopf|1D543:Lopf|1D544:Mopf|1D546:Oopf|1D54A:Sopf|1D54B:Topf|1D54C:Uopf' +
+  '|1D54D:Vopf|1D54E:Wopf|1D54F:Xopf|1D550:Yopf|1D552:aopf|1D553:bopf|1D554:copf|1D555:dopf|1D556:eopf|1D557:fopf' +
+  '|1D558:gopf|1D559:hopf|1D55A:iopf|1D55B:jopf|1D55C:kopf|1D55D:lopf|1D55E:mopf|1D55F:nopf|1D560:oopf|1D561:popf' +
+  '|1D562:qopf|1D563:ropf|1D564:sopf|1D565:topf|1D566:uopf|1D567:vopf|1D568:wopf|1D569:xopf|1D56A:yopf|1D56B:zopf';
+
+// References browsers also decode without the semicolon: the HTML 4 Latin-1 set and the markup characters
+const LEGACY_ENTITY_NAMES = new Set(`nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2
+sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc
+Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve
+Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute
+acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde
+ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml amp AMP
+COPY GT LT QUOT REG gt lt quot`.split(/\s+/));
+
+/**
+ * Build the entity name to character table
+ * @returns {Object} Map of entity name to decoded string
+ */
+function buildEntityTable() {
+  const table = {};
+  ENTITY_DATA.split('|').forEach(group => {
+    const [codes, names] = group.split(':');
+    const char = String.fromCodePoint(...codes.split('.').map(code => parseInt(code, 16)));
+    names.split(' ').forEach(name => { table[name] = char; });
+  });
+  return table;
+}
+
+const HTML_ENTITIES = buildEntityTable();
+// Preferred entity name for each encodable character
+const HTML_ENTITY_NAMES = Object.entries(HTML_ENTITIES).reduce((names, [name, char]) => {
+  if (!(char in names) && char.codePointAt(0) > 127) names[char] = name;
+  return names;
+}, { '&': 'amp', '<': 'lt', '>': 'gt', '"': 'quot', "'": '#39' });
+
+// Numeric references 128-159 name Windows-1252 characters, as in browsers
+const WINDOWS_1252 = [8364, 129, 8218, 402, 8222, 8230, 8224, 8225, 710, 8240, 352, 8249, 338, 141, 381, 143,
+  144, 8216, 8217, 8220, 8221, 8226, 8211, 8212, 732, 8482, 353, 8250, 339, 157, 382, 376];
+
+/**
+ * Decode named and numeric HTML character references
+ *
+ * Handles every named reference in the HTML standard, decimal (&#233;) and
+ * hex (&#x1F600;) references. As in browsers, numeric references and the
+ * legacy Latin-1 names (&copy, &amp, …) also decode without a semicolon,
+ * except in attribute values before '=' or a letter or digit, so URL query
+ * strings such as ?a=1&copy=2 survive. Invalid code points decode to
+ * U+FFFD; unknown names are left as they are.
+ * @param {string} html - Text with entities
+ * @param {Object} options - Options
+ * @param {boolean} options.attribute - Decode as an attribute value (default: false)
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(html, options = {}) {
+  const { attribute = false } = options;
+  const pattern = /&(?:#[xX]([\da-fA-F]+);?|#(\d+);?|([A-Za-z][A-Za-z\d]*)(;?))/g;
+  return String(html ?? '').replace(pattern, (match, hex, decimal, name, semicolon, offset, input) => {
+    if (name) {
+      if (semicolon && Object.prototype.hasOwnProperty.call(HTML_ENTITIES, name)) return HTML_ENTITIES[name];
+      // The longest legacy name at the start wins: &notit; is ¬it;
+      for (let length = Math.min(name.length, 6); length >= 2; length--) {
+        const legacy = name.slice(0, length);
+        if (!LEGACY_ENTITY_NAMES.has(legacy)) continue;
+        const rest = name.slice(length) + semicolon;
+        const next = rest ? rest[0] : input[offset + match.length];
+        if (attribute && next && /[=A-Za-z\d]/.test(next)) return match;
+        return HTML_ENTITIES[legacy] + rest;
+      }
+      return match;
+    }
+    const code = parseInt(hex || decimal, hex ? 16 : 10);
+    if (code >= 128 && code <= 159) return String.fromCodePoint(WINDOWS_1252[code - 128]);
+    if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Encode text as HTML using character references for special characters
+ *
+ * Markup characters are always encoded; every non-ASCII character becomes
+ * a named entity where one exists and a hex reference otherwise, so the
+ * result is plain ASCII.
+ * @param {string} text - Text to encode
+ * @param {Object} options - Options
+ * @param {boolean} options.named - Prefer named entities over numeric ones (default: true)
+ * @returns {string} Encoded HTML
+ */
+function encodeHtmlEntities(text, options = {}) {
+  const { named = true } = options;
+  return String(text ?? '').replace(/[&<>"']|[^\x00-\x7F]/gu, char => {
+    const name = HTML_ENTITY_NAMES[char];
+    if (name && (named || char.codePointAt(0) < 128)) return `&${name};`;
+    return `&#x${char.codePointAt(0).toString(16).toUpperCase()};`;
+  });
+}
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext'];
+// Elements dropped together with everything inside them unless allowed
+const DROP_CONTENT_TAGS = ['script', 'style', 'template', 'noscript', 'iframe', 'object', 'svg', 'math', 'head'];
+// Elements without a closing tag
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+// Attributes that hold URLs and need a scheme check
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'cite', 'poster', 'background', 'xlink:href', 'srcset'];
+
+/**
+ * Split HTML into text, tag and comment tokens
+ *
+ * Attribute values may contain '>' when quoted, and the bodies of raw text
+ * elements such as script and style are kept as a single text token.
+ * @param {string} html - HTML source
+ * @returns {Array<Object>} Tokens { type: 'text' | 'start' | 'end' | 'comment', value, name, attributes, selfClosing }
+ */
+function tokenizeHtml(html) {
+  const source = String(html ?? '');
+  const tokens = [];
+  let text = '';
+  let i = 0;
+  
+  const flushText = () => {
+    if (text) tokens.push({ type: 'text', value: text });
+    text = '';
+  };
+  
+  while (i < source.length) {
+    const rest = source.slice(i, i + 4);
+    
+    if (rest === '<!--') {
+      const end = source.indexOf('-->', i + 4);
+      flushText();
+      tokens.push({ type: 'comment', value: source.slice(i + 4, end < 0 ? source.length : end) });
+      i = end < 0 ? source.length : end + 3;
+    } else if (/^<[!?]/.test(rest) || /^<\/[A-Za-z]/.test(rest)) {
+      const end = source.indexOf('>', i);
+      const stop = end < 0 ? source.length : end + 1;
+      flushText();
+      if (rest[1] === '/') {
+        tokens.push({ type: 'end', name: /^<\/([^\s/>]+)/.exec(source.slice(i, stop))[1].toLowerCase() });
+      } else {
+        tokens.push({ type: 'comment', value: source.slice(i + 2, stop - 1) });
+      }
+      i = stop;
+    } else if (/^<[A-Za-z]/.test(rest)) {
+      flushText();
+      const tag = /^<([^\s/>]+)/.exec(source.slice(i));
+      const token = { type: 'start', name: tag[1].toLowerCase(), attributes: [], selfClosing: false };
+      i += tag[0].length;
+      
+      const attributePattern = /\s*([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?|\s*(\/?)\s*>|\s*\/|\s+|([\s\S])/y;
+      while (i < source.length) {
+        attributePattern.lastIndex = i;
+        const match = attributePattern.exec(source);
+        i = attributePattern.lastIndex;
+        if (match[1]) {
+          token.attributes.push({ name: match[1].toLowerCase(), value: match[2] ?? match[3] ?? match[4] ?? '' });
+        } else if (match[5] !== undefined) {
+          token.selfClosing = match[5] === '/';
+          break;
+        }
+      }
+      tokens.push(token);
+      
+      if (RAW_TEXT_TAGS.includes(token.name)) {
+        const close = source.slice(i).search(new RegExp(`</${token.name}[\\s/>]`, 'i'));
+        const end = close < 0 ? source.length : i + close;
+        if (end > i) tokens.push({ type: 'text', value: source.slice(i, end), raw: true });
+        i = end;
+      }
+    } else {
+      text += source[i];
+      i++;
+    }
+  }
+  
+  flushText();
+  return tokens;
+}
+
+/**
+ * Remove HTML tags from string
+ *
+ * Comments and the contents of script and style elements are removed too.
+ * Character references in the remaining text are left encoded.
+ * @param {string} html - HTML string
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+  let skipping = null;
+  return tokenizeHtml(html).map(token => {
+    if (skipping) {
+      if (token.type === 'end' && token.name === skipping) skipping = null;
+      return '';
+    }
+    if (token.type === 'start' && ['script', 'style', 'template', 'noscript'].includes(token.name)) {
+      skipping = token.name;
+      return '';
+    }
+    return token.type === 'text' ? token.value : '';
+  }).join('');
+}
+
+/**
+ * Escape HTML characters
+ *
+ * The default attribute context escapes & < > " and ' and is safe both in
+ * element text and in quoted attribute values. The text context escapes
+ * only & < > for content that never lands inside an attribute.
+ * @param {string} text - Text to escape
+ * @param {Object} options - Options
+ * @param {string} options.context - 'attribute' or 'text' (default: 'attribute')
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(text, options = {}) {
+  const { context = 'attribute' } = options;
+  const htmlEscapes = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  };
+  const pattern = context === 'text' ? /[&<>]/g : /[&<>"']/g;
+  return String(text).replace(pattern, match => htmlEscapes[match]);
+}
+
+/**
+ * Unescape HTML characters
+ * @param {string} html - HTML to unescape
+ * @returns {string} Unescaped text, with all named and numeric references decoded
+ */
+function unescapeHtml(html) {
+  return decodeHtmlEntities(html);
+}
+
+/**
+ * Check whether a URL attribute value uses an allowed scheme
+ * @param {string} value - Attribute value, already entity-decoded
+ * @param {Array<string>} schemes - Allowed schemes
+ * @returns {boolean} True for allowed schemes and scheme-less (relative) URLs
+ */
+function isAllowedUrl(value, schemes) {
+  const compact = value.replace(/[\u0000- \u007F-\u009F]/g, '');
+  const scheme = /^([A-Za-z][A-Za-z\d+.-]*):/.exec(compact);
+  return !scheme || schemes.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Sanitize untrusted HTML against an allow-list
+ *
+ * Disallowed tags are removed but their text kept, except script, style and
+ * similar containers, which are removed with their contents. Disallowed
+ * attributes and URLs with other schemes (javascript:, data:, …) are
+ * dropped, comments are removed, text is re-escaped and unclosed tags are
+ * closed.
+ * @param {string} html - Untrusted HTML
+ * @param {Object} options - Options
+ * @param {Array<string>} options.allowedTags - Tags to keep (default: common formatting, lists, links, images, tables)
+ * @param {Object} options.allowedAttributes - Attributes per tag, '*' for all tags (default: { a: ['href', 'title', 'target', 'rel'], img: ['src', 'alt', 'title', 'width', 'height'] })
+ * @param {Array<string>} options.allowedSchemes - URL schemes for href/src (default: ['http', 'https', 'mailto'])
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html, options = {}) {
+  const {
+    allowedTags = ['a', 'b', 'i', 'em', 'strong', 'u', 's', 'p', 'br', 'hr', 'ul', 'ol', 'li', 'blockquote', 'code', 'pre',
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'span', 'div', 'sub', 'sup', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'],
+    allowedAttributes = { a: ['href', 'title', 'target', 'rel'], img: ['src', 'alt', 'title', 'width', 'height'] },
+    allowedSchemes = ['http', 'https', 'mailto']
+  } = options;
+  const schemes = allowedSchemes.map(scheme => scheme.toLowerCase());
+  const open = [];
+  let skipping = null;
+  let output = '';
+  
+  for (const token of tokenizeHtml(html)) {
+    if (skipping) {
+      if (token.type === 'end' && token.name === skipping.name && --skipping.depth === 0) skipping = null;
+      else if (token.type === 'start' && token.name === skipping.name) skipping.depth++;
+      continue;
+    }
+    
+    if (token.type === 'text') {
+      output += escapeHtml(decodeHtmlEntities(token.value), { context: 'text' });
+    } else if (token.type === 'start') {
+      if (!allowedTags.includes(token.name)) {
+        if (DROP_CONTENT_TAGS.includes(token.name) && !token.selfClosing) skipping = { name: token.name, depth: 1 };
+        continue;
+      }
+      
+      const permitted = [...(allowedAttributes[token.name] || []), ...(allowedAttributes['*'] || [])];
+      const attributes = token.attributes
+        .filter(({ name, value }) => permitted.includes(name) &&
+          (!URL_ATTRIBUTES.includes(name) || isAllowedUrl(decodeHtmlEntities(value, { attribute: true }), schemes)))
+        .map(({ name, value }) => ` ${name}="${escapeHtml(decodeHtmlEntities(value, { attribute: true }))}"`)
+        .join('');
+      output += `<${token.name}${attributes}>`;
+      if (!VOID_TAGS.includes(token.name) && !token.selfClosing) open.push(token.name);
+    } else if (token.type === 'end' && open.includes(token.name)) {
+      while (open.length) {
+        const name = open.pop();
+        output += `</${name}>`;
+        if (name === token.name) break;
+      }
+    }
+  }
+  
+  while (open.length) output += `</${open.pop()}>`;
+  return output;
+}
+
+// Codec alphabets
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Convert codec input to bytes
+ * @param {string|Uint8Array|ArrayBuffer|Array<number>} input - Text (encoded as UTF-8) or bytes
+ * @returns {Uint8Array} Bytes
+ */
+function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (Array.isArray(input)) return Uint8Array.from(input);
+  return new TextEncoder().encode(String(input ?? ''));
+}
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+function utf8Encode(text) {
+  return new TextEncoder().encode(String(text ?? ''));
+}
+
+/**
+ * Decode UTF-8 bytes to a string
+ * @param {Uint8Array|ArrayBuffer|Array<number>} bytes - UTF-8 bytes
+ * @returns {string|null} Decoded text, or null if the bytes are not valid UTF-8
+ */
+function utf8Decode(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(toBytes(bytes));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pack bytes into groups of bits and map each group to an alphabet character
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {string} alphabet - 2^bits characters
+ * @param {number} bits - Bits per character (4, 5 or 6)
+ * @returns {string} Encoded text without padding
+ */
+function encodeBits(bytes, alphabet, bits) {
+  const mask = (1 << bits) - 1;
+  let output = '';
+  let buffer = 0;
+  let count = 0;
+  
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    count += 8;
+    while (count >= bits) {
+      count -= bits;
+      output += alphabet[(buffer >> count) & mask];
+    }
+    buffer &= (1 << count) - 1;
+  }
+  
+  if (count > 0) output += alphabet[(buffer << (bits - count)) & mask];
+  return output;
+}
+
+/**
+ * Unpack alphabet characters into bytes, validating characters and trailing bits
+ * @param {string} text - Encoded text without padding
+ * @param {Object} lookup - Map of character to value
+ * @param {number} bits - Bits per character
+ * @param {string} name - Encoding name for error messages
+ * @returns {Object} { bytes, error }
+ */
+function decodeBits(text, lookup, bits, name) {
+  const bytes = [];
+  let buffer = 0;
+  let count = 0;
+  
+  for (let i = 0; i < text.length; i++) {
+    const value = lookup[text[i]];
+    if (value === undefined) {
+      return { bytes: null, error: { index: i, message: `Invalid ${name} character "${text[i]}" at index ${i}` } };
+    }
+    buffer = (buffer << bits) | value;
+    count += bits;
+    if (count >= 8) {
+      count -= 8;
+      bytes.push((buffer >> count) & 0xFF);
+    }
+    buffer &= (1 << count) - 1;
+  }
+  
+  if (count >= bits) {
+    return { bytes: null, error: { index: text.length, message: `Invalid ${name} length ${text.length}` } };
+  }
+  if (buffer !== 0) {
+    return { bytes: null, error: { index: text.length - 1, message: `Non-zero trailing bits in last ${name} character` } };
+  }
+  return { bytes: Uint8Array.from(bytes), error: null };
+}
+
+/**
+ * Build a character lookup for an alphabet
+ * @param {string} alphabet - Codec alphabet
+ * @param {Object} extra - Additional accepted characters and their values
+ * @returns {Object} Map of character to value
+ */
+function alphabetLookup(alphabet, extra = {}) {
+  const lookup = { ...extra };
+  [...alphabet].forEach((char, i) => { lookup[char] = i; });
+  return lookup;
+}
+
+/**
+ * Strip and check '=' padding for a block size
+ * @param {string} text - Encoded text
+ * @param {number} block - Characters per padded block (4 for base64, 8 for base32)
+ * @param {string} name - Encoding name for error messages
+ * @returns {Object} { text, error } with padding removed
+ */
+function stripPadding(text, block, name) {
+  const padStart = text.indexOf('=');
+  if (padStart < 0) return { text, error: null };
+  if (!/^=+$/.test(text.slice(padStart)) || text.length % block !== 0) {
+    return { text: null, error: { index: padStart, message: `Invalid ${name} padding at index ${padStart}` } };
+  }
+  return { text: text.slice(0, padStart), error: null };
+}
+
+// Decoders returning { bytes, error } for each supported encoding
+const DECODERS = {
+  base64: text => {
+    const unpadded = stripPadding(text, 4, 'base64');
+    return unpadded.error ? { bytes: null, error: unpadded.error } : decodeBits(unpadded.text, alphabetLookup(BASE64_ALPHABET), 6, 'base64');
+  },
+  base64url: text => {
+    const unpadded = stripPadding(text, 4, 'base64url');
+    return unpadded.error ? { bytes: null, error: unpadded.error } : decodeBits(unpadded.text, alphabetLookup(BASE64URL_ALPHABET), 6, 'base64url');
+  },
+  base32: text => {
+    const unpadded = stripPadding(text.toUpperCase(), 8, 'base32');
+    return unpadded.error ? { bytes: null, error: unpadded.error } : decodeBits(unpadded.text, alphabetLookup(BASE32_ALPHABET), 5, 'base32');
+  },
+  'base32-crockford': text => {
+    const lookup = alphabetLookup(CROCKFORD_ALPHABET, { O: 0, I: 1, L: 1 });
+    return decodeBits(text.toUpperCase().replace(/-/g, ''), lookup, 5, 'base32-crockford');
+  },
+  base58: text => {
+    const lookup = alphabetLookup(BASE58_ALPHABET);
+    const digits = [];
+    let zeros = 0;
+    while (zeros < text.length && text[zeros] === '1') zeros++;
+    
+    for (let i = 0; i < text.length; i++) {
+      let carry = lookup[text[i]];
+      if (carry === undefined) {
+        return { bytes: null, error: { index: i, message: `Invalid base58 character "${text[i]}" at index ${i}` } };
+      }
+      for (let j = 0; j < digits.length; j++) {
+        carry += digits[j] * 58;
+        digits[j] = carry & 0xFF;
+        carry >>= 8;
+      }
+      for (; carry > 0; carry >>= 8) digits.push(carry & 0xFF);
+    }
+    
+    while (digits.length && digits[digits.length - 1] === 0) digits.pop();
+    const bytes = new Uint8Array(zeros + digits.length);
+    digits.reverse().forEach((byte, i) => { bytes[zeros + i] = byte; });
+    return { bytes, error: null };
+  },
+  hex: text => {
+    if (text.length % 2 !== 0) return { bytes: null, error: { index: text.length, message: `Invalid hex length ${text.length}` } };
+    return decodeBits(text.toLowerCase(), alphabetLookup('0123456789abcdef'), 4, 'hex');
+  }
+};
+
+/**
+ * Decode text and report why decoding failed
+ * @param {string} text - Encoded text
+ * @param {string} encoding - 'base64', 'base64url', 'base32', 'base32-crockford', 'base58' or 'hex'
+ * @param {Object} options - Options
+ * @param {boolean} options.bytes - Return a Uint8Array instead of UTF-8 text (default: false)
+ * @returns {Object} { value, error } where error is { index, message } or null
+ */
+function decodeResult(text, encoding, options = {}) {
+  const decoder = Object.prototype.hasOwnProperty.call(DECODERS, encoding) ? DECODERS[encoding] : null;
+  if (!decoder) return { value: null, error: { index: 0, message: `Unknown encoding "${encoding}"` } };
+  if (typeof text !== 'string') return { value: null, error: { index: 0, message: 'Encoded input must be a string' } };
+  
+  const { bytes, error } = decoder(text);
+  if (error) return { value: null, error };
+  if (options.bytes) return { value: bytes, error: null };
+  
+  const value = utf8Decode(bytes);
+  return value === null
+    ? { value: null, error: { index: 0, message: 'Decoded bytes are not valid UTF-8; pass { bytes: true } for binary data' } }
+    : { value, error: null };
+}
+
+/**
+ * Encode text or bytes as Base64
+ *
+ * Strings are encoded as UTF-8 first, so any Unicode text round-trips.
+ * @param {string|Uint8Array|ArrayBuffer} input - Text or bytes
+ * @param {Object} options - Options
+ * @param {boolean} options.url - Use the URL-safe alphabet (- and _) (default: false)
+ * @param {boolean} options.padding - Add '=' padding (default: true, false for url)
+ * @returns {string} Base64 text
+ */
+function encodeBase64(input, options = {}) {
+  const { url = false, padding = !url } = options;
+  const encoded = encodeBits(toBytes(input), url ? BASE64URL_ALPHABET : BASE64_ALPHABET, 6);
+  return padding ? encoded.padEnd(Math.ceil(encoded.length / 4) * 4, '=') : encoded;
+}
+
+/**
+ * Decode Base64 text, with or without padding
+ * @param {string} text - Base64 text
+ * @param {Object} options - Options
+ * @param {boolean} options.url - Expect the URL-safe alphabet (default: false)
+ * @param {boolean} options.bytes - Return a Uint8Array instead of UTF-8 text (default: false)
+ * @returns {string|Uint8Array|null} Decoded value, or null if invalid (see decodeResult for the reason)
+ */
+function decodeBase64(text, options = {}) {
+  return decodeResult(text, options.url ? 'base64url' : 'base64', options).value;
+}
+
+/**
+ * Encode text or bytes as unpadded Base64URL (as used by JWTs)
+ * @param {string|Uint8Array|ArrayBuffer} input - Text or bytes
+ * @returns {string} Base64URL text
+ */
+function encodeBase64Url(input) {
+  return encodeBase64(input, { url: true });
+}
+
+/**
+ * Decode Base64URL text
+ * @param {string} text - Base64URL text
+ * @param {Object} options - Options
+ * @param {boolean} options.bytes - Return a Uint8Array instead of UTF-8 text (default: false)
+ * @returns {string|Uint8Array|null} Decoded value, or null if invalid
+ */
+function decodeBase64Url(text, options = {}) {
+  return decodeResult(text, 'base64url', options).value;
+}
+
+/**
+ * Encode text or bytes as Base32
+ * @param {string|Uint8Array|ArrayBuffer} input - Text or bytes
+ * @param {Object} options - Options
+ * @param {boolean} options.crockford - Use Crockford's alphabet, never padded (default: false, RFC 4648)
+ * @param {boolean} options.padding - Add '=' padding for RFC 4648 (default: true)
+ * @returns {string} Base32 text
+ */
+function encodeBase32(input, options = {}) {
+  const { crockford = false, padding = !crockford } = options;
+  const encoded = encodeBits(toBytes(input), crockford ? CROCKFORD_ALPHABET : BASE32_ALPHABET, 5);
+  return padding && !crockford ? encoded.padEnd(Math.ceil(encoded.length / 8) * 8, '=') : encoded;
+}
+
+/**
+ * Decode Base32 text
+ *
+ * RFC 4648 input is case-insensitive with optional padding. Crockford input
+ * is case-insensitive, ignores hyphens and reads I and L as 1 and O as 0.
+ * @param {string} text - Base32 text
+ * @param {Object} options - Options
+ * @param {boolean} options.crockford - Expect Crockford's alphabet (default: false)
+ * @param {boolean} options.bytes - Return a Uint8Array instead of UTF-8 text (default: false)
+ * @returns {string|Uint8Array|null} Decoded value, or null if invalid
+ */
+function decodeBase32(text, options = {}) {
+  return decodeResult(text, options.crockford ? 'base32-crockford' : 'base32', options).value;
+}
+
+/**
+ * Encode text or bytes as Base58 (Bitcoin alphabet)
+ * @param {string|Uint8Array|ArrayBuffer} input - Text or bytes
+ * @returns {string} Base58 text, with a leading '1' per leading zero byte
+ */
+function encodeBase58(input) {
+  const bytes = toBytes(input);
+  const digits = [];
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+  
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let j = 0; j < digits.length; j++) {
+      carry += digits[j] << 8;
+      digits[j] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    for (; carry > 0; carry = Math.floor(carry / 58)) digits.push(carry % 58);
+  }
+  
+  return '1'.repeat(zeros) + digits.reverse().map(digit => BASE58_ALPHABET[digit]).join('');
+}
+
+/**
+ * Decode Base58 text (Bitcoin alphabet)
+ * @param {string} text - Base58 text
+ * @param {Object} options - Options
+ * @param {boolean} options.bytes - Return a Uint8Array instead of UTF-8 text (default: false)
+ * @returns {string|Uint8Array|null} Decoded value, or null if invalid
+ */
+function decodeBase58(text, options = {}) {
+  return decodeResult(text, 'base58', options).value;
+}
+
+/**
+ * Encode text or bytes as lowercase hex
+ * @param {string|Uint8Array|ArrayBuffer} input - Text or bytes
+ * @returns {string} Hex text
+ */
+function encodeHex(input) {
+  return encodeBits(toBytes(input), '0123456789abcdef', 4);
+}
+
+/**
+ * Decode hex text (either case)
+ * @param {string} text - Hex text with an even number of digits
+ * @param {Object} options - Options
+ * @param {boolean} options.bytes - Return a Uint8Array instead of UTF-8 text (default: false)
+ * @returns {string|Uint8Array|null} Decoded value, or null if invalid
+ */
+function decodeHex(text, options = {}) {
+  return decodeResult(text, 'hex', options).value;
+}
+
+/**
+ * Convert string to base64
+ * @param {string} text - Text to encode (as UTF-8)
+ * @returns {string} Base64 encoded string
+ */
+function toBase64(text) {
+  return encodeBase64(text);
+}
+
+/**
+ * Decode base64 string
+ * @param {string} base64 - Base64 string to decode
+ * @returns {string|null} Decoded UTF-8 string, or null if the input is not valid Base64
+ */
+function fromBase64(base64) {
+  return decodeBase64(base64);
+}
+
+/**
+ * Generate random string
+ * @param {number} length - Length of string in graphemes
+ * @param {string} chars - Characters to use; emoji and combined characters count as one
+ * @returns {string} Random string, or '' when chars is empty
+ */
+function randomString(length, chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789') {
+  return randomFromAlphabet(length, graphemes(chars));
+}
+
+/**
+ * Check if string starts with substring (case insensitive)
+ * @param {string} text - Text to check
+ * @param {string} searchString - String to search for
+ * @returns {boolean} True if starts with
+ */
+function startsWithIgnoreCase(text, searchString) {
+  return text.toLowerCase().startsWith(searchString.toLowerCase());
+}
+
+/**
+ * Check if string ends with substring (case insensitive)
+ * @param {string} text - Text to check
+ * @param {string} searchString - String to search for
+ * @returns {boolean} True if ends with
+ */
 function endsWithIgnoreCase(text, searchString) {
   return text.toLowerCase().endsWith(searchString.toLowerCase());
 }
@@ -300,15 +2077,103 @@ function includesIgnoreCase(text, searchString) {
   return text.toLowerCase().includes(searchString.toLowerCase());
 }
 
+/**
+ * Build a global pattern for a search term
+ * @param {string|RegExp} search - Literal text, or a RegExp to use as is
+ * @param {Object} options - Search options
+ * @param {boolean} options.caseInsensitive - Ignore case (default: false)
+ * @param {boolean} options.wholeWord - Only match whole words (default: false)
+ * @returns {RegExp} Pattern with the global flag
+ */
+function searchPattern(search, options = {}) {
+  const { caseInsensitive = false, wholeWord = false } = options;
+  let source = search instanceof RegExp ? search.source : escapeRegExp(search);
+  const flags = new Set(search instanceof RegExp ? search.flags.replace('y', '') : 'u');
+  flags.add('g');
+  if (caseInsensitive) flags.add('i');
+  if (wholeWord) {
+    flags.add('u');
+    source = `(?<![\\p{L}\\p{M}\\p{N}_])(?:${source})(?![\\p{L}\\p{M}\\p{N}_])`;
+  }
+  return new RegExp(source, [...flags].join(''));
+}
+
+/**
+ * Find every match of a search term
+ * @param {string} text - Text to search in
+ * @param {string|RegExp} search - Literal text or a RegExp
+ * @param {Object} options - searchPattern options plus overlapping
+ * @param {boolean} options.overlapping - Also report matches that start inside an earlier one (default: false)
+ * @returns {Array<Object>} Matches { index, end, value }
+ */
+function findMatches(text, search, options = {}) {
+  const { overlapping = false } = options;
+  const value = String(text ?? '');
+  if (search === '' || search === null || search === undefined) return [];
+  
+  const pattern = searchPattern(search, options);
+  const matches = [];
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    const end = match.index + match[0].length;
+    if (match[0] !== '') matches.push({ index: match.index, end, value: match[0] });
+    if (overlapping || match[0] === '') {
+      const codePoint = value.codePointAt(match.index);
+      pattern.lastIndex = match.index + (codePoint > 0xFFFF ? 2 : 1);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Find the positions of every occurrence of a substring
+ * @param {string} text - Text to search in
+ * @param {string|RegExp} search - Substring, matched literally (or a RegExp)
+ * @param {Object} options - Options
+ * @param {boolean} options.caseInsensitive - Ignore case (default: false)
+ * @param {boolean} options.wholeWord - Only match whole words (default: false)
+ * @param {boolean} options.overlapping - Count 'aa' twice in 'aaa' (default: false)
+ * @returns {Array<number>} Start indexes
+ */
+function indexOfAll(text, search, options = {}) {
+  return findMatches(text, search, options).map(match => match.index);
+}
+
 /**
  * Replace all occurrences of substring
+ *
+ * As with String.prototype.replaceAll, an empty search inserts the
+ * replacement at both ends and between every character (code point, so
+ * surrogate pairs stay whole).
  * @param {string} text - Text to process
- * @param {string} search - String to search for
- * @param {string} replace - String to replace with
+ * @param {string|RegExp} search - Substring, matched literally (or a RegExp)
+ * @param {string|Function} replace - Literal replacement ($ has no special meaning), or a function (match, index) returning one
+ * @param {Object} options - Options
+ * @param {boolean} options.caseInsensitive - Ignore case (default: false)
+ * @param {boolean} options.wholeWord - Only replace whole words (default: false)
  * @returns {string} Processed string
  */
-function replaceAll(text, search, replace) {
-  return text.split(search).join(replace);
+function replaceAll(text, search, replace, options = {}) {
+  const value = String(text ?? '');
+  const replacement = (match, index) => (typeof replace === 'function' ? replace(match, index) : replace);
+  
+  if (search === '') {
+    let result = replacement('', 0);
+    let index = 0;
+    for (const char of value) {
+      index += char.length;
+      result += char + replacement('', index);
+    }
+    return result;
+  }
+  
+  let result = '';
+  let last = 0;
+  for (const match of findMatches(value, search, { ...options, overlapping: false })) {
+    result += value.slice(last, match.index) + replacement(match.value, match.index);
+    last = match.end;
+  }
+  return result + value.slice(last);
 }
 
 /**
@@ -325,55 +2190,439 @@ function insert(text, index, substring) {
 /**
  * Remove substring from string
  * @param {string} text - Original text
- * @param {string} substring - String to remove
+ * @param {string|RegExp} substring - Substring to remove, matched literally (or a RegExp)
+ * @param {Object} options - Options
+ * @param {boolean} options.caseInsensitive - Ignore case (default: false)
+ * @param {boolean} options.wholeWord - Only remove whole words (default: false)
  * @returns {string} Modified string
  */
-function remove(text, substring) {
-  return text.replace(new RegExp(substring, 'g'), '');
+function remove(text, substring, options = {}) {
+  return replaceAll(text, substring, '', options);
 }
 
 /**
  * Count occurrences of substring
  * @param {string} text - Text to search in
- * @param {string} substring - String to count
+ * @param {string|RegExp} substring - Substring to count, matched literally (or a RegExp)
+ * @param {Object} options - Options
+ * @param {boolean} options.caseInsensitive - Ignore case (default: false)
+ * @param {boolean} options.wholeWord - Only count whole words (default: false)
+ * @param {boolean} options.overlapping - Count 'aa' twice in 'aaa' (default: false)
  * @returns {number} Number of occurrences
  */
-function countOccurrences(text, substring) {
-  return (text.match(new RegExp(substring, 'g')) || []).length;
+function countOccurrences(text, substring, options = {}) {
+  return findMatches(text, substring, options).length;
+}
+
+/**
+ * Highlight search terms in text
+ *
+ * Overlapping and adjacent matches of different terms are merged into one
+ * range, so markup never nests.
+ * @param {string} text - Text to highlight
+ * @param {string|Array<string>} terms - Term or terms, matched literally
+ * @param {Object} options - Options
+ * @param {boolean} options.caseInsensitive - Ignore case (default: true)
+ * @param {boolean} options.wholeWord - Only match whole words (default: false)
+ * @param {boolean} options.ranges - Return [start, end) ranges instead of markup (default: false)
+ * @param {string} options.open - Markup before a match (default: '<mark>')
+ * @param {string} options.close - Markup after a match (default: '</mark>')
+ * @param {boolean} options.escape - HTML-escape the text around the markup (default: true)
+ * @returns {string|Array<Array<number>>} Highlighted text, or the match ranges
+ */
+function highlight(text, terms, options = {}) {
+  const { caseInsensitive = true, wholeWord = false, ranges = false, open = '<mark>', close = '</mark>', escape = true } = options;
+  const value = String(text ?? '');
+  const list = (Array.isArray(terms) ? terms : [terms]).filter(term => term !== '' && term !== null && term !== undefined);
+  
+  const merged = [];
+  list
+    .flatMap(term => findMatches(value, term, { caseInsensitive, wholeWord, overlapping: true }))
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ index, end }) => {
+      const last = merged[merged.length - 1];
+      if (last && index <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([index, end]);
+    });
+  if (ranges) return merged;
+  
+  const output = escape ? part => escapeHtml(part, { context: 'text' }) : part => part;
+  let result = '';
+  let last = 0;
+  for (const [start, end] of merged) {
+    result += output(value.slice(last, start)) + open + output(value.slice(start, end)) + close;
+    last = end;
+  }
+  return result + output(value.slice(last));
+}
+
+// Intl.Collator instances keyed by locale and options, created on first use
+const collators = new Map();
+
+/**
+ * Get a cached collator, or null where Intl.Collator is missing or rejects the locale
+ * @param {string} locale - BCP 47 locale
+ * @param {boolean} numeric - Compare digit runs as numbers
+ * @param {string} sensitivity - Collator sensitivity
+ * @returns {Intl.Collator|null} Collator
+ */
+function getCollator(locale, numeric, sensitivity) {
+  const key = `${locale}|${numeric}|${sensitivity}`;
+  if (!collators.has(key)) {
+    let collator = null;
+    if (typeof Intl !== 'undefined' && Intl.Collator) {
+      try {
+        collator = new Intl.Collator(locale, { numeric, sensitivity, caseFirst: 'lower' });
+      } catch (error) {
+        collator = null;
+      }
+    }
+    collators.set(key, collator);
+  }
+  return collators.get(key);
+}
+
+/**
+ * Compare two strings without Intl.Collator
+ *
+ * Digit runs compare by value, letters by their unaccented lowercase form,
+ * then accents and case break ties as the sensitivity allows.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {boolean} numeric - Compare digit runs as numbers
+ * @param {string} sensitivity - 'base', 'accent', 'case' or 'variant'
+ * @returns {number} Negative, zero or positive
+ */
+function fallbackCompare(a, b, numeric, sensitivity) {
+  const plain = text => text.normalize('NFD').replace(/\p{M}/gu, '');
+  const order = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+  const chunks = text => (numeric ? text.match(/\d+|\D+/g) : [text]) || [];
+  
+  const left = chunks(plain(a).toLowerCase());
+  const right = chunks(plain(b).toLowerCase());
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const x = left[i];
+    const y = right[i];
+    let result;
+    if (numeric && /^\d/.test(x) && /^\d/.test(y)) {
+      const xs = x.replace(/^0+(?=\d)/, '');
+      const ys = y.replace(/^0+(?=\d)/, '');
+      result = xs.length - ys.length || order(xs, ys);
+    } else {
+      result = order(x, y);
+    }
+    if (result !== 0) return Math.sign(result);
+  }
+  if (left.length !== right.length) return left.length < right.length ? -1 : 1;
+  
+  // Leading zeros never break ties, as with Intl.Collator
+  const x = numeric ? a.replace(/\d+/g, digits => digits.replace(/^0+(?=\d)/, '')) : a;
+  const y = numeric ? b.replace(/\d+/g, digits => digits.replace(/^0+(?=\d)/, '')) : b;
+  if (sensitivity === 'accent' || sensitivity === 'variant') {
+    const result = order(x.normalize('NFD').toLowerCase(), y.normalize('NFD').toLowerCase());
+    if (result !== 0) return result;
+  }
+  if (sensitivity === 'case' || sensitivity === 'variant') {
+    const lowerFirst = text => [...plain(text)].map(char => (char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase())).join('');
+    return order(lowerFirst(x), lowerFirst(y));
+  }
+  return 0;
+}
+
+/**
+ * Compare strings the way people expect: 'file2' before 'file10', 'é' next to 'e'
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {Object} options - Options
+ * @param {string} options.locale - BCP 47 locale (default: 'en-US')
+ * @param {boolean} options.numeric - Compare digit runs as numbers (default: true)
+ * @param {string} options.sensitivity - 'base', 'accent', 'case' or 'variant' (default: 'variant')
+ * @returns {number} Negative if a sorts first, positive if b does, zero if equal
+ */
+function naturalCompare(a, b, options = {}) {
+  const { locale = 'en-US', numeric = true, sensitivity = 'variant' } = options;
+  const x = String(a ?? '');
+  const y = String(b ?? '');
+  const collator = getCollator(locale, numeric, sensitivity);
+  return collator ? Math.sign(collator.compare(x, y)) : fallbackCompare(x, y, numeric, sensitivity);
+}
+
+/**
+ * Sort values in natural order
+ * @param {Array} arr - Values to sort (the array is not modified)
+ * @param {Object} options - naturalCompare options plus
+ * @param {Function|string} options.key - Function or property name giving the string to compare
+ * @param {string} options.direction - 'asc' or 'desc' (default: 'asc')
+ * @returns {Array} Sorted copy
+ */
+function naturalSort(arr, options = {}) {
+  const { key, direction = 'asc' } = options;
+  const value = typeof key === 'function' ? key : key === undefined ? item => item : item => item?.[key];
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...arr].sort((a, b) => sign * naturalCompare(value(a), value(b), options));
 }
 
 /**
  * Get Levenshtein distance between two strings
+ *
+ * Keeps only two rows of the distance table. With maxDistance the search
+ * stops as soon as every path exceeds it, which keeps long strings cheap.
  * @param {string} str1 - First string
  * @param {string} str2 - Second string
- * @returns {number} Edit distance
+ * @param {Object} options - Options
+ * @param {number} options.maxDistance - Give up beyond this distance (default: Infinity)
+ * @returns {number} Edit distance in grapheme clusters, or maxDistance + 1 when exceeded
  */
-function levenshteinDistance(str1, str2) {
-  const matrix = [];
+function levenshteinDistance(str1, str2, options = {}) {
+  const { maxDistance = Infinity } = options;
+  const a = graphemes(str1);
+  const b = graphemes(str2);
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
   
-  for (let i = 0; i <= str2.length; i++) {
-    matrix[i] = [i];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let current = new Array(b.length + 1);
+  
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [previous, current] = [current, previous];
   }
   
-  for (let j = 0; j <= str1.length; j++) {
-    matrix[0][j] = j;
+  return Math.min(previous[b.length], maxDistance + 1);
+}
+
+/**
+ * Get the Damerau-Levenshtein distance between two strings
+ *
+ * Like levenshteinDistance but an adjacent transposition ("teh" → "the")
+ * counts as one edit (optimal string alignment variant).
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @param {Object} options - Options
+ * @param {number} options.maxDistance - Give up beyond this distance (default: Infinity)
+ * @returns {number} Edit distance in grapheme clusters, or maxDistance + 1 when exceeded
+ */
+function damerauLevenshteinDistance(str1, str2, options = {}) {
+  const { maxDistance = Infinity } = options;
+  const a = graphemes(str1);
+  const b = graphemes(str2);
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  
+  let beforePrevious = new Array(b.length + 1).fill(0);
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let current = new Array(b.length + 1);
+  
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [beforePrevious, previous, current] = [previous, current, beforePrevious];
   }
   
-  for (let i = 1; i <= str2.length; i++) {
-    for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
+  return Math.min(previous[b.length], maxDistance + 1);
+}
+
+/**
+ * Get the Jaro-Winkler similarity of two strings
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @param {Object} options - Options
+ * @param {number} options.prefixScale - Boost per shared leading character, up to four (default: 0.1)
+ * @returns {number} Similarity from 0 to 1
+ */
+function jaroWinkler(str1, str2, options = {}) {
+  const { prefixScale = 0.1 } = options;
+  const a = graphemes(str1);
+  const b = graphemes(str2);
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+  
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+  
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (!matchedB[j] && a[i] === b[j]) {
+        matchedA[i] = matchedB[j] = true;
+        matches++;
+        break;
       }
     }
   }
+  if (matches === 0) return 0;
   
-  return matrix[str2.length][str1.length];
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!matchedA[i]) continue;
+    while (!matchedB[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+  
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * prefixScale * (1 - jaro);
+}
+
+/**
+ * Get the Sørensen-Dice coefficient of two strings' character n-grams
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @param {Object} options - Options
+ * @param {number} options.size - n-gram size (default: 2)
+ * @returns {number} Similarity from 0 to 1
+ */
+function diceCoefficient(str1, str2, options = {}) {
+  const { size = 2 } = options;
+  const grams = text => {
+    const chars = graphemes(text);
+    const counts = new Map();
+    for (let i = 0; i + size <= chars.length; i++) {
+      const gram = chars.slice(i, i + size).join('');
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    return { counts, total: Math.max(0, chars.length - size + 1) };
+  };
+  
+  const a = grams(str1);
+  const b = grams(str2);
+  if (a.total === 0 || b.total === 0) return String(str1) === String(str2) ? 1 : 0;
+  
+  let shared = 0;
+  for (const [gram, count] of a.counts) shared += Math.min(count, b.counts.get(gram) || 0);
+  return (2 * shared) / (a.total + b.total);
+}
+
+/**
+ * Match a query as an in-order subsequence of a text
+ *
+ * Matching prefers the earliest occurrence. The score rewards runs of
+ * consecutive characters and matches at word starts.
+ * @param {string} query - Characters to find in order
+ * @param {string} text - Text to search
+ * @param {Object} options - Options
+ * @param {boolean} options.caseSensitive - Compare case-sensitively (default: false)
+ * @returns {Object|null} { score, ranges } with ranges as [start, end) string indexes for highlighting, or null if no match
+ */
+function subsequenceMatch(query, text, options = {}) {
+  const { caseSensitive = false } = options;
+  const fold = value => (caseSensitive ? value : value.toLowerCase());
+  const needle = graphemes(query).map(fold);
+  const haystack = graphemes(text);
+  if (needle.length === 0) return { score: 1, ranges: [] };
+  
+  const ranges = [];
+  let offset = 0;
+  let found = 0;
+  let bonus = 0;
+  let previousMatch = -2;
+  
+  for (let i = 0; i < haystack.length && found < needle.length; i++) {
+    const start = offset;
+    offset += haystack[i].length;
+    if (fold(haystack[i]) !== needle[found]) continue;
+    
+    const wordStart = i === 0 || /[^\p{L}\p{N}]/u.test(haystack[i - 1]) ||
+      (/\p{Lu}/u.test(haystack[i]) && /\p{Ll}/u.test(haystack[i - 1]));
+    if (i === previousMatch + 1) {
+      ranges[ranges.length - 1][1] = offset;
+      bonus += 1;
+    } else {
+      ranges.push([start, offset]);
+    }
+    if (wordStart) bonus += 0.5;
+    previousMatch = i;
+    found++;
+  }
+  
+  if (found < needle.length) return null;
+  const coverage = needle.length / haystack.length;
+  const compactness = Math.min(1, bonus / Math.max(1, needle.length - 0.5));
+  return { score: 0.5 * compactness + 0.5 * coverage, ranges };
+}
+
+/**
+ * Score how well a candidate string matches a query
+ * @param {string} query - Normalized query
+ * @param {string} candidate - Candidate text
+ * @param {Object} options - { caseSensitive, threshold }
+ * @returns {Object} { score, ranges }
+ */
+function fuzzyScore(query, candidate, options) {
+  const text = options.caseSensitive ? candidate : candidate.toLowerCase();
+  const longest = Math.max(graphemeLength(query), graphemeLength(text)) || 1;
+  const maxDistance = Math.ceil(longest * (1 - options.threshold));
+  const distance = damerauLevenshteinDistance(query, text, { maxDistance });
+  const edit = distance > maxDistance ? 0 : 1 - distance / longest;
+  
+  const blended = (jaroWinkler(query, text) + diceCoefficient(query, text) + edit) / 3;
+  const subsequence = subsequenceMatch(query, candidate, options);
+  const score = subsequence ? Math.max(blended, subsequence.score) : blended;
+  return { score, ranges: subsequence ? subsequence.ranges : [] };
+}
+
+/**
+ * Search a list for items that approximately match a query
+ *
+ * Each candidate is scored with Damerau-Levenshtein, Jaro-Winkler and
+ * bigram Dice similarity, and with subsequence matching so that
+ * abbreviations such as "gcm" still find "getCurrentMonth". Object items
+ * are searched through keys, optionally weighted.
+ * @param {string} query - Search text
+ * @param {Array} items - Strings or objects to search
+ * @param {Object} options - Options
+ * @param {Array<string|Object>} options.keys - Paths to search on objects, or { name, weight } (default weight 1)
+ * @param {number} options.threshold - Minimum score from 0 to 1 (default: 0.3)
+ * @param {number} options.limit - Maximum number of results
+ * @param {boolean} options.caseSensitive - Compare case-sensitively (default: false)
+ * @returns {Array<Object>} Results { item, index, score, key, ranges } sorted by best score, or [] if items is not an array
+ */
+function fuzzySearch(query, items, options = {}) {
+  if (!Array.isArray(items)) return [];
+  const { keys = [], threshold = 0.3, limit = Infinity, caseSensitive = false } = options;
+  const fields = keys.map(key => (typeof key === 'string' ? { name: key, weight: 1 } : { weight: 1, ...key }));
+  const maxWeight = Math.max(1, ...fields.map(field => field.weight));
+  const needle = caseSensitive ? String(query) : String(query).toLowerCase();
+  const results = [];
+  
+  items.forEach((item, index) => {
+    const candidates = fields.length
+      ? fields.map(field => ({ key: field.name, weight: field.weight / maxWeight, value: get(item, field.name) }))
+      : [{ key: null, weight: 1, value: item }];
+    
+    let best = null;
+    for (const { key, weight, value } of candidates) {
+      if (value === undefined || value === null) continue;
+      const { score, ranges } = fuzzyScore(needle, String(value), { caseSensitive, threshold });
+      const weighted = score * weight;
+      if (!best || weighted > best.score) best = { item, index, score: weighted, key, ranges };
+    }
+    
+    if (best && best.score >= threshold) results.push(best);
+  });
+  
+  return results
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit);
 }
 
 /**
@@ -383,44 +2632,704 @@ function levenshteinDistance(str1, str2) {
  * @returns {number} Similarity score
  */
 function similarity(str1, str2) {
-  const longer = str1.length > str2.length ? str1 : str2;
-  const shorter = str1.length > str2.length ? str2 : str1;
+  const longest = Math.max(graphemeLength(str1), graphemeLength(str2));
+  if (longest === 0) return 1.0;
+  
+  const distance = levenshteinDistance(str1, str2);
+  return (longest - distance) / longest;
+}
+
+// Filters available in templates as {{ value | name:arg1,arg2 }}
+const TEMPLATE_FILTERS = {
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  trim: value => String(value).trim(),
+  capitalize: value => capitalize(String(value)),
+  title: value => toTitleCase(String(value)),
+  camel: value => camelCase(value),
+  kebab: value => kebabCase(value),
+  snake: value => snakeCase(value),
+  slug: value => slugify(value),
+  truncate: (value, length, suffix) => truncate(String(value), length, suffix),
+  date: (value, format, timeZone) => formatDate(value, format, { timeZone }),
+  number: value => commaNumber(value),
+  round: (value, decimals) => round(Number(value), decimals),
+  currency: (value, currency, locale) => toCurrency(Number(value), currency, locale),
+  percent: (value, decimals) => toPercent(Number(value), decimals),
+  ordinal: value => ordinal(Number(value)),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  length: value => (Array.isArray(value) ? value.length : value == null ? 0 : graphemeLength(String(value))),
+  json: value => JSON.stringify(value),
+  escape: value => escapeHtml(String(value))
+};
+
+/**
+ * Split a template expression on a delimiter outside quoted strings
+ * @param {string} text - Expression text
+ * @param {string} delimiter - Single-character delimiter
+ * @returns {Array<string>} Trimmed parts
+ */
+function splitOutsideQuotes(text, delimiter) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') current += char + (text[++i] ?? '');
+      else {
+        if (char === quote) quote = null;
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === delimiter) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Compile a template operand (quoted string, number, boolean or path)
+ * @param {string} text - Operand text
+ * @returns {Function|null} Resolver taking the scope chain ({ item, vars } per level), or null if invalid
+ */
+function compileOperand(text) {
+  if (/^(["']).*\1$/s.test(text)) {
+    const literal = text.slice(1, -1).replace(/\\(.)/g, '$1');
+    return () => literal;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) return () => Number(text);
+  if (text === 'true' || text === 'false' || text === 'null') return () => JSON.parse(text);
+  if (!/^(this|@?[\w$]+)(\.[\w$]+)*$/.test(text)) return null;
+  
+  const [head, ...rest] = text.split('.');
+  const resolve = value => (rest.length ? get(value, rest.join('.')) : value);
+  return scopes => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const { item, vars } = scopes[i];
+      if (head === 'this') return resolve(item);
+      if (Object.prototype.hasOwnProperty.call(vars, head)) return resolve(vars[head]);
+    }
+    return undefined;
+  };
+}
+
+/**
+ * Compile a template expression with an optional filter pipeline
+ * @param {string} text - Expression such as 'user.name | upper | truncate:20'
+ * @param {Object} filters - Available filters
+ * @returns {Function|null} Evaluator returning { value, raw }, or null if invalid
+ */
+function compileExpression(text, filters) {
+  const [head, ...pipes] = splitOutsideQuotes(text, '|');
+  const operand = compileOperand(head);
+  if (!operand) return null;
+  
+  const steps = [];
+  for (const pipe of pipes) {
+    const colon = pipe.indexOf(':');
+    const name = (colon >= 0 ? pipe.slice(0, colon) : pipe).trim();
+    const args = colon >= 0 ? splitOutsideQuotes(pipe.slice(colon + 1), ',').map(compileOperand) : [];
+    const known = name === 'raw' || (Object.prototype.hasOwnProperty.call(filters, name) && typeof filters[name] === 'function');
+    if (!known || args.some(arg => !arg)) return null;
+    steps.push({ name, args });
+  }
+  
+  return scopes => {
+    let value = operand(scopes);
+    let raw = false;
+    for (const { name, args } of steps) {
+      if (name === 'raw') raw = true;
+      else value = filters[name](value, ...args.map(arg => arg(scopes)));
+    }
+    return { value, raw };
+  };
+}
+
+/**
+ * Find the `}}` that closes a template tag, skipping any inside quoted strings
+ * @param {string} source - Template source
+ * @param {number} from - Index just after the opening `{{`
+ * @returns {number} Index of the closing `}}`, or -1 if there is none
+ */
+function findTagEnd(source, from) {
+  const first = source.indexOf('}}', from);
+  const comment = /\s*!/y;
+  comment.lastIndex = from;
+  if (comment.test(source)) return first;
+  let quote = null;
+  
+  for (let i = from; i < source.length - 1; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '}' && source[i + 1] === '}') {
+      return i;
+    }
+  }
+  
+  // An unterminated quote ends at the first `}}`, so the tag fails to compile as before
+  return first;
+}
+
+/**
+ * Parse template source into a tree of render functions
+ * @param {string} source - Template source
+ * @param {Object} filters - Available filters
+ * @param {boolean} autoEscape - HTML-escape interpolated values
+ * @returns {Function|null} Renderer taking the scope chain, or null on a syntax error
+ */
+function parseTemplate(source, filters, autoEscape) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let last = 0;
+  
+  const current = () => stack[stack.length - 1];
+  const append = node => current()[current().alternate ? 'alternate' : 'children'].push(node);
+  
+  for (let open = source.indexOf('{{'); open !== -1; open = source.indexOf('{{', last)) {
+    const end = findTagEnd(source, open + 2);
+    if (end === -1) break;
+    const literal = source.slice(last, open);
+    if (literal) append(() => literal);
+    last = end + 2;
+    const tag = source.slice(open + 2, end).trim();
+    
+    if (tag.startsWith('!')) continue;
+    
+    const block = /^#(if|unless|each)\s+(.+)$/s.exec(tag);
+    if (block) {
+      const [, type, rest] = block;
+      const loop = type === 'each' ? /^(.+?)(?:\s+as\s+([\w$]+))?$/s.exec(rest) : null;
+      const condition = compileExpression(loop ? loop[1] : rest, filters);
+      if (!condition) return null;
+      stack.push({ type, condition, alias: loop && loop[2], children: [], alternate: null });
+      continue;
+    }
+    
+    if (tag === 'else') {
+      if (current().type === 'root' || current().alternate) return null;
+      current().alternate = [];
+      continue;
+    }
+    
+    const close = /^\/(if|unless|each)$/.exec(tag);
+    if (close) {
+      const node = stack.pop();
+      if (node.type !== close[1]) return null;
+      append(compileBlock(node));
+      continue;
+    }
+    
+    const expression = compileExpression(tag, filters);
+    if (!expression) return null;
+    append(scopes => {
+      const { value, raw } = expression(scopes);
+      const text = value === undefined || value === null ? '' : String(value);
+      return autoEscape && !raw ? escapeHtml(text) : text;
+    });
+  }
+  
+  if (stack.length !== 1) return null;
+  const tail = source.slice(last);
+  if (tail) root.children.push(() => tail);
+  return renderNodes(root.children);
+}
+
+/**
+ * Join the output of a list of render functions
+ * @param {Array<Function>} nodes - Render functions
+ * @returns {Function} Renderer taking the scope chain
+ */
+function renderNodes(nodes) {
+  return scopes => nodes.map(node => node(scopes)).join('');
+}
+
+/**
+ * Build the render function for a parsed if, unless or each block
+ * @param {Object} node - Block { type, condition, alias, children, alternate }
+ * @returns {Function} Renderer taking the scope chain
+ */
+function compileBlock(node) {
+  const body = renderNodes(node.children);
+  const otherwise = renderNodes(node.alternate || []);
+  const truthy = value => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+  
+  if (node.type !== 'each') {
+    return scopes => {
+      const passed = truthy(node.condition(scopes).value);
+      return (node.type === 'if' ? passed : !passed) ? body(scopes) : otherwise(scopes);
+    };
+  }
+  
+  return scopes => {
+    const { value } = node.condition(scopes);
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : value && typeof value === 'object' ? Object.entries(value) : [];
+    if (entries.length === 0) return otherwise(scopes);
+    
+    return entries.map(([key, item], index) => {
+      const meta = { '@index': index, '@key': key, '@first': index === 0, '@last': index === entries.length - 1 };
+      const vars = node.alias
+        ? { ...meta, [node.alias]: item }
+        : { ...(item && typeof item === 'object' ? item : {}), ...meta };
+      return body([...scopes, { item, vars }]);
+    }).join('');
+  };
+}
+
+/**
+ * Compile a template into a reusable render function
+ *
+ * Supports {{ path.to.value }} interpolation, filters ({{ name | upper }},
+ * {{ text | truncate:20 }}, {{ when | date:"YYYY-MM-DD" }}), blocks
+ * ({{#if x}}…{{else}}…{{/if}}, {{#unless x}}…{{/unless}},
+ * {{#each items as item}}…{{/each}} with @index, @key, @first and @last)
+ * and comments ({{! note }}). Output is HTML-escaped unless the raw filter
+ * is applied. Templates are interpreted, never evaluated as code.
+ * @param {string} template - Template source
+ * @param {Object} options - Options
+ * @param {boolean} options.escape - HTML-escape interpolated values (default: true)
+ * @param {Object} options.filters - Extra filters as { name: (value, ...args) => result }
+ * @returns {Function|null} Function taking the data object and returning a string, or null if the template is invalid
+ */
+function compileTemplate(template, options = {}) {
+  const { escape = true, filters = {} } = options;
+  // No prototype, so names like 'constructor' are not filters
+  const available = Object.assign(Object.create(null), TEMPLATE_FILTERS, filters);
+  const render = parseTemplate(String(template), available, escape);
+  if (!render) return null;
+  return (data = {}) => render([{ item: data, vars: data && typeof data === 'object' ? data : {} }]);
+}
+
+/**
+ * Render a template with data
+ *
+ * Compiles on every call; use compileTemplate to render one template many times.
+ * @param {string} template - Template source
+ * @param {Object} data - Values available to the template
+ * @param {Object} options - Same options as compileTemplate
+ * @returns {string|null} Rendered text, or null if the template is invalid
+ */
+function renderTemplate(template, data = {}, options = {}) {
+  const render = compileTemplate(template, options);
+  return render ? render(data) : null;
+}
+
+/**
+ * Split text into diff tokens
+ * @param {string} text - Text to split
+ * @param {string} granularity - 'line' (keeping newlines), 'word' (words, spaces and punctuation) or 'char' (graphemes)
+ * @returns {Array<string>} Tokens that join back to the text
+ */
+function diffTokens(text, granularity) {
+  const value = String(text ?? '');
+  if (granularity === 'char') return graphemes(value);
+  if (granularity === 'word') return value.match(/\s+|[\p{L}\p{M}\p{N}_]+|[^\s\p{L}\p{M}\p{N}_]/gu) || [];
+  return value.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Compute the shortest edit script between two token lists (Myers' O(ND) algorithm)
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @param {Function} key - Maps a token to the value compared for equality
+ * @returns {Array<Object>} Operations { type: 'equal' | 'delete' | 'insert', token }
+ */
+function myersDiff(a, b, key) {
+  const equal = (i, j) => key(a[i]) === key(b[j]);
+  let start = 0;
+  while (start < a.length && start < b.length && equal(start, start)) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equal(endA - 1, endB - 1)) {
+    endA--;
+    endB--;
+  }
+  
+  const n = endA - start;
+  const m = endB - start;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let x = 0;
+  let y = 0;
   
-  if (longer.length === 0) return 1.0;
+  search:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      y = x - k;
+      while (x < n && y < m && equal(start + x, start + y)) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+  
+  const middle = [];
+  x = n;
+  y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const row = trace[d];
+    const at = k => row[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+    
+    while (x > previousX && y > previousY) {
+      middle.push({ type: 'equal', token: a[start + x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) middle.push({ type: 'insert', token: b[start + y - 1] });
+      else middle.push({ type: 'delete', token: a[start + x - 1] });
+    }
+    x = previousX;
+    y = previousY;
+  }
+  
+  return [
+    ...a.slice(0, start).map(token => ({ type: 'equal', token })),
+    ...middle.reverse(),
+    ...a.slice(endA).map(token => ({ type: 'equal', token }))
+  ];
+}
+
+/**
+ * Diff two texts into per-token operations
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - diffText options
+ * @returns {Array<Object>} Operations { type, token }
+ */
+function diffOperations(oldText, newText, options) {
+  const { granularity = 'line', ignoreCase = false, ignoreWhitespace = false } = options;
+  const key = token => {
+    let value = ignoreCase ? token.toLowerCase() : token;
+    if (ignoreWhitespace) value = granularity === 'line' ? value.trim().replace(/\s+/g, ' ') : value.replace(/^\s+$/, ' ');
+    return value;
+  };
+  return myersDiff(diffTokens(oldText, granularity), diffTokens(newText, granularity), key);
+}
+
+/**
+ * Merge consecutive operations of the same type
+ * @param {Array<Object>} operations - Operations { type, token }
+ * @returns {Array<Object>} Changes { type, value, count }
+ */
+function mergeOperations(operations) {
+  const changes = [];
+  for (const { type, token } of operations) {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.value += token;
+      last.count++;
+    } else {
+      changes.push({ type, value: token, count: 1 });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Group operations into hunks of changes with surrounding context
+ * @param {Array<Object>} operations - Operations { type, token }
+ * @param {number} context - Unchanged tokens to keep around each change
+ * @returns {Array<Object>} Hunks { oldStart, oldLines, newStart, newLines, operations } with 1-based starts
+ */
+function buildHunks(operations, context) {
+  const hunks = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  let hunk = null;
+  let trailing = 0;
+  const nextChange = new Array(operations.length);
+  for (let i = operations.length - 1, next = Infinity; i >= 0; i--) {
+    nextChange[i] = next;
+    if (operations[i].type !== 'equal') next = i;
+  }
   
-  const distance = levenshteinDistance(longer, shorter);
-  return (longer.length - distance) / longer.length;
+  operations.forEach((operation, i) => {
+    if (operation.type !== 'equal') {
+      if (!hunk) {
+        const lead = [];
+        for (let j = i - 1; j >= 0 && lead.length < context && operations[j].type === 'equal'; j--) lead.unshift(operations[j]);
+        hunk = { oldStart: oldIndex - lead.length, newStart: newIndex - lead.length, operations: lead };
+        hunks.push(hunk);
+      }
+      hunk.operations.push(operation);
+      trailing = 0;
+    } else if (hunk) {
+      if (trailing < context || nextChange[i] - i <= context) {
+        hunk.operations.push(operation);
+        trailing++;
+      } else {
+        hunk = null;
+      }
+    }
+    
+    if (operation.type !== 'insert') oldIndex++;
+    if (operation.type !== 'delete') newIndex++;
+  });
+  
+  return hunks.map(({ oldStart, newStart, operations: ops }) => {
+    const oldLines = ops.filter(op => op.type !== 'insert').length;
+    const newLines = ops.filter(op => op.type !== 'delete').length;
+    return { oldStart: oldStart + 1, oldLines, newStart: newStart + 1, newLines, operations: ops };
+  });
+}
+
+/**
+ * Compare two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - Options
+ * @param {string} options.granularity - 'line', 'word' or 'char' (default: 'line')
+ * @param {boolean} options.ignoreCase - Treat case differences as equal (default: false)
+ * @param {boolean} options.ignoreWhitespace - Treat whitespace differences as equal (default: false)
+ * @returns {Array<Object>} Changes { type: 'equal' | 'delete' | 'insert', value, count } in order; equal values come from the old text
+ */
+function diffText(oldText, newText, options = {}) {
+  return mergeOperations(diffOperations(oldText, newText, options));
+}
+
+/**
+ * Compare two texts and group the changes into hunks with context
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - diffText options plus context
+ * @param {number} options.context - Unchanged tokens kept around each change (default: 3)
+ * @returns {Array<Object>} Hunks { oldStart, oldLines, newStart, newLines, changes } with 1-based token positions
+ */
+function diffHunks(oldText, newText, options = {}) {
+  const { context = 3 } = options;
+  return buildHunks(diffOperations(oldText, newText, options), context)
+    .map(({ operations, ...hunk }) => ({ ...hunk, changes: mergeOperations(operations) }));
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - Options
+ * @param {string} options.oldName - Name in the --- header (default: 'a')
+ * @param {string} options.newName - Name in the +++ header (default: 'b')
+ * @param {number} options.context - Unchanged lines around each change (default: 3)
+ * @param {boolean} options.ignoreWhitespace - Treat whitespace differences as equal (default: false)
+ * @param {boolean} options.color - Colour the output with ANSI codes (default: false)
+ * @returns {string} Unified diff, or an empty string when the texts are equal
+ */
+function createPatch(oldText, newText, options = {}) {
+  const { oldName = 'a', newName = 'b', context = 3, color = false } = options;
+  const hunks = buildHunks(diffOperations(oldText, newText, { ...options, granularity: 'line' }), context);
+  if (hunks.length === 0) return '';
+  
+  const paint = (code, line) => (color ? `\u001B[${code}m${line}${ANSI_RESET}` : line);
+  const lines = [paint(1, `--- ${oldName}`), paint(1, `+++ ${newName}`)];
+  
+  for (const hunk of hunks) {
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    lines.push(paint(36, `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`));
+    
+    for (const { type, token } of hunk.operations) {
+      const prefix = type === 'insert' ? '+' : type === 'delete' ? '-' : ' ';
+      lines.push(paint(type === 'insert' ? 32 : type === 'delete' ? 31 : 0, prefix + token.replace(/\n$/, '')));
+      if (!token.endsWith('\n')) lines.push('\\ No newline at end of file');
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Apply a unified diff to a text
+ *
+ * Hunks are located at their stated line first and then searched for
+ * nearby, so a patch still applies when lines were added elsewhere.
+ * @param {string} text - Text to patch
+ * @param {string} patch - Unified diff as produced by createPatch or diff -u
+ * @returns {string|null} Patched text, or null if a hunk does not match
+ */
+function applyPatch(text, patch) {
+  const source = diffTokens(text, 'line');
+  const hunks = [];
+  let hunk = null;
+  
+  for (const line of stripAnsi(patch).split('\n')) {
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (header) {
+      hunk = { oldStart: Number(header[1]), oldLines: header[2] === undefined ? 1 : Number(header[2]), lines: [] };
+      hunks.push(hunk);
+    } else if (hunk && /^[ +-]/.test(line)) {
+      hunk.lines.push({ type: line[0], value: `${line.slice(1)}\n` });
+    } else if (hunk && line.startsWith('\\') && hunk.lines.length) {
+      const last = hunk.lines[hunk.lines.length - 1];
+      last.value = last.value.slice(0, -1);
+    }
+  }
+  
+  const result = [];
+  let cursor = 0;
+  
+  for (const { oldStart, oldLines, lines } of hunks) {
+    const expected = lines.filter(line => line.type !== '+').map(line => line.value);
+    const matchesAt = at => at >= cursor && at + expected.length <= source.length &&
+      expected.every((value, i) => source[at + i] === value);
+    const preferred = oldLines === 0 ? oldStart : oldStart - 1;
+    
+    let position = -1;
+    for (let offset = 0; position < 0 && offset <= source.length; offset++) {
+      if (matchesAt(preferred - offset)) position = preferred - offset;
+      else if (matchesAt(preferred + offset)) position = preferred + offset;
+    }
+    if (position < 0) return null;
+    
+    result.push(...source.slice(cursor, position));
+    for (const line of lines) {
+      if (line.type !== '-') result.push(line.value);
+    }
+    cursor = position + expected.length;
+  }
+  
+  return result.concat(source.slice(cursor)).join('');
+}
+
+/**
+ * Show the differences between two texts inline with ANSI colours
+ *
+ * Deleted text is red and struck through, inserted text is green.
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - diffText options (granularity defaults to 'word')
+ * @returns {string} Highlighted text for terminal output
+ */
+function highlightDiff(oldText, newText, options = {}) {
+  return diffText(oldText, newText, { granularity: 'word', ...options })
+    .map(({ type, value }) => {
+      if (type === 'delete') return `\u001B[31m\u001B[9m${value}${ANSI_RESET}`;
+      if (type === 'insert') return `\u001B[32m${value}${ANSI_RESET}`;
+      return value;
+    })
+    .join('');
 }
 
 
+module.exports.transliterate = transliterate;
 module.exports.slugify = slugify;
+module.exports.uniqueSlug = uniqueSlug;
 module.exports.toTitleCase = toTitleCase;
 module.exports.truncate = truncate;
+module.exports.graphemes = graphemes;
+module.exports.graphemeLength = graphemeLength;
+module.exports.escapeRegExp = escapeRegExp;
+module.exports.splitWords = splitWords;
 module.exports.camelCase = camelCase;
 module.exports.pascalCase = pascalCase;
 module.exports.snakeCase = snakeCase;
 module.exports.kebabCase = kebabCase;
+module.exports.constantCase = constantCase;
+module.exports.dotCase = dotCase;
+module.exports.pathCase = pathCase;
+module.exports.sentenceCase = sentenceCase;
+module.exports.titleCase = titleCase;
+module.exports.trainCase = trainCase;
+module.exports.pluralize = pluralize;
+module.exports.singularize = singularize;
+module.exports.addIrregular = addIrregular;
+module.exports.addUncountable = addUncountable;
+module.exports.addPluralRule = addPluralRule;
+module.exports.addSingularRule = addSingularRule;
 module.exports.capitalize = capitalize;
 module.exports.reverse = reverse;
 module.exports.isPalindrome = isPalindrome;
 module.exports.wordCount = wordCount;
 module.exports.words = words;
+module.exports.sentences = sentences;
+module.exports.paragraphs = paragraphs;
+module.exports.syllableCount = syllableCount;
+module.exports.readingTime = readingTime;
+module.exports.fleschReadingEase = fleschReadingEase;
+module.exports.fleschKincaidGrade = fleschKincaidGrade;
+module.exports.textStats = textStats;
+module.exports.keywords = keywords;
+module.exports.ngrams = ngrams;
 module.exports.pad = pad;
 module.exports.padStart = padStart;
 module.exports.padEnd = padEnd;
+module.exports.stripAnsi = stripAnsi;
+module.exports.displayWidth = displayWidth;
+module.exports.padWidth = padWidth;
+module.exports.padStartWidth = padStartWidth;
+module.exports.padEndWidth = padEndWidth;
+module.exports.truncateWidth = truncateWidth;
+module.exports.wordWrap = wordWrap;
 module.exports.repeat = repeat;
+module.exports.decodeHtmlEntities = decodeHtmlEntities;
+module.exports.encodeHtmlEntities = encodeHtmlEntities;
 module.exports.stripHtml = stripHtml;
 module.exports.escapeHtml = escapeHtml;
 module.exports.unescapeHtml = unescapeHtml;
+module.exports.sanitizeHtml = sanitizeHtml;
+module.exports.utf8Encode = utf8Encode;
+module.exports.utf8Decode = utf8Decode;
+module.exports.decodeResult = decodeResult;
+module.exports.encodeBase64 = encodeBase64;
+module.exports.decodeBase64 = decodeBase64;
+module.exports.encodeBase64Url = encodeBase64Url;
+module.exports.decodeBase64Url = decodeBase64Url;
+module.exports.encodeBase32 = encodeBase32;
+module.exports.decodeBase32 = decodeBase32;
+module.exports.encodeBase58 = encodeBase58;
+module.exports.decodeBase58 = decodeBase58;
+module.exports.encodeHex = encodeHex;
+module.exports.decodeHex = decodeHex;
 module.exports.toBase64 = toBase64;
 module.exports.fromBase64 = fromBase64;
 module.exports.randomString = randomString;
 module.exports.startsWithIgnoreCase = startsWithIgnoreCase;
 module.exports.endsWithIgnoreCase = endsWithIgnoreCase;
 module.exports.includesIgnoreCase = includesIgnoreCase;
+module.exports.indexOfAll = indexOfAll;
 module.exports.replaceAll = replaceAll;
 module.exports.insert = insert;
 module.exports.remove = remove;
 module.exports.countOccurrences = countOccurrences;
+module.exports.highlight = highlight;
+module.exports.naturalCompare = naturalCompare;
+module.exports.naturalSort = naturalSort;
 module.exports.levenshteinDistance = levenshteinDistance;
-module.exports.similarity = similarity;
\ No newline at end of file
+module.exports.damerauLevenshteinDistance = damerauLevenshteinDistance;
+module.exports.jaroWinkler = jaroWinkler;
+module.exports.diceCoefficient = diceCoefficient;
+module.exports.subsequenceMatch = subsequenceMatch;
+module.exports.fuzzySearch = fuzzySearch;
+module.exports.similarity = similarity;
+module.exports.compileTemplate = compileTemplate;
+module.exports.renderTemplate = renderTemplate;
+module.exports.diffText = diffText;
+module.exports.diffHunks = diffHunks;
+module.exports.createPatch = createPatch;
+module.exports.applyPatch = applyPatch;
+module.exports.highlightDiff = highlightDiff;
\ No newline at end of file
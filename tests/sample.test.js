@@ -35,16 +35,257 @@ test('slugify converts text to slug', () => {
   assert(utils.slugify('My Blog Post Title') === 'my-blog-post-title');
 });
 
+test('slugify transliterates and honours options', () => {
+  assert(utils.slugify('Crème Brûlée') === 'creme-brulee');
+  assert(utils.slugify('Größe') === 'grosse' && utils.slugify('Größe', { locale: 'de' }) === 'groesse');
+  assert(utils.slugify('Привет, Мир!') === 'privet-mir' && utils.slugify('Ελληνικά νέα') === 'ellinika-nea');
+  assert(utils.slugify('Blåbær Øl', { locale: 'da' }) === 'blaabaer-oel');
+  assert(utils.slugify('Rock & Roll', { replacements: { '&': 'and' } }) === 'rock-and-roll');
+  assert(utils.slugify('Hello World', { separator: '_', lowercase: false }) === 'Hello_World');
+  assert(utils.slugify('The quick brown fox', { maxLength: 15 }) === 'the-quick-brown');
+  assert(utils.uniqueSlug('Hello World', ['hello-world', 'hello-world-2']) === 'hello-world-3');
+});
+
 test('toTitleCase converts to title case', () => {
   assert(utils.toTitleCase('hello world') === 'Hello World');
   assert(utils.toTitleCase('the quick brown fox') === 'The Quick Brown Fox');
 });
 
+test('case conversions share a Unicode-aware tokenizer', () => {
+  assert(utils.snakeCase('XMLHttpRequest') === 'xml_http_request');
+  assert(utils.camelCase('hello_world-foo') === 'helloWorldFoo');
+  assert(utils.kebabCase('ÉtéChaud') === 'été-chaud');
+  assert(utils.pascalCase('привет мир') === 'ПриветМир');
+  assert(utils.constantCase('version2Beta') === 'VERSION2_BETA');
+  assert(utils.dotCase('fooBar') === 'foo.bar' && utils.pathCase('fooBar') === 'foo/bar');
+  assert(utils.sentenceCase('helloWorld') === 'Hello world');
+  assert(utils.titleCase('xmlHttpRequest') === 'Xml Http Request');
+  assert(utils.trainCase('hello world') === 'Hello-World');
+});
+
+test('case conversions keep preserved acronyms', () => {
+  const options = { acronyms: ['ID', 'iOS', 'URL'] };
+  assert(utils.camelCase('user id', options) === 'userID');
+  assert(utils.pascalCase('iOSAppID', options) === 'iOSAppID');
+  assert(utils.snakeCase('getURLForID', options) === 'get_url_for_id');
+  assert(utils.splitWords('version2Beta', { splitNumbers: true }).join(' ') === 'version 2 Beta');
+});
+
 test('truncate shortens text', () => {
   assert(utils.truncate('Long text here', 10) === 'Long te...');
   assert(utils.truncate('Short', 10) === 'Short');
 });
 
+test('string helpers operate on grapheme clusters', () => {
+  const text = 'he\u0301llo👍🏽👨‍👩‍👧';
+  assert(utils.graphemeLength(text) === 7);
+  assert(utils.reverse(text) === '👨‍👩‍👧👍🏽olle\u0301h');
+  assert(utils.truncate(text, 6, '…') === 'he\u0301llo…');
+  assert(utils.pad('👍🏽', 3, '*') === '*👍🏽*' && utils.padEnd('ab', 5, 'xy') === 'abxyx');
+  assert(utils.levenshteinDistance('👍🏽a', '👍🏿a') === 1);
+  assert(utils.graphemeLength(utils.randomString(5, '😀👍🏽')) === 5);
+  assert(utils.randomString(5, '') === '');
+});
+
+test('display width handles CJK, emoji and ANSI codes', () => {
+  const red = utils.colorize('hello world', 'red');
+  assert(utils.displayWidth('日本語') === 6 && utils.displayWidth('👍🏽x') === 3);
+  assert(utils.displayWidth(red) === 11 && utils.stripAnsi(red) === 'hello world');
+  assert(utils.padEndWidth('日本', 6, '.') === '日本..');
+  assert(utils.displayWidth(utils.padStartWidth(red, 15)) === 15);
+  assert(utils.truncateWidth('日本語テキスト', 7) === '日本...');
+  assert(utils.truncateWidth(red, 8, '…') === '\x1b[31mhello w…\x1b[0m');
+});
+
+test('wordWrap wraps by display width and carries ANSI styles', () => {
+  assert(utils.wordWrap('The quick brown fox jumps', 10) === 'The quick\nbrown fox\njumps');
+  assert(utils.wordWrap('The quick brown', 8, { indent: '> ' }) === '> The\n> quick\n> brown');
+  assert(utils.wordWrap('supercalifragilistic is', 8, { hard: true }) === 'supercal\nifragili\nstic is');
+  assert(utils.wordWrap('supercalifragilistic', 8) === 'supercalifragilistic');
+  const wrapped = utils.wordWrap(utils.colorize('red words wrap', 'red'), 9).split('\n');
+  assert(wrapped[1] === '\x1b[31mwrap\x1b[0m' && wrapped[0].endsWith('\x1b[0m'));
+  assert(utils.wordWrap('\x1b[31mred words\x1b[39m plain', 9) === '\x1b[31mred words\x1b[39m\nplain');
+  assert(utils.wordWrap('\x1b[0;1;31mbold red\x1b[22m text', 8).split('\n')[1] === '\x1b[31mtext\x1b[0m');
+});
+
+test('renderTemplate interpolates, filters and escapes', () => {
+  const data = { user: { name: 'Ada <L>', joined: new Date(2024, 0, 5) }, html: '<b>hi</b>' };
+  assert(utils.renderTemplate('Hi {{ user.name | upper }}', data) === 'Hi ADA &lt;L&gt;');
+  assert(utils.renderTemplate('{{ user.joined | date:"YYYY-MM-DD" }}', data) === '2024-01-05');
+  assert(utils.renderTemplate('{{ "A long sentence here" | truncate:10 }}', {}) === 'A long ...');
+  assert(utils.renderTemplate('{{ html | raw }} {{ missing | default:"n/a" }}', data) === '<b>hi</b> n/a');
+  assert(utils.renderTemplate('{{ x | shout }}', { x: 'hey' }, { filters: { shout: v => `${v}!` } }) === 'hey!');
+  assert(utils.renderTemplate('{{#if open}}', {}) === null && utils.renderTemplate('{{ x | nope }}', {}) === null);
+  assert(utils.renderTemplate('{{ x | constructor }}', { x: 1 }) === null);
+  assert(utils.renderTemplate('{{ "upper" | __defineGetter__:x }}', { x: 1 }) === null);
+  assert(utils.renderTemplate('{{ x | default:"}}" }}', {}) === '}}' && utils.renderTemplate("{{! don't }}ok", {}) === 'ok');
+});
+
+test('compileTemplate supports conditionals and loops', () => {
+  const render = utils.compileTemplate('{{#each items as item}}{{ @index }}:{{ item.name }}{{#unless @last}}, {{/unless}}{{else}}none{{/each}}');
+  assert(render({ items: [{ name: 'a' }, { name: 'b' }] }) === '0:a, 1:b');
+  assert(render({ items: [] }) === 'none');
+  const flags = utils.compileTemplate('{{#if admin}}admin{{else}}user{{/if}} {{#each tags}}{{ @key }}={{ this }};{{/each}}');
+  assert(flags({ admin: true, tags: { a: 1 } }) === 'admin a=1;');
+});
+
+test('string distance metrics and early cut-off', () => {
+  assert(utils.levenshteinDistance('kitten', 'sitting') === 3);
+  assert(utils.levenshteinDistance('a'.repeat(500), 'b'.repeat(500), { maxDistance: 3 }) === 4);
+  assert(utils.damerauLevenshteinDistance('teh', 'the') === 1);
+  assert(utils.jaroWinkler('MARTHA', 'MARHTA').toFixed(3) === '0.961');
+  assert(utils.diceCoefficient('night', 'nacht') === 0.25);
+  assert(JSON.stringify(utils.subsequenceMatch('gcm', 'getCurrentMonth').ranges) === '[[0,1],[3,4],[10,11]]');
+  assert(utils.subsequenceMatch('zz', 'abc') === null);
+});
+
+test('fuzzySearch ranks items with weighted keys', () => {
+  const fruits = ['apple', 'banana', 'grape', 'pineapple', 'grapefruit'];
+  assert(utils.fuzzySearch('aple', fruits)[0].item === 'apple');
+  assert(utils.fuzzySearch('grap', fruits, { limit: 2 }).map(r => r.item).join() === 'grape,grapefruit');
+  const books = [
+    { title: 'Hemingway biography', author: { name: 'Someone' } },
+    { title: 'The Old Man and the Sea', author: { name: 'Hemingway' } },
+    { title: 'Moby Dick', author: { name: 'Melville' } }
+  ];
+  const results = utils.fuzzySearch('hemingway', books, { keys: ['title', { name: 'author.name', weight: 2 }] });
+  assert(results.length === 2 && results[0].index === 1 && results[0].key === 'author.name');
+  assert(utils.fuzzySearch('a', null).length === 0 && utils.fuzzySearch('a', 'abc').length === 0);
+});
+
+test('HTML entities encode and decode', () => {
+  assert(utils.decodeHtmlEntities('a&nbsp;b &eacute; &#x1F600; &#233; &bogus;') === 'a\u00A0b é 😀 é &bogus;');
+  assert(utils.unescapeHtml('&lt;p&gt; &copy; &#39;') === "<p> © '");
+  assert(utils.encodeHtmlEntities('café <b> ©😀') === 'caf&eacute; &lt;b&gt; &copy;&#x1F600;');
+  assert(utils.decodeHtmlEntities('&frac13; &half; &rightarrow; &NotEqual; &mldr; &dash;') === '⅓ ½ → ≠ … ‐');
+  assert(utils.decodeHtmlEntities('&copy 2024 &amp &notit;') === '© 2024 & ¬it;');
+  assert(utils.decodeHtmlEntities('?a=1&copy=2&amp', { attribute: true }) === '?a=1&copy=2&');
+  assert(utils.escapeHtml('"x" <y>') === '&quot;x&quot; &lt;y&gt;');
+  assert(utils.escapeHtml('"x" <y>', { context: 'text' }) === '"x" &lt;y&gt;');
+});
+
+test('stripHtml and sanitizeHtml use a tokenizer', () => {
+  assert(utils.stripHtml('<p title="a>b">Hi <b>there</b></p><script>alert("<b>x</b>")</script>') === 'Hi there');
+  const dirty = '<p onclick="evil()">Hi <a href="java&#x09;script:alert(1)">x</a> <a href="/ok?a=1&b=2">ok</a><script>bad()</script><b>open';
+  assert(utils.sanitizeHtml(dirty) === '<p>Hi <a>x</a> <a href="/ok?a=1&amp;b=2">ok</a><b>open</b></p>');
+  const custom = { allowedTags: ['span'], allowedAttributes: { '*': ['class'] } };
+  assert(utils.sanitizeHtml('<div><span class="x" id="y">a</span></div>', custom) === '<span class="x">a</span>');
+  assert(utils.sanitizeHtml('<img src="data:image/png;base64,xx">') === '<img>');
+});
+
+test('Base64 and Base64URL are UTF-8 safe', () => {
+  const text = 'héllo 👍🏽 世界';
+  assert(utils.toBase64(text) === 'aMOpbGxvIPCfkY3wn4+9IOS4lueVjA==' && utils.fromBase64(utils.toBase64(text)) === text);
+  assert(utils.encodeBase64Url(text) === 'aMOpbGxvIPCfkY3wn4-9IOS4lueVjA' && utils.decodeBase64Url('aMOpbGxvIPCfkY3wn4-9IOS4lueVjA') === text);
+  assert(utils.encodeBase64(new Uint8Array([255, 254])) === '//4=');
+  assert(utils.decodeBase64('/w==', { bytes: true })[0] === 255 && utils.decodeBase64('/w==') === null);
+  assert(utils.decodeResult('Zm9v!', 'base64').error.message === 'Invalid base64 character "!" at index 4');
+  assert(utils.decodeResult('Zh==', 'base64').error.message.startsWith('Non-zero trailing bits'));
+  assert(utils.decodeResult('x', 'constructor').error.message === 'Unknown encoding "constructor"');
+  assert(utils.decodeResult('x', '__proto__').value === null && utils.decodeResult('x', 'toString').error !== null);
+});
+
+test('Base32, Base58 and hex codecs round-trip', () => {
+  assert(utils.encodeBase32('foobar') === 'MZXW6YTBOI======' && utils.decodeBase32('mzxw6ytboi') === 'foobar');
+  assert(utils.encodeBase32('foobar', { crockford: true }) === 'CSQPYRK1E8');
+  assert(utils.decodeBase32('csqp-yrki-e8', { crockford: true }) === 'foobar');
+  assert(utils.encodeBase58('Hello World!') === '2NEpo7TZRRrLZSi2U' && utils.decodeBase58('2NEpo7TZRRrLZSi2U') === 'Hello World!');
+  assert(utils.encodeBase58(new Uint8Array([0, 0, 1, 2])) === '115T' && utils.decodeBase58('0OIl') === null);
+  assert(utils.encodeHex('hi ✓') === '686920e29c93' && utils.decodeHex('6869') === 'hi' && utils.decodeHex('686') === null);
+});
+
+test('pluralize and singularize handle irregular and uncountable words', () => {
+  assert(utils.pluralize('box') === 'boxes' && utils.pluralize('City') === 'Cities' && utils.pluralize('PERSON') === 'PEOPLE');
+  assert(utils.singularize('analyses') === 'analysis' && utils.singularize('knives') === 'knife');
+  assert(utils.pluralize('sheep') === 'sheep' && utils.pluralize('information') === 'information');
+  assert(utils.pluralize('item', 1) === 'item' && utils.pluralize('item', 3, { inclusive: true }) === '3 items');
+  // The registries are global, so use words no other test relies on
+  utils.addIrregular('blorf', 'blorfen');
+  utils.addUncountable('zimbit');
+  assert(utils.pluralize('blorf') === 'blorfen' && utils.singularize('blorfen') === 'blorf' && utils.pluralize('zimbit') === 'zimbit');
+});
+
+test('formatPlural follows locale plural rules', () => {
+  const files = { one: '# plik', few: '# pliki', many: '# plików', other: '# pliku' };
+  assert([1, 2, 5, 22].map(n => utils.formatPlural(n, files, { locale: 'pl' })).join() === '1 plik,2 pliki,5 plików,22 pliki');
+  assert(utils.pluralCategory(21, { locale: 'ru' }) === 'one' && utils.pluralCategory(2, { locale: 'ar' }) === 'two');
+  assert(utils.formatPlural(0, { '=0': 'no items', one: '# item', other: '# items' }) === 'no items');
+  assert(utils.formatPlural(1234, { one: '# item', other: '# items' }) === '1,234 items');
+  assert(utils.bytes(1) === '1 Byte' && utils.bytes(2) === '2 Bytes');
+});
+
+test('search helpers match literally', () => {
+  assert(utils.escapeRegExp('a.b*(c)') === 'a\\.b\\*\\(c\\)');
+  assert(utils.countOccurrences('a.b a.b axb', 'a.b') === 2 && utils.countOccurrences('(x)(x)', '(x)') === 2);
+  assert(utils.remove('cost $5 or $5', '$5') === 'cost  or ' && utils.replaceAll('a.b.c', '.', '$&') === 'a$&b$&c');
+  assert(utils.indexOfAll('aaaa', 'aa').join() === '0,2' && utils.indexOfAll('aaaa', 'aa', { overlapping: true }).join() === '0,1,2');
+  assert(utils.countOccurrences('Cat cat concat', 'cat', { caseInsensitive: true, wholeWord: true }) === 2);
+  assert(utils.replaceAll('a1b22', /\d+/, m => `[${m}]`) === 'a[1]b[22]');
+  assert(utils.replaceAll('abc', '', '-') === '-a-b-c-' && utils.replaceAll('', '', '-') === '-');
+  assert(utils.replaceAll('a😀', '', (m, i) => i) === '0a1😀3');
+});
+
+test('highlight wraps search terms or returns ranges', () => {
+  assert(utils.highlight('The <b>quick</b> fox', ['QUICK', 'fox']) === 'The &lt;b&gt;<mark>quick</mark>&lt;/b&gt; <mark>fox</mark>');
+  assert(JSON.stringify(utils.highlight('abcdef', ['abc', 'cde'], { ranges: true })) === '[[0,5]]');
+  assert(utils.highlight('a b', 'b', { open: '[', close: ']', escape: false }) === 'a [b]');
+});
+
+test('naturalCompare and naturalSort order strings naturally', () => {
+  const files = ['file10.txt', 'file2.txt', 'File1.txt', 'éclair', 'zoo', 'eclair'];
+  const expected = 'eclair,éclair,File1.txt,file2.txt,file10.txt,zoo';
+  assert(utils.naturalSort(files).join() === expected);
+  assert(utils.naturalSort(files, { locale: 'invalid locale!' }).join() === expected);
+  assert(utils.naturalCompare('a', 'A', { sensitivity: 'base' }) === 0 && utils.naturalCompare('a', 'A') < 0);
+  assert(utils.naturalSort(['ä', 'z', 'a'], { locale: 'sv' }).join() === 'a,z,ä');
+  assert(utils.naturalSort([{ v: 'v1.9' }, { v: 'v1.10' }], { key: 'v', direction: 'desc' })[0].v === 'v1.10');
+  const rows = utils.sortBy([{ n: 'item10', p: 2 }, { n: 'item9', p: 2 }, { n: 'zed', p: 1 }, { n: 'Émile', p: 1 }], ['p', 'n']);
+  assert(rows.map(r => r.n).join() === 'Émile,zed,item9,item10');
+});
+
+test('words and sentences use locale-aware segmentation', () => {
+  assert(utils.words("Don't split O'Neil, naïve café").join('|') === "Don't|split|O'Neil|naïve|café");
+  assert(utils.words('我喜欢吃苹果', { locale: 'zh' }).length === (typeof Intl.Segmenter === 'function' ? 4 : 6));
+  assert(utils.wordCount('Привет, мир') === 2 && utils.words('two words', { locale: 'not a locale' }).length === 2);
+  assert(utils.sentences('Hello there! How are you? 这是一个句子。').length === 3);
+  assert(utils.paragraphs('One.\n\nTwo\nstill two.\n\n\nThree').length === 3);
+  assert(utils.ngrams('the quick brown fox').join('|') === 'the quick|quick brown|brown fox');
+  assert(utils.ngrams('héllo', 3, { granularity: 'char' }).join() === 'hél,éll,llo');
+});
+
+test('textStats, readability and keywords', () => {
+  const sample = 'The Australian platypus is seemingly a hybrid of a mammal and reptilian creature.';
+  assert(utils.fleschReadingEase(sample) === 37.5 && utils.fleschKincaidGrade(sample) === 11.3);
+  assert(utils.syllableCount('readability') === 5 && utils.syllableCount('table') === 2);
+  const stats = utils.textStats('The cat sat on the mat. The dog sat on the log.\n\nCats are friends.');
+  assert(stats.words === 15 && stats.sentences === 3 && stats.paragraphs === 2 && stats.readingTime.text === '1 min read');
+  assert(utils.readingTime('word '.repeat(450)).minutes === 3 && utils.fleschReadingEase('') === null);
+  const top = utils.keywords('The cat sat on the mat. The dog sat on the log.', { limit: 2 });
+  assert(top[0].word === 'sat' && top[0].count === 2 && top[1].word === 'cat');
+});
+
+test('diffText compares lines, words and characters', () => {
+  const words = utils.diffText('the quick brown fox', 'the slow brown fox', { granularity: 'word' });
+  assert(words.map(c => c.type[0] + c.value).join('|') === 'ethe |dquick|islow|e brown fox');
+  assert(utils.diffText('kitten', 'sitting', { granularity: 'char' }).filter(c => c.type !== 'equal').length === 5);
+  assert(utils.diffText('a\nb\n', 'a\nB\n', { ignoreCase: true }).length === 1);
+  const hunks = utils.diffHunks('a\nb\nc\nd\ne\nf\ng\n', 'a\nb\nc\nD\ne\nf\ng\n', { context: 1 });
+  assert(hunks.length === 1 && hunks[0].oldStart === 3 && hunks[0].oldLines === 3 && hunks[0].changes.length === 4);
+  assert(utils.stripAnsi(utils.highlightDiff('a b', 'a c')) === 'a bc');
+});
+
+test('createPatch and applyPatch round-trip unified diffs', () => {
+  const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+  const after = before.replace('line 2\n', 'line two\n').replace('line 15\n', '').replace(/\n$/, '');
+  const patch = utils.createPatch(before, after, { oldName: 'a/config', newName: 'b/config' });
+  assert(patch.startsWith('--- a/config\n+++ b/config\n@@ -1,5 +1,5 @@\n line 1\n-line 2\n+line two\n'));
+  assert(patch.includes('\\ No newline at end of file'));
+  assert(utils.applyPatch(before, patch) === after);
+  assert(utils.applyPatch(`header\n${before}`, patch) === `header\n${after}`);
+  assert(utils.applyPatch('something else\n', patch) === null);
+  assert(utils.createPatch('same\n', 'same\n') === '');
+});
+
 // Date Utils Tests
 test('formatDate formats dates', () => {
   const date = new Date('2025-09-16T14:30:00');
@@ -52,6 +293,95 @@ test('formatDate formats dates', () => {
   assert(utils.formatDate(date, 'DD/MM/YYYY') === '16/09/2025');
 });
 
+test('formatDate handles repeated tokens, names and literals', () => {
+  const date = new Date(2024, 0, 5, 15, 4, 9, 7);
+  assert(utils.formatDate(date, 'DD/MM/YYYY HH:mm (DD)') === '05/01/2024 15:04 (05)');
+  assert(utils.formatDate(date, 'dddd, MMMM Do YYYY h:mm:ss.SSS A') === 'Friday, January 5th 2024 3:04:09.007 PM');
+  assert(utils.formatDate(date, '[Today is] ddd') === 'Today is Fri');
+  assert(utils.formatDate(date, 'D MMMM', { locale: 'fr-FR' }) === '5 janvier');
+  assert(utils.formatDate(date, 'D MMMM', { locale: 'ru' }) === '5 января' && utils.formatDate(date, 'MMMM', { locale: 'ru' }) === 'январь');
+  assert(utils.parseDate('5 января 2024', 'D MMMM YYYY', { locale: 'ru' }).getDate() === 5);
+  const bc = new Date(2024, 0, 1);
+  bc.setFullYear(-5);
+  assert(utils.formatDate(bc, 'YYYY-MM-DD') === '-0005-01-01' && utils.formatDate(bc, 'YYYY N') === '0006 BC');
+  assert(utils.parseDate('-0005-01-01', 'YYYY-MM-DD').getFullYear() === -5);
+  assert(utils.formatDate('garbage', 'YYYY-MM-DD') === 'NaN-NaN-NaN' && utils.formatDate('garbage', 'GGGG') === 'NaN');
+});
+
+test('parseDate honours the given pattern', () => {
+  const date = utils.parseDate('03/04/2024', 'DD/MM/YYYY');
+  assert(date.getFullYear() === 2024 && date.getMonth() === 3 && date.getDate() === 3);
+  assert(utils.parseDate('2023-02-30', 'YYYY-MM-DD') === null);
+  assert(utils.parseDate('15.01.24', ['YYYY-MM-DD', 'DD.MM.YY']).getDate() === 15);
+  assert(utils.parseDate('2024-1-5', 'YYYY-MM-DD', { strict: true }) === null);
+});
+
+test('parseDate default patterns accept local ISO times with and without seconds', () => {
+  assert(utils.parseDate('2024-01-15T10:00:00.000').getTime() === new Date(2024, 0, 15, 10).getTime());
+  assert(utils.parseDate('2024-01-15T10:00').getTime() === new Date(2024, 0, 15, 10).getTime());
+  assert(utils.parseDate('2024-01-15 10:30:00.250').getMilliseconds() === 250);
+  assert(utils.parseDate('2024-01-15T10:00Z').toISOString() === '2024-01-15T10:00:00.000Z');
+});
+
+test('parseDateResult reports the failing field', () => {
+  const result = utils.parseDateResult('2024-13-01', 'YYYY-MM-DD');
+  assert(result.date === null);
+  assert(result.error.field === 'month');
+  assert(utils.parseDateResult('Monday, 5 January 2024', 'dddd, D MMMM YYYY', { strict: true }).error.field === 'weekday');
+});
+
+test('date functions honour the timeZone option', () => {
+  const timeZone = 'America/New_York';
+  const noon = new Date('2024-03-10T12:00:00Z');
+  assert(utils.formatDate(noon, 'YYYY-MM-DD HH:mm Z', { timeZone }) === '2024-03-10 08:00 -04:00');
+  assert(utils.startOfDay(noon, { timeZone }).toISOString() === '2024-03-10T05:00:00.000Z');
+  assert(utils.addDays(new Date('2024-03-09T15:00:00Z'), 1, { timeZone }).toISOString() === '2024-03-10T14:00:00.000Z');
+  assert(utils.getTimezoneOffset(new Date('2024-07-01T00:00:00Z'), 'Asia/Kathmandu') === 5.75);
+  assert(utils.isToday(new Date(), { timeZone: 'Pacific/Kiritimati' }));
+  assert(utils.isToday('garbage', { timeZone }) === false && isNaN(utils.addMonths('garbage', 1, { timeZone })));
+  assert(isNaN(utils.toZonedParts('garbage', timeZone).year));
+});
+
+test('fromZonedParts resolves DST gaps forward', () => {
+  const date = utils.fromZonedParts({ year: 2024, month: 2, day: 10, hours: 2, minutes: 30 }, 'America/New_York');
+  assert(date.toISOString() === '2024-03-10T07:30:00.000Z');
+});
+
+test('parseDuration and formatDuration round-trip ISO 8601', () => {
+  const duration = utils.parseDuration('P1Y2M10DT2H30M');
+  assert(duration.years === 1 && duration.months === 2 && duration.days === 10 && duration.minutes === 30);
+  assert(utils.formatDuration(duration) === 'P1Y2M10DT2H30M');
+  assert(utils.formatDuration(utils.parseDuration('-PT1.5S')) === '-PT1.5S');
+  assert(utils.parseDuration('P1DT') === null);
+});
+
+test('duration arithmetic is calendar-aware', () => {
+  assert(utils.addDuration(new Date(2024, 0, 31), 'P1M').getDate() === 29);
+  const between = utils.durationBetween(new Date(2024, 0, 31), new Date(2024, 1, 29, 2, 5));
+  assert(between.months === 1 && between.days === 0 && between.hours === 2 && between.minutes === 5);
+  assert(utils.durationFromMs(93784005).days === 1);
+});
+
+test('humanizeDuration renders long and compact forms', () => {
+  assert(utils.humanizeDuration({ hours: 2, minutes: 5 }) === '2 hours 5 minutes');
+  assert(utils.humanizeDuration({ hours: 2, minutes: 5 }, { compact: true }) === '2h 5m');
+  assert(utils.humanizeDuration('P1DT1H1M', { largest: 2 }) === '1 day 1 hour');
+});
+
+test('durations carry fractions down and reject invalid input', () => {
+  assert(utils.parseDuration('P1.5DT2H') === null);
+  assert(utils.addDuration(new Date(2024, 0, 1), 'P1.5D').getTime() === new Date(2024, 0, 2, 12).getTime());
+  assert(utils.addDuration(new Date(2024, 0, 1), 'P1.5M').getTime() === new Date(2024, 1, 15, 12).getTime());
+  assert(utils.addDuration(new Date(), 'nonsense') === null);
+  assert(utils.subDuration(new Date(), 'nonsense') === null);
+  assert(utils.humanizeDuration('nonsense') === null);
+  assert(utils.durationToMs('P1M', new Date(2024, 1, 1)) === 29 * 86400000);
+  assert(utils.durationToMs('nonsense') === null);
+  assert(utils.formatDuration({ hours: 1, minutes: -30 }) === 'PT30M');
+  assert(utils.formatDuration({ hours: -1, minutes: 30 }) === '-PT30M');
+  assert(utils.formatDuration({ months: 1, days: -1 }) === null);
+});
+
 test('timeAgo returns relative time', () => {
   const now = new Date();
   const pastDate = new Date(now.getTime() - 60000); // 1 minute ago
@@ -59,6 +389,130 @@ test('timeAgo returns relative time', () => {
   assert(result.includes('minute') || result === 'just now');
 });
 
+test('relativeTime handles past, future and calendar wording', () => {
+  const base = new Date(2024, 4, 15, 12, 0, 0);
+  assert(utils.relativeTime(new Date(2024, 4, 18, 9, 0, 0), { base }) === 'in 3 days');
+  assert(utils.relativeTime(new Date(2024, 4, 12, 9, 0, 0), { base }) === '3 days ago');
+  assert(utils.relativeTime(new Date(2024, 4, 14, 9, 0, 0), { base }) === 'yesterday');
+  assert(utils.relativeTime(new Date(2024, 4, 14, 9, 0, 0), { base, numeric: 'always' }) === '1 day ago');
+  assert(utils.relativeTime(new Date(2024, 6, 20), { base }) === 'in 2 months');
+  assert(utils.relativeTime(new Date(2024, 4, 14, 9, 0, 0), { base, locale: 'pl' }) === 'wczoraj');
+  assert(utils.relativeTime(new Date(2024, 4, 18, 9, 0, 0), { base, unit: 'hours' }) === 'in 69 hours');
+  assert(utils.relativeTime('not a date', { base }) === null);
+  let error = null;
+  try {
+    utils.relativeTime(new Date(), { unit: 'fortnight' });
+  } catch (caught) {
+    error = caught;
+  }
+  assert(error instanceof RangeError && error.message.includes('fortnight'));
+});
+
+test('iterateRRule expands ordinal BYDAY and EXDATE', () => {
+  const rule = 'DTSTART:20240105T090000Z\nRRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3';
+  const dates = [...utils.iterateRRule(rule)].map(d => d.toISOString().slice(0, 10));
+  assert(JSON.stringify(dates) === JSON.stringify(['2024-01-26', '2024-02-23', '2024-03-29']));
+  const daily = 'DTSTART:20240101T090000Z\nRRULE:FREQ=DAILY;COUNT=4\nEXDATE:20240102T090000Z';
+  assert([...utils.iterateRRule(daily)].length === 3);
+});
+
+test('rruleBetween and rruleNext query occurrences', () => {
+  const rule = 'DTSTART:20240101T090000Z\nRRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1';
+  const between = utils.rruleBetween(rule, '2024-02-01T00:00:00Z', '2024-04-01T00:00:00Z');
+  assert(between.map(d => d.getUTCDate()).join(',') === '29,29');
+  assert(utils.rruleNext(rule, '2024-04-01T00:00:00Z').toISOString() === '2024-04-30T09:00:00.000Z');
+});
+
+test('parseRRule and formatRRule round-trip', () => {
+  const text = 'DTSTART;TZID=America/New_York:20240308T090000\nRRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=3;BYDAY=MO,FR;WKST=SU';
+  assert(utils.formatRRule(utils.parseRRule(text)) === text);
+  assert(utils.parseRRule('FREQ=SOMETIMES') === null);
+  assert(utils.parseRRule('DTSTART;TZID=Mars/Olympus:20240308T090000\nRRULE:FREQ=DAILY') === null);
+  assert(utils.parseRRule('FREQ=DAILY;UNTIL=nope') === null && utils.parseRRule('FREQ=DAILY;UNTIL=20240110').until !== null);
+});
+
+test('business day arithmetic skips weekends and holidays', () => {
+  const holidays = [
+    { month: 5, weekday: 1, nth: -1, name: 'Memorial Day' },
+    { month: 7, day: 4, observed: true },
+    { easter: -2, name: 'Good Friday' }
+  ];
+  assert(utils.addBusinessDays(new Date(2024, 4, 24), 1, { holidays }).getDate() === 28);
+  assert(utils.diffInBusinessDays(new Date(2024, 4, 24), new Date(2024, 4, 31), { holidays }) === 4);
+  assert(utils.isBusinessDay(new Date(2024, 2, 29), { holidays }) === false);
+  assert(utils.isBusinessDay(new Date(2024, 4, 26), { weekend: [5, 6] }) === true);
+  assert(utils.addBusinessDays(new Date(2024, 4, 24), 1, { holidays: [() => true] }) === null);
+  assert(utils.nextBusinessDay(new Date(2024, 4, 24), { weekend: [0, 1, 2, 3, 4, 5, 6] }) === null);
+  const mutable = [{ month: 12, day: 25 }];
+  assert(utils.isHoliday(new Date(2024, 11, 25), mutable));
+  mutable.push({ month: 12, day: 26 });
+  assert(utils.isHoliday(new Date(2024, 11, 26), mutable));
+  assert(utils.addBusinessDays(new Date(2024, 4, 24), Infinity) === null && utils.addBusinessDays(new Date(2024, 4, 24), NaN) === null);
+  assert(utils.isHoliday(new Date(2024, 11, 25), [null, undefined, 5, { month: 12, day: 25 }]));
+  assert(utils.getHolidays(2027, holidays)[2].date.getDate() === 5);
+});
+
+test('ISO week dates format and parse', () => {
+  const date = new Date(2021, 0, 3, 12);
+  assert(utils.isoWeek(date) === 53 && utils.isoWeekYear(date) === 2020);
+  assert(utils.formatIsoWeekDate(new Date(2024, 0, 31)) === '2024-W05-3');
+  assert(utils.formatDate(utils.parseIsoWeekDate('2025-W01-1'), 'YYYY-MM-DD') === '2024-12-30');
+  assert(utils.parseIsoWeekDate('2021-W53-1') === null);
+  assert(utils.formatDate(new Date(2024, 0, 17), 'Week W, EST') === 'Week 3, EST');
+  assert(utils.formatDate(new Date(2024, 0, 17), 'GGGG[W]WWE') === '2024W033' && utils.parseIsoWeekDate('2024W033').getDate() === 17);
+});
+
+test('week functions honour weekStartsOn and locale', () => {
+  const date = new Date(2024, 4, 15, 13, 0);
+  assert(utils.startOfWeek(date).getDate() === 12);
+  assert(utils.startOfWeek(date, { weekStartsOn: 1 }).getDate() === 13);
+  const end = utils.endOfWeek(date, { locale: 'de-DE' });
+  assert(end.getDate() === 19 && end.getHours() === 23 && end.getMilliseconds() === 999);
+  assert(utils.weekOfYear(new Date(2020, 11, 31)) === 1);
+  assert(utils.weekOfYear(new Date(2020, 11, 31), { locale: 'de-DE' }) === 53);
+});
+
+test('interval algebra overlaps, merges and finds gaps', () => {
+  const at = hour => new Date(2024, 0, 1, hour);
+  assert(utils.intervalOverlaps([at(9), at(10)], [at(10), at(11)]) === false);
+  assert(utils.intervalOverlaps([at(9), at(10)], [at(10), at(11)], { bounds: '[]' }) === true);
+  assert(utils.intervalIntersection([at(9), at(11)], [at(10), at(12)]).start.getHours() === 10);
+  const merged = utils.mergeIntervals([[at(13), at(14)], [at(9), at(10)], [at(10), at(11)]]);
+  assert(merged.length === 2 && merged[0].end.getHours() === 11);
+  assert(utils.subtractInterval([at(9), at(17)], [at(12), at(13)]).length === 2);
+  const gaps = utils.intervalGaps([[at(10), at(11)], [at(7), at(9)]], [at(9), at(12)]);
+  assert(gaps.length === 2 && gaps[0].start.getHours() === 9 && gaps[1].end.getHours() === 12);
+});
+
+test('intervals iterate and split by calendar unit', () => {
+  const interval = { start: new Date(2024, 0, 30, 10), end: new Date(2024, 1, 2) };
+  assert(utils.eachDayOfInterval(interval).length === 3);
+  assert(utils.eachDayOfInterval(interval, { bounds: '[]' }).length === 4);
+  assert(utils.eachMonthOfInterval([new Date(2024, 0, 31), new Date(2024, 3, 2)]).length === 4);
+  assert(utils.eachWeekOfInterval([new Date(2024, 0, 3), new Date(2024, 0, 20)], { weekStartsOn: 1 })[0].getDate() === 1);
+  const pieces = utils.splitInterval(interval, 'day');
+  assert(pieces.length === 3 && pieces[0].end.getDate() === 31 && pieces[2].end.getDate() === 2);
+});
+
+test('interval functions reject invalid bounds instead of looping', () => {
+  const bad = [new Date(2024, 0, 1), 'not a date'];
+  assert(utils.eachDayOfInterval(bad).length === 0 && utils.eachWeekOfInterval(bad).length === 0);
+  assert(utils.eachMonthOfInterval({ start: new Date(2024, 0, 1) }).length === 0 && utils.splitInterval(bad, 'day').length === 0);
+  assert(utils.intervalContains(bad, new Date(2024, 0, 2)) === false && utils.intervalIntersection(bad, bad) === null);
+  assert(utils.mergeIntervals([bad, [new Date(2024, 0, 1), new Date(2024, 0, 2)]]).length === 1);
+});
+
+test('month and year arithmetic clamps or follows the overflow policy', () => {
+  const jan31 = new Date(2024, 0, 31, 10);
+  assert(utils.addMonths(jan31, 1).getDate() === 29);
+  assert(utils.addMonths(jan31, 1, { overflow: 'roll' }).getMonth() === 2);
+  assert(utils.addMonths(jan31, 1, { overflow: 'reject' }) === null);
+  assert(utils.formatDate(utils.addYears(new Date(2024, 1, 29), 1), 'YYYY-MM-DD') === '2025-02-28');
+  assert(utils.subMonths(new Date(2024, 2, 31), 1).getDate() === 29);
+  assert(utils.formatDate(utils.add(jan31, { months: 1, days: 1, hours: 2, ms: 60000 }), 'YYYY-MM-DD HH:mm') === '2024-03-01 12:01');
+  assert(utils.formatDate(utils.sub(new Date(2024, 2, 31), { months: 1, weeks: 1 }), 'YYYY-MM-DD') === '2024-02-22');
+});
+
 // Validation Tests
 test('isEmail validates emails', () => {
   assert(utils.isEmail('test@example.com') === true);
@@ -138,6 +592,90 @@ test('uuid generates valid UUIDs', () => {
   assert(id.includes('-'));
 });
 
+test('random helpers share an unbiased, injectable source', () => {
+  assert(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(utils.uuid()));
+  assert(/^[A-Za-z0-9]{40}$/.test(utils.randomToken(40)) && utils.getRandomValues(70000).length === 70000);
+  const draws = Array.from({ length: 1000 }, () => utils.randomBelow(3));
+  assert(draws.every(n => n >= 0 && n < 3 && Number.isInteger(n)) && new Set(draws).size === 3);
+  assert(Number.isInteger(utils.randomBelow(2 ** 53)) && utils.randomBelow(2 ** 53) < 2 ** 53);
+  for (const bound of [2 ** 54, Infinity]) {
+    let rangeError = null;
+    try {
+      utils.randomBelow(bound);
+    } catch (e) {
+      rangeError = e;
+    }
+    assert(rangeError instanceof RangeError);
+  }
+  const run = () => [utils.shuffle([1, 2, 3, 4, 5]), utils.randomString(8), utils.uuid(), utils.sample(['a', 'b', 'c'])];
+  const previous = utils.setRandomSource(utils.createSeededRandom('fixture'));
+  const token = utils.randomToken(16);
+  const first = JSON.stringify(run());
+  utils.setRandomSource(utils.createSeededRandom('fixture'));
+  const second = JSON.stringify(run());
+  assert(utils.randomToken(16) !== token);
+  utils.setRandomSource(previous);
+  assert(first === second && JSON.stringify(run()) !== first);
+  const short = utils.setRandomSource(size => new Uint8Array(size - 1));
+  let error = null;
+  try {
+    utils.uuid();
+  } catch (e) {
+    error = e;
+  }
+  utils.setRandomSource(short);
+  assert(error instanceof RangeError && /returned 15 bytes, expected 16/.test(error.message));
+});
+
+test('time-based and name-based UUIDs', () => {
+  assert(utils.uuidV5('www.example.com', 'dns') === '2ed6657d-e927-568b-95e1-2665a8aea6a2');
+  assert(utils.uuidV3('www.example.com', 'dns') === '5df41881-3aed-3515-88a7-2f4a814cf09e');
+  const time = Date.UTC(2024, 0, 2, 3, 4, 5, 678);
+  const v1 = utils.uuidV1({ time });
+  const v7 = utils.uuidV7({ time });
+  assert(utils.isUuid(v1, 1) && utils.isUuid(v7, 7) && !utils.isUuid(v7, 4) && !utils.isUuid('12345678-1234-1234-1234-123456789abc'));
+  assert(utils.idTimestamp(v1).getTime() === time && utils.parseUuid(v7).timestamp.getTime() === time);
+  assert(utils.isUuid('00000000-0000-0000-0000-000000000000') && utils.parseUuid(`{${v7}}`).variant === 'rfc4122');
+  const ordered = Array.from({ length: 500 }, () => utils.uuidV7());
+  assert(ordered.every((id, i) => i === 0 || id > ordered[i - 1]));
+  assert(!utils.isUuid(`{${v7}`) && !utils.isUuid(`${v7}}`));
+  assert(utils.uuidV7({ time: -1 }) === null && utils.uuidV1({ time: NaN }) === null);
+  assert(utils.uuidV5(123, 'dns') === utils.uuidV5('123', 'dns') && utils.uuidV5(123, 'dns') !== utils.uuidV5('', 'dns'));
+});
+
+test('name-based UUIDs match reference MD5 and SHA-1 digests', () => {
+  // Names straddling the one- and two-block padding boundaries, multi-block, non-ASCII and raw bytes
+  const vectors = [
+    ['', 'dns', 'c87ee674-4ddc-3efe-a74e-dfe25da5d7b3', '4ebd0208-8328-5d69-8c44-ec50939c0967'],
+    ['a'.repeat(39), 'dns', '96cb729a-b665-38ba-b98f-a35a1d044728', '5824f981-4282-59d4-9716-acb6d741350e'],
+    ['a'.repeat(40), 'dns', '13c085b8-0e53-35ed-bd46-f814ae2cd6cf', '39f39c20-db47-5131-8879-62f8f67f9014'],
+    ['a'.repeat(48), 'dns', '12adee6c-b187-318d-82d2-f934bf55422b', '7280cc42-274a-5c4a-91fc-ae23f853eeb7'],
+    ['x'.repeat(200), 'dns', '12d29b9f-eed4-347c-91a4-8b0f037795e2', 'ddcc691a-b8e2-53e5-b059-6a232874b2eb'],
+    ['日本語', 'dns', 'f9e3b804-0a0d-3dd0-a874-0baf0cb21aab', '9786f370-913c-51ea-845e-7f3469bc5966'],
+    [new Uint8Array([0, 255, 128]), 'dns', '9781b5da-dad3-3335-bb14-0e0454292379', '57fd3774-11c4-5edc-b858-d2d34db0bcd6'],
+    ['https://example.com/path', 'url', '480ed9cb-bd3a-3c20-a12c-1e225106955c', '0a3c3c32-4c00-5e0b-8943-2eb8d80ab693']
+  ];
+  vectors.forEach(([name, namespace, v3, v5]) => {
+    assert(utils.uuidV3(name, namespace) === v3, `uuidV3 ${name.length}`);
+    assert(utils.uuidV5(name, namespace) === v5, `uuidV5 ${name.length}`);
+  });
+});
+
+test('ULID, KSUID and compact IDs', () => {
+  const time = Date.UTC(2024, 0, 2, 3, 4, 5, 678);
+  const id = utils.ulid({ time });
+  assert(/^[0-9A-HJKMNP-TV-Z]{26}$/.test(id) && id.startsWith('01HK421PSE') && utils.idTimestamp(id).getTime() === time);
+  const ulids = Array.from({ length: 500 }, () => utils.ulid({ monotonic: true }));
+  assert(ulids.every((next, i) => i === 0 || next > ulids[i - 1]));
+  assert(utils.idTimestamp('0ujtsYcgvSTl8PAuAdqWYSMnLOv').toISOString() === '2017-10-10T04:00:47.000Z');
+  const k = utils.ksuid({ time });
+  assert(/^[0-9A-Za-z]{27}$/.test(k) && utils.idTimestamp(k).getTime() === Math.floor(time / 1000) * 1000);
+  assert(/^[\w-]{21}$/.test(utils.compactId()) && /^[ab]{8}$/.test(utils.compactId(8, 'ab')));
+  assert(utils.idTimestamp(utils.uuid()) === null && utils.idTimestamp('nope') === null);
+  assert(utils.ulid({ time: 'bad' }) === null && utils.ulid({ time: 2 ** 49 }) === null);
+  assert(utils.ksuid({ time: 0 }) === null && utils.ksuid({ time: new Date(NaN) }) === null);
+});
+
 test('colorize adds color codes', () => {
   const colored = utils.colorize('test', 'red');
   assert(colored.includes('test'));